@@ -3,8 +3,8 @@
 # Navigate to the project directory
 cd "$(dirname "$0")"
 
-# Run the automated test script
-node code/src/autorun.js
+# Run the automated operations listed in autorun.json
+node code/src/index.js run-job autorun.json "$@"
 
 # Exit with the same status code as the Node.js process
-exit $? 
\ No newline at end of file
+exit $?
@@ -0,0 +1,56 @@
+/**
+ * MatrixFormatError class - Describes where and why a matrix file could not be parsed
+ */
+
+/**
+ * Human-readable descriptions of each reason code
+ */
+const REASONS = {
+    INSUFFICIENT_DATA: 'insufficient data',
+    MISSING_ROWS: 'rows specification not found',
+    MISSING_COLS: 'columns specification not found',
+    MISSING_SIZE: 'size specification not found',
+    INVALID_HEADER: 'invalid Matrix Market header',
+    UNSUPPORTED_FORMAT: 'unsupported Matrix Market format',
+    INVALID_DIMENSIONS: 'invalid dimensions',
+    MISSING_PARENTHESES: 'missing parentheses',
+    WRONG_FIELD_COUNT: 'wrong number of fields',
+    INVALID_NUMBER: 'invalid numeric value',
+    UNSAFE_INTEGER: 'integer too large to hold exactly as a number (load with the bigint value type)',
+    NEGATIVE_INDEX: 'negative row or column index',
+    INDEX_OUT_OF_RANGE: 'index outside the declared dimensions',
+    DUPLICATE_ENTRY: 'duplicate coordinates',
+    EXPLICIT_ZERO: 'explicit zero value',
+    WRONG_ENTRY_COUNT: 'number of entries does not match the size line',
+    SKEW_DIAGONAL: 'non-zero diagonal entry in a skew-symmetric matrix',
+    INVALID_MAGIC: 'not a binary sparse matrix file',
+    UNSUPPORTED_VERSION: 'unsupported binary format version or layout',
+    TRUNCATED: 'binary data is truncated',
+    CHECKSUM_MISMATCH: 'binary data is corrupted (checksum mismatch)'
+};
+
+class MatrixFormatError extends Error {
+    /**
+     * @param {string} reason - Reason code, one of the keys of MatrixFormatError.REASONS
+     * @param {Object} [details] - Location of the problem
+     * @param {string|null} [details.filePath] - Path of the file being parsed (null for in-memory text)
+     * @param {number|null} [details.line] - 1-based line number
+     * @param {string|null} [details.text] - The offending line
+     */
+    constructor(reason, { filePath = null, line = null, text = null } = {}) {
+        const description = REASONS[reason] || reason;
+        const location = line !== null ? `${filePath || '<input>'}:${line}: ` : (filePath ? `${filePath}: ` : '');
+        const offending = text !== null ? `: ${text}` : '';
+        super(`Input file has wrong format: ${location}${description}${offending}`);
+
+        this.name = 'MatrixFormatError';
+        this.reason = reason;
+        this.filePath = filePath;
+        this.line = line;
+        this.text = text;
+    }
+}
+
+MatrixFormatError.REASONS = REASONS;
+
+module.exports = MatrixFormatError;
@@ -0,0 +1,212 @@
+/**
+ * Matrix Market (.mtx) coordinate format support for SparseMatrix
+ *
+ * Reads headers of the form
+ *   %%MatrixMarket matrix coordinate real|integer|pattern general|symmetric|skew-symmetric
+ * followed by comment lines starting with %, a "rows cols entries" size line
+ * and one "row col [value]" line per entry with 1-based indices.
+ */
+
+const MatrixFormatError = require('./MatrixFormatError');
+const { trim, parseInteger } = require('./textParsing');
+
+const SUPPORTED_FIELDS = ['real', 'integer', 'pattern'];
+const SUPPORTED_SYMMETRIES = ['general', 'symmetric', 'skew-symmetric'];
+
+/**
+ * Splits a line on runs of spaces and tabs
+ * @param {string} text - Trimmed line
+ * @returns {string[]} Non-empty fields
+ */
+function splitFields(text) {
+    const fields = [];
+    let current = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === ' ' || char === '\t') {
+            if (current) {
+                fields.push(current);
+                current = '';
+            }
+        } else {
+            current += char;
+        }
+    }
+    if (current) {
+        fields.push(current);
+    }
+    return fields;
+}
+
+/**
+ * Creates a single-pass parser that reads Matrix Market text into a matrix.
+ * Symmetric and skew-symmetric storage is expanded to the full matrix.
+ * Unlike the lenient rows=/cols= parser, indices outside the size line are
+ * rejected in both modes: the size line fixes the shape that symmetric
+ * storage is expanded into, so the matrix cannot grow to fit them.
+ * Has the same interface as SparseMatrix#_createLineParser.
+ * @param {SparseMatrix} matrix - Empty matrix to load into
+ * @param {Object} parseOptions - Parsing options, as for SparseMatrix#loadFromFile
+ * @param {string|null} filePath - Path of the file, for error reporting
+ * @returns {{parseLine: function(string): void, finish: function(): void, lineCount: function(): number}}
+ *   Line parser; call parseLine for every line in order, then finish once
+ */
+function createLineParser(matrix, parseOptions, filePath) {
+    const strict = parseOptions.strict === true;
+    let lineNumber = 0;
+    let field = null;
+    let symmetry = null;
+    let declaredEntries = null;
+    let entriesRead = 0;
+    // Coordinates stored so far, mirrored ones included, for duplicate detection in strict mode
+    const seen = new Set();
+
+    const fail = (reason, text) => new MatrixFormatError(reason, { filePath, line: lineNumber, text });
+
+    const parseBanner = (text) => {
+        const parts = splitFields(text.toLowerCase());
+        if (parts[0] !== '%%matrixmarket' || parts.length !== 5) {
+            throw fail('INVALID_HEADER', text);
+        }
+        if (parts[1] !== 'matrix' || parts[2] !== 'coordinate' ||
+            !SUPPORTED_FIELDS.includes(parts[3]) || !SUPPORTED_SYMMETRIES.includes(parts[4])) {
+            throw fail('UNSUPPORTED_FORMAT', text);
+        }
+        field = parts[3];
+        symmetry = parts[4];
+        matrix.logger.log(`Matrix Market header: ${field} ${symmetry}`);
+    };
+
+    const parseSize = (text) => {
+        const parts = splitFields(text);
+        if (parts.length !== 3) {
+            throw fail('INVALID_DIMENSIONS', text);
+        }
+        const sizes = parts.map((part) => parseInteger(part));
+        if (sizes.some((size) => isNaN(size) || size < 0) || sizes[0] === 0 || sizes[1] === 0) {
+            throw fail('INVALID_DIMENSIONS', text);
+        }
+        [matrix.rows, matrix.cols, declaredEntries] = sizes;
+        if (symmetry !== 'general' && matrix.rows !== matrix.cols) {
+            throw fail('INVALID_DIMENSIONS', text);
+        }
+        matrix.logger.log(`Matrix dimensions: ${matrix.rows}x${matrix.cols}, ${declaredEntries} entries`);
+    };
+
+    const storeEntry = (row, col, value, text) => {
+        if (strict) {
+            if (matrix._isZero(value)) {
+                throw fail('EXPLICIT_ZERO', text);
+            }
+            const key = `${row},${col}`;
+            if (seen.has(key)) {
+                throw fail('DUPLICATE_ENTRY', text);
+            }
+            seen.add(key);
+        }
+        if (!matrix._isZero(value)) {
+            matrix._storeValue(row, col, value);
+        }
+    };
+
+    const parseEntry = (text) => {
+        const parts = splitFields(text);
+        const expectedFields = field === 'pattern' ? 2 : 3;
+        if (parts.length !== expectedFields) {
+            throw fail('WRONG_FIELD_COUNT', text);
+        }
+
+        const row = parseInteger(parts[0]);
+        const col = parseInteger(parts[1]);
+        if (isNaN(row) || isNaN(col)) {
+            throw fail('INVALID_NUMBER', text);
+        }
+        let value = matrix._toValue(1);
+        if (field !== 'pattern') {
+            value = matrix._parseValue(parts[2], (reason) => fail(reason, text), field === 'integer');
+        }
+        if (row < 1 || row > matrix.rows || col < 1 || col > matrix.cols) {
+            throw fail('INDEX_OUT_OF_RANGE', text);
+        }
+        // A skew-symmetric matrix equals minus its transpose, so its diagonal is zero
+        if (row === col && symmetry === 'skew-symmetric' && !matrix._isZero(value)) {
+            throw fail('SKEW_DIAGONAL', text);
+        }
+
+        entriesRead++;
+        if (entriesRead > declaredEntries) {
+            throw fail('WRONG_ENTRY_COUNT', text);
+        }
+
+        // Matrix Market indices are 1-based
+        storeEntry(row - 1, col - 1, value, text);
+        if (row !== col && symmetry === 'symmetric') {
+            storeEntry(col - 1, row - 1, value, text);
+        } else if (row !== col && symmetry === 'skew-symmetric') {
+            storeEntry(col - 1, row - 1, -value, text);
+        }
+    };
+
+    const parseLine = (rawLine) => {
+        lineNumber++;
+        const text = trim(rawLine);
+
+        if (field === null) {
+            // The banner must be the very first line
+            parseBanner(text);
+            return;
+        }
+        if (!text || text[0] === '%') {
+            return;
+        }
+        if (declaredEntries === null) {
+            parseSize(text);
+            return;
+        }
+        parseEntry(text);
+    };
+
+    const finish = () => {
+        if (field === null || declaredEntries === null) {
+            throw new MatrixFormatError('INSUFFICIENT_DATA', { filePath });
+        }
+        if (entriesRead !== declaredEntries) {
+            throw new MatrixFormatError('WRONG_ENTRY_COUNT', { filePath, line: lineNumber });
+        }
+        matrix.logger.log(`Loaded ${matrix.elementCount} non-zero elements`);
+    };
+
+    return { parseLine, finish, lineCount: () => lineNumber };
+}
+
+/**
+ * Writes a matrix in Matrix Market coordinate general format.
+ * Uses the integer field when every value is an exact integer, real otherwise.
+ * @param {SparseMatrix} matrix - Matrix to write
+ * @returns {string} Matrix Market text
+ */
+function format(matrix) {
+    const entries = [];
+    let allIntegers = true;
+
+    for (const row of matrix._sortedRowIndices()) {
+        for (const [col, value] of matrix._sortedRowEntries(row)) {
+            if (typeof value !== 'bigint' && !Number.isSafeInteger(value)) {
+                allIntegers = false;
+            }
+            entries.push(`${row + 1} ${col + 1} ${matrix._formatValue(value)}`);
+        }
+    }
+
+    const field = allIntegers ? 'integer' : 'real';
+    const lines = [
+        `%%MatrixMarket matrix coordinate ${field} general`,
+        `${matrix.rows} ${matrix.cols} ${entries.length}`
+    ];
+    return lines.concat(entries).join('\n') + '\n';
+}
+
+module.exports = {
+    createLineParser,
+    format
+};
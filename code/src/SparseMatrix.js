@@ -1,3 +1,33 @@
+const MatrixFormatError = require('./MatrixFormatError');
+const semirings = require('./semirings');
+const { readFile, writeFile, splitString, trim, parseInteger, parseNumber, isIntegerText } = require('./textParsing');
+const { createRandom } = require('./random');
+
+/**
+ * Logger that discards every message, used unless a logger or verbose mode is requested
+ */
+const SILENT_LOGGER = {
+    log() {},
+    error() {}
+};
+
+/**
+ * Largest number of positions toDense will build
+ */
+const MAX_DENSE_SIZE = 1e7;
+
+/**
+ * Checks the dimensions given to a factory method
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @throws {Error} If either dimension is not a positive integer
+ */
+function checkSize(rows, cols) {
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows <= 0 || cols <= 0) {
+        throw new Error(`Invalid matrix size: ${rows}x${cols}`);
+    }
+}
+
 /**
  * SparseMatrix class - Efficient implementation for sparse matrices
  */
@@ -7,14 +37,52 @@ class SparseMatrix {
      * @param {string|null} matrixFilePath - Path to the file containing matrix data (optional)
      * @param {number|null} numRows - Number of rows (optional)
      * @param {number|null} numCols - Number of columns (optional)
+     * @param {Object} [options] - Matrix options
+     * @param {number} [options.zeroTolerance=0] - Values whose magnitude is at most this are stored as zero
+     * @param {boolean} [options.strict=false] - Parse the file in strict mode (see loadFromFile)
+     * @param {string} [options.format='text'] - File format (see loadFromFile)
+     * @param {{log: Function, error: Function}} [options.logger] - Receives progress and error messages
+     *   (e.g. console). Messages are discarded by default.
+     * @param {boolean} [options.verbose=false] - Shorthand for logging to the console
+     * @param {Object} [options.semiring] - Semiring for add and multiply (see semirings.js). Positions
+     *   without a stored value hold its zero. Defaults to ordinary arithmetic.
+     * @param {string} [options.valueType='number'] - 'number', or 'bigint' to hold exact integers of any
+     *   size as BigInt values
      */
-    constructor(matrixFilePath, numRows, numCols) {
-        // Custom Map implementation for storing sparse matrix elements
-        this.elements = {};
+    constructor(matrixFilePath, numRows, numCols, options = {}) {
+        // Row index: row -> (col -> value), holding only non-zero values
+        this._rowData = new Map();
+        // Column index: col -> (row -> value), built on demand and dropped on every change
+        this._colData = null;
         this.elementCount = 0;
         
+        const zeroTolerance = options.zeroTolerance !== undefined ? options.zeroTolerance : 0;
+        if (typeof zeroTolerance !== 'number' || !(zeroTolerance >= 0) || zeroTolerance === Infinity) {
+            throw new Error(`Invalid zero tolerance: ${zeroTolerance}`);
+        }
+        this.zeroTolerance = zeroTolerance;
+        
+        const valueType = options.valueType !== undefined ? options.valueType : 'number';
+        if (valueType !== 'number' && valueType !== 'bigint') {
+            throw new Error(`Invalid value type: ${valueType} (expected number or bigint)`);
+        }
+        this.valueType = valueType;
+        
+        const defaultSemiring = valueType === 'bigint' ? semirings.bigint : semirings.arithmetic;
+        this.semiring = options.semiring !== undefined
+            ? semirings.checkSemiring(options.semiring) : defaultSemiring;
+        if (typeof this.semiring.zero !== valueType) {
+            throw new Error(`Semiring ${this.semiring.name || ''} does not work on ${valueType} values`);
+        }
+        
+        if (options.logger) {
+            this.logger = options.logger;
+        } else {
+            this.logger = options.verbose ? console : SILENT_LOGGER;
+        }
+        
         if (matrixFilePath) {
-            this.loadFromFile(matrixFilePath);
+            this.loadFromFile(matrixFilePath, { strict: options.strict, format: options.format });
         } else if (numRows !== undefined && numCols !== undefined) {
             this.rows = numRows;
             this.cols = numCols;
@@ -24,440 +92,1609 @@ class SparseMatrix {
     }
 
     /**
-     * Custom file reader that doesn't use built-in fs or child_process modules
-     * @param {string} filePath - Path to the file
-     * @returns {string} The file contents
+     * Parses a matrix value in this matrix's value type. In number mode, integers beyond
+     * Number.MAX_SAFE_INTEGER are rejected instead of being rounded.
+     * @param {string} str - String to parse
+     * @param {function(string): MatrixFormatError} fail - Creates the error for a reason code
+     * @param {boolean} [integerOnly=false] - Accept only integers, as for Matrix Market integer fields
+     * @returns {number|bigint} Parsed value
+     * @throws {MatrixFormatError} INVALID_NUMBER if the string is not a valid value, or
+     *   UNSAFE_INTEGER if it is an integer too large to hold exactly in number mode
      */
-    _readFile(filePath) {
-        try {
-            // For testing/assignment purposes, we're simulating file reading
-            const fs = require('fs');
-            return fs.readFileSync(filePath, 'utf8');
-        } catch (error) {
-            throw new Error(`Error reading file: ${error.message}`);
+    _parseValue(str, fail, integerOnly = false) {
+        const isInteger = isIntegerText(str);
+        if (this.valueType === 'bigint') {
+            if (!isInteger) {
+                throw fail('INVALID_NUMBER');
+            }
+            return BigInt(str);
         }
-    }
-
-    /**
-     * Custom file writer that doesn't use built-in modules
-     * @param {string} filePath - Path to save the file
-     * @param {string} content - Content to write
-     */
-    _writeFile(filePath, content) {
-        try {
-            // For testing/assignment purposes, we're simulating file writing
-            const fs = require('fs');
-            fs.writeFileSync(filePath, content);
-        } catch (error) {
-            throw new Error(`Error writing file: ${error.message}`);
+        
+        const value = parseNumber(str);
+        if (isNaN(value) || (integerOnly && !isInteger)) {
+            throw fail('INVALID_NUMBER');
+        }
+        if (isInteger && !Number.isSafeInteger(value)) {
+            throw fail('UNSAFE_INTEGER');
         }
+        return value;
     }
 
     /**
-     * Custom string split function without using regex
-     * @param {string} str - String to split
-     * @param {string} delimiter - Delimiter to split on
-     * @returns {string[]} Array of split strings
+     * Custom function to parse a matrix element from a line
+     * @param {string} line - Line containing element data
+     * @param {Object} location - Where the line comes from, for error reporting
+     * @param {string|null} location.filePath - Path of the file being parsed
+     * @param {number} location.line - 1-based line number
+     * @returns {{row: number, col: number, value: number|bigint}} Parsed element
+     * @throws {MatrixFormatError} If the line is not a valid element
      */
-    _splitString(str, delimiter) {
-        const result = [];
-        let startIndex = 0;
-        let endIndex = str.indexOf(delimiter);
+    _parseElementLine(line, location) {
+        const fail = (reason) => new MatrixFormatError(reason, { ...location, text: line });
         
-        while (endIndex !== -1) {
-            result.push(str.substring(startIndex, endIndex));
-            startIndex = endIndex + delimiter.length;
-            endIndex = str.indexOf(delimiter, startIndex);
+        // Check if line starts with ( and ends with )
+        if (!line.startsWith('(') || !line.endsWith(')')) {
+            throw fail('MISSING_PARENTHESES');
         }
         
-        result.push(str.substring(startIndex));
-        return result;
-    }
-
-    /**
-     * Custom trimming function without using regex
-     * @param {string} str - String to trim
-     * @returns {string} Trimmed string
-     */
-    _trim(str) {
-        let start = 0;
-        let end = str.length - 1;
+        // Remove parentheses
+        const inner = line.substring(1, line.length - 1);
         
-        // Find start index by skipping whitespace
-        while (start <= end && (str[start] === ' ' || str[start] === '\t' || str[start] === '\n' || str[start] === '\r')) {
-            start++;
+        // Split by commas
+        const parts = splitString(inner, ',');
+        if (parts.length !== 3) {
+            throw fail('WRONG_FIELD_COUNT');
         }
         
-        // Find end index by skipping whitespace
-        while (end >= start && (str[end] === ' ' || str[end] === '\t' || str[end] === '\n' || str[end] === '\r')) {
-            end--;
+        // Parse row, column, and value
+        const rowText = trim(parts[0]);
+        const colText = trim(parts[1]);
+        const row = parseInteger(rowText);
+        const col = parseInteger(colText);
+        
+        // Validate parsed values
+        if (isNaN(row) || isNaN(col)) {
+            throw fail('INVALID_NUMBER');
+        }
+        const value = this._parseValue(trim(parts[2]), fail);
+        if (rowText[0] === '-' || colText[0] === '-') {
+            throw fail('NEGATIVE_INDEX');
+        }
+        if (!Number.isSafeInteger(row) || !Number.isSafeInteger(col)) {
+            throw fail('UNSAFE_INTEGER');
         }
         
-        return (start <= end) ? str.substring(start, end + 1) : '';
+        return { row, col, value };
     }
 
     /**
-     * Parses an integer from a string without using parseInt
-     * @param {string} str - String to parse
-     * @returns {number} Parsed integer
+     * Creates a matrix from text in the matrix file format
+     * @param {string} data - Matrix file contents
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @returns {SparseMatrix} The parsed matrix
      */
-    _parseInt(str) {
-        if (!str) return NaN;
-        
-        let result = 0;
-        let isNegative = false;
-        let i = 0;
-        
-        // Handle negative sign
-        if (str[0] === '-') {
-            isNegative = true;
-            i = 1;
-        }
-        
-        // Convert each character to integer and build result
-        for (; i < str.length; i++) {
-            const char = str[i];
-            if (char < '0' || char > '9') {
-                return NaN; // Return NaN for invalid characters
-            }
-            result = result * 10 + (char.charCodeAt(0) - '0'.charCodeAt(0));
-        }
-        
-        return isNegative ? -result : result;
+    static fromString(data, options = {}) {
+        const matrix = new SparseMatrix(null, 0, 0, options);
+        matrix.loadFromString(data, { strict: options.strict, format: options.format });
+        return matrix;
     }
 
     /**
-     * Custom function to parse a matrix element from a line
-     * @param {string} line - Line containing element data
-     * @returns {Object|null} Parsed element or null if invalid
+     * Loads matrix data from a file
+     * @param {string} filePath - Path to the file containing matrix data
+     * @param {Object} [parseOptions] - Parsing options
+     * @param {boolean} [parseOptions.strict=false] - Reject out-of-range and negative indices,
+     *   duplicate coordinates and explicit zeros instead of adjusting or ignoring them.
+     *   Matrix Market files reject out-of-range indices in either mode, because their
+     *   size line also fixes the shape that symmetric storage is expanded into.
+     * @param {string} [parseOptions.format='text'] - 'text' for the rows=/cols= format,
+     *   'mtx' for Matrix Market coordinate format
+     * @throws {MatrixFormatError} If the file has wrong format
      */
-    _parseElementLine(line) {
+    loadFromFile(filePath, parseOptions = {}) {
+        this.logger.log(`Loading matrix from file: ${filePath}`);
+        let data;
         try {
-            // Check if line starts with ( and ends with )
-            if (!line.startsWith('(') || !line.endsWith(')')) {
-                console.error(`Invalid line format, missing parentheses: ${line}`);
-                return null;
-            }
-            
-            // Remove parentheses
-            const inner = line.substring(1, line.length - 1);
-            
-            // Split by commas
-            const parts = this._splitString(inner, ',');
-            if (parts.length !== 3) {
-                console.error(`Invalid line format, expected 3 parts: ${line}`);
-                return null;
-            }
-            
-            // Parse row, column, and value
-            const row = this._parseInt(this._trim(parts[0]));
-            const col = this._parseInt(this._trim(parts[1]));
-            const value = this._parseInt(this._trim(parts[2]));
-            
-            // Validate parsed values
-            if (isNaN(row) || isNaN(col) || isNaN(value)) {
-                console.error(`Invalid numeric values in line: ${line}, parsed as row=${row}, col=${col}, value=${value}`);
-                return null;
-            }
-            
-            return { row, col, value };
+            data = readFile(filePath);
         } catch (error) {
-            console.error(`Error parsing line: ${line}`, error);
-            return null;
+            this.logger.error(`Error loading matrix: ${error.message}`);
+            throw error;
         }
+        this._parseText(data, parseOptions, filePath);
     }
 
     /**
-     * Loads matrix data from a file
-     * @param {string} filePath - Path to the file containing matrix data
+     * Loads matrix data from text in the matrix file format
+     * @param {string} data - Matrix file contents
+     * @param {Object} [parseOptions] - Parsing options, as for loadFromFile
+     * @throws {MatrixFormatError} If the text has wrong format
+     */
+    loadFromString(data, parseOptions = {}) {
+        this._parseText(data, parseOptions, null);
+    }
+
+    /**
+     * Parses matrix text into this matrix
+     * @param {string} data - Matrix file contents
+     * @param {Object} parseOptions - Parsing options, as for loadFromFile
+     * @param {string|null} filePath - Path of the file, for error reporting
+     * @throws {MatrixFormatError} If the text has wrong format
      */
-    loadFromFile(filePath) {
+    _parseText(data, parseOptions, filePath) {
+        const parser = this._parserFor(parseOptions, filePath);
+        
         try {
-            console.log(`Loading matrix from file: ${filePath}`);
-            const data = this._readFile(filePath);
-            const lines = this._splitString(data, '\n');
-            
-            console.log(`Read ${lines.length} lines from file`);
-            
-            let validLines = [];
+            const lines = splitString(data, '\n');
             for (let i = 0; i < lines.length; i++) {
-                const trimmedLine = this._trim(lines[i]);
-                if (trimmedLine) {
-                    validLines.push(trimmedLine);
-                }
+                parser.parseLine(lines[i]);
             }
-            
-            console.log(`Found ${validLines.length} non-empty lines`);
-            
-            if (validLines.length < 3) {
-                throw new Error("Input file has wrong format: insufficient data");
+            parser.finish();
+        } catch (error) {
+            this.logger.error(`Error loading matrix: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Picks the line parser for the requested file format
+     * @param {Object} parseOptions - Parsing options, as for loadFromFile
+     * @param {string|null} filePath - Path of the file, for error reporting
+     * @returns {Object} Line parser, as returned by _createLineParser
+     * @throws {Error} If the format is unknown
+     */
+    _parserFor(parseOptions, filePath) {
+        const format = parseOptions.format || 'text';
+        if (format === 'text') {
+            return this._createLineParser(parseOptions, filePath);
+        }
+        if (format === 'mtx') {
+            return require('./MatrixMarket').createLineParser(this, parseOptions, filePath);
+        }
+        throw new Error(`Unknown matrix file format: ${format}`);
+    }
+
+    /**
+     * Creates a single-pass parser that reads matrix text one line at a time
+     * and stores each element as soon as it is read.
+     * In lenient mode (the default) entries beyond the declared size grow the matrix,
+     * later duplicates overwrite earlier ones and explicit zeros are skipped.
+     * @param {Object} parseOptions - Parsing options, as for loadFromFile
+     * @param {string|null} filePath - Path of the file, for error reporting
+     * @returns {{parseLine: function(string): void, finish: function(): void, lineCount: function(): number}}
+     *   Line parser; call parseLine for every line in order, then finish once
+     */
+    _createLineParser(parseOptions, filePath) {
+        const strict = parseOptions.strict === true;
+        let lineNumber = 0;
+        let nonEmptyLines = 0;
+        
+        // Find maximum row and column to adjust matrix dimensions if needed
+        let maxRow = 0;
+        let maxCol = 0;
+        // Coordinates read so far, for duplicate detection in strict mode
+        const seen = new Set();
+        
+        const parseHeader = (text, line, prefix, missingReason) => {
+            if (!text.startsWith(prefix)) {
+                throw new MatrixFormatError(missingReason, { filePath, line, text });
             }
+            const size = parseInteger(text.substring(prefix.length));
+            if (isNaN(size) || size <= 0) {
+                throw new MatrixFormatError('INVALID_DIMENSIONS', { filePath, line, text });
+            }
+            return size;
+        };
+        
+        const parseLine = (rawLine) => {
+            lineNumber++;
+            const text = trim(rawLine);
+            if (!text) {
+                return;
+            }
+            nonEmptyLines++;
             
             // Parse rows
-            const rowsLine = validLines[0];
-            console.log(`Rows line: ${rowsLine}`);
-            if (!rowsLine.startsWith('rows=')) {
-                throw new Error("Input file has wrong format: rows specification not found");
+            if (nonEmptyLines === 1) {
+                this.logger.log(`Rows line: ${text}`);
+                this.rows = parseHeader(text, lineNumber, 'rows=', 'MISSING_ROWS');
+                return;
             }
-            this.rows = this._parseInt(rowsLine.substring(5));
             
             // Parse columns
-            const colsLine = validLines[1];
-            console.log(`Columns line: ${colsLine}`);
-            if (!colsLine.startsWith('cols=')) {
-                throw new Error("Input file has wrong format: columns specification not found");
+            if (nonEmptyLines === 2) {
+                this.logger.log(`Columns line: ${text}`);
+                this.cols = parseHeader(text, lineNumber, 'cols=', 'MISSING_COLS');
+                this.logger.log(`Matrix dimensions: ${this.rows}x${this.cols}`);
+                return;
             }
-            this.cols = this._parseInt(colsLine.substring(5));
             
-            console.log(`Matrix dimensions: ${this.rows}x${this.cols}`);
+            const line = lineNumber;
+            const { row, col, value } = this._parseElementLine(text, { filePath, line });
             
-            // Validate parsed dimensions
-            if (isNaN(this.rows) || isNaN(this.cols) || this.rows <= 0 || this.cols <= 0) {
-                throw new Error("Input file has wrong format: invalid dimensions");
+            if (strict) {
+                if (row >= this.rows || col >= this.cols) {
+                    throw new MatrixFormatError('INDEX_OUT_OF_RANGE', { filePath, line, text });
+                }
+                if (this._isZero(value)) {
+                    throw new MatrixFormatError('EXPLICIT_ZERO', { filePath, line, text });
+                }
+                const key = `${row},${col}`;
+                if (seen.has(key)) {
+                    throw new MatrixFormatError('DUPLICATE_ENTRY', { filePath, line, text });
+                }
+                seen.add(key);
             }
             
-            // Find maximum row and column to adjust matrix dimensions if needed
-            let maxRow = 0;
-            let maxCol = 0;
-            let validElements = [];
+            // Update max dimensions
+            maxRow = Math.max(maxRow, row);
+            maxCol = Math.max(maxCol, col);
             
-            // First pass: validate elements and find max dimensions
-            for (let i = 2; i < validLines.length; i++) {
-                const line = validLines[i];
-                const element = this._parseElementLine(line);
-                if (!element) {
-                    throw new Error(`Input file has wrong format at line ${i+1}: ${line}`);
-                }
-                
-                const { row, col, value } = element;
-                
-                // Update max dimensions
-                maxRow = Math.max(maxRow, row);
-                maxCol = Math.max(maxCol, col);
-                
-                // Store valid elements for second pass
-                validElements.push(element);
+            // Store only non-zero values; bounds are settled in finish()
+            if (!this._isZero(value)) {
+                this._storeValue(row, col, value);
+            }
+        };
+        
+        const finish = () => {
+            this.logger.log(`Read ${lineNumber} lines, ${nonEmptyLines} non-empty`);
+            
+            if (nonEmptyLines < 3) {
+                throw new MatrixFormatError('INSUFFICIENT_DATA', { filePath });
             }
             
             // Adjust matrix dimensions if needed (0-indexed, so add 1)
             if (maxRow >= this.rows || maxCol >= this.cols) {
-                console.log(`Adjusting matrix dimensions from ${this.rows}x${this.cols} to ${maxRow + 1}x${maxCol + 1}`);
+                this.logger.log(`Adjusting matrix dimensions from ${this.rows}x${this.cols} to ${maxRow + 1}x${maxCol + 1}`);
                 this.rows = maxRow + 1;
                 this.cols = maxCol + 1;
             }
             
-            // Second pass: add elements to matrix
-            for (const element of validElements) {
-                const { row, col, value } = element;
-                
-                // Store only non-zero values
-                if (value !== 0) {
-                    this.setElement(row, col, value);
+            this.logger.log(`Loaded ${this.elementCount} non-zero elements`);
+        };
+        
+        return { parseLine, finish, lineCount: () => lineNumber };
+    }
+
+    /**
+     * Loads a matrix from a readable stream without reading it into one string.
+     * The text is parsed line by line in a single pass.
+     * @param {stream.Readable|AsyncIterable<string|Buffer>} readable - Stream of matrix file text
+     * @param {Object} [options] - Matrix options, as for the constructor; format may also be 'bin'
+     *   for the compact binary format
+     * @param {function({bytesRead: number, linesRead: number, elementCount: number}): void} [options.onProgress]
+     *   Called after each chunk is parsed
+     * @returns {Promise<SparseMatrix>} The loaded matrix
+     */
+    static fromStream(readable, options = {}) {
+        return SparseMatrix._loadStream(readable, options, null);
+    }
+
+    /**
+     * Loads a matrix file asynchronously through a read stream
+     * @param {string} filePath - Path to the file containing matrix data
+     * @param {Object} [options] - Matrix options, as for fromStream
+     * @returns {Promise<SparseMatrix>} The loaded matrix
+     */
+    static loadFile(filePath, options = {}) {
+        const fs = require('fs');
+        return SparseMatrix._loadStream(fs.createReadStream(filePath), options, filePath);
+    }
+
+    /**
+     * Collects a stream of binary matrix data and decodes it
+     * @param {stream.Readable|AsyncIterable<Buffer>} readable - Stream of binary matrix data
+     * @param {Object} options - Matrix options, as for fromStream
+     * @param {string|null} filePath - Path of the file, for error reporting
+     * @returns {Promise<SparseMatrix>} The loaded matrix
+     */
+    static async _loadBinaryStream(readable, options, filePath) {
+        const chunks = [];
+        let bytesRead = 0;
+        
+        try {
+            for await (const chunk of readable) {
+                chunks.push(chunk);
+                bytesRead += chunk.length;
+                if (options.onProgress) {
+                    options.onProgress({ bytesRead, linesRead: 0, elementCount: 0 });
+                }
+            }
+        } catch (error) {
+            throw new Error(`Error reading file: ${error.message}`);
+        }
+        
+        return SparseMatrix._fromBinary(Buffer.concat(chunks), options, filePath);
+    }
+
+    /**
+     * Parses a stream chunk by chunk, carrying partial lines between chunks
+     * @param {stream.Readable|AsyncIterable<string|Buffer>} readable - Stream of matrix file text
+     * @param {Object} options - Matrix options, as for fromStream
+     * @param {string|null} filePath - Path of the file, for error reporting
+     * @returns {Promise<SparseMatrix>} The loaded matrix
+     */
+    static async _loadStream(readable, options, filePath) {
+        if (options.format === 'bin') {
+            return SparseMatrix._loadBinaryStream(readable, options, filePath);
+        }
+        
+        const { StringDecoder } = require('string_decoder');
+        const matrix = new SparseMatrix(null, 0, 0, options);
+        const parser = matrix._parserFor({ strict: options.strict, format: options.format }, filePath);
+        const decoder = new StringDecoder('utf8');
+        
+        if (filePath) {
+            matrix.logger.log(`Loading matrix from file: ${filePath}`);
+        }
+        
+        let pending = '';
+        let bytesRead = 0;
+        
+        try {
+            try {
+                for await (const chunk of readable) {
+                    bytesRead += chunk.length;
+                    pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+                    
+                    // Parse every complete line and keep the unfinished tail for the next chunk
+                    let start = 0;
+                    let end = pending.indexOf('\n');
+                    while (end !== -1) {
+                        parser.parseLine(pending.substring(start, end));
+                        start = end + 1;
+                        end = pending.indexOf('\n', start);
+                    }
+                    pending = pending.substring(start);
+                    
+                    if (options.onProgress) {
+                        options.onProgress({ bytesRead, linesRead: parser.lineCount(), elementCount: matrix.elementCount });
+                    }
+                }
+            } catch (error) {
+                if (error instanceof MatrixFormatError) {
+                    throw error;
                 }
+                throw new Error(`Error reading file: ${error.message}`);
             }
             
-            console.log(`Loaded ${this.elementCount} non-zero elements`);
+            parser.parseLine(pending + decoder.end());
+            parser.finish();
         } catch (error) {
-            console.error(`Error loading matrix: ${error.message}`);
-            if (error.message.includes("wrong format")) {
-                throw new Error("Input file has wrong format");
-            } else {
-                throw error;
+            matrix.logger.error(`Error loading matrix: ${error.message}`);
+            if (typeof readable.destroy === 'function') {
+                readable.destroy();
             }
+            throw error;
         }
+        
+        return matrix;
     }
 
     /**
-     * Creates a key for the elements map from row and column
-     * @param {number} row - Row index
-     * @param {number} col - Column index
-     * @returns {string} Combined key
+     * Creates an n x n identity matrix
+     * @param {number} n - Size of the matrix
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @returns {SparseMatrix} Identity matrix
      */
-    _createKey(row, col) {
-        return `${row},${col}`;
+    static identity(n, options = {}) {
+        return SparseMatrix.banded(n, { 0: 1 }, options);
     }
     
     /**
-     * Gets the value at a specific position
-     * @param {number} row - Row index
-     * @param {number} col - Column index
-     * @returns {number} The value at the position (0 if not set)
+     * Creates a square matrix with the given values on one diagonal
+     * @param {number[]} values - Diagonal values
+     * @param {number} [offset=0] - Diagonal to fill: 0 for the main diagonal, positive above it, negative below it
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @returns {SparseMatrix} Matrix of size (values.length + |offset|) squared
      */
-    getElement(row, col) {
-        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
-            throw new Error(`Index out of bounds: (${row}, ${col}) not in matrix of size ${this.rows}x${this.cols}`);
+    static diag(values, offset = 0, options = {}) {
+        if (!Number.isInteger(offset)) {
+            throw new Error(`Invalid diagonal offset: ${offset}`);
         }
-        
-        const key = this._createKey(row, col);
-        return this.elements[key] !== undefined ? this.elements[key] : 0;
+        return SparseMatrix.banded(values.length + Math.abs(offset), { [offset]: values }, options);
     }
     
     /**
-     * Sets the value at a specific position
-     * @param {number} row - Row index
-     * @param {number} col - Column index
-     * @param {number} value - Value to set
+     * Creates a square banded matrix
+     * @param {number} n - Size of the matrix
+     * @param {Object<number, number|number[]>} bands - Values keyed by diagonal offset (0 for the main
+     *   diagonal, positive above it, negative below it). A number fills the whole diagonal; an array
+     *   must have n - |offset| values.
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @returns {SparseMatrix} Banded matrix
+     * @throws {Error} If an offset lies outside the matrix or an array has the wrong length
      */
-    setElement(row, col, value) {
-        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
-            throw new Error(`Index out of bounds: (${row}, ${col}) not in matrix of size ${this.rows}x${this.cols}`);
-        }
+    static banded(n, bands, options = {}) {
+        checkSize(n, n);
+        const matrix = new SparseMatrix(null, n, n, options);
         
-        const key = this._createKey(row, col);
-        if (value === 0) {
-            // Remove zero values to save memory
-            if (this.elements[key] !== undefined) {
-                delete this.elements[key];
-                this.elementCount--;
+        for (const key of Object.keys(bands)) {
+            const offset = Number(key);
+            const length = n - Math.abs(offset);
+            if (!Number.isInteger(offset) || length <= 0) {
+                throw new Error(`Invalid diagonal offset ${key} for matrix of size ${n}x${n}`);
             }
-        } else {
-            if (this.elements[key] === undefined) {
-                this.elementCount++;
+            
+            const band = bands[key];
+            if (Array.isArray(band) && band.length !== length) {
+                throw new Error(`Diagonal ${offset} needs ${length} values, got ${band.length}`);
+            }
+            
+            const rowStart = Math.max(0, -offset);
+            const colStart = Math.max(0, offset);
+            for (let k = 0; k < length; k++) {
+                matrix._storeValue(rowStart + k, colStart + k, Array.isArray(band) ? band[k] : band);
             }
-            this.elements[key] = value;
         }
+        
+        return matrix;
     }
     
     /**
-     * Adds two matrices
-     * @param {SparseMatrix} matrix - The matrix to add
-     * @returns {SparseMatrix} The result of addition
+     * Creates a square tridiagonal matrix. tridiagonal(n, -1, 2, -1) is the 1-D Laplacian,
+     * a symmetric positive definite test matrix.
+     * @param {number} n - Size of the matrix
+     * @param {number|number[]} lower - Values below the main diagonal
+     * @param {number|number[]} main - Values on the main diagonal
+     * @param {number|number[]} upper - Values above the main diagonal
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @returns {SparseMatrix} Tridiagonal matrix
      */
-    add(matrix) {
-        if (this.rows !== matrix.rows || this.cols !== matrix.cols) {
-            throw new Error("Matrix dimensions don't match for addition");
+    static tridiagonal(n, lower, main, upper, options = {}) {
+        const bands = { 0: main };
+        if (n > 1) {
+            bands[-1] = lower;
+            bands[1] = upper;
         }
-        
-        const result = new SparseMatrix(null, this.rows, this.cols);
-        
-        // Add non-zero elements from this matrix
-        for (const key in this.elements) {
-            const [rowStr, colStr] = this._splitString(key, ',');
-            const row = this._parseInt(rowStr);
-            const col = this._parseInt(colStr);
-            result.setElement(row, col, this.elements[key]);
+        return SparseMatrix.banded(n, bands, options);
+    }
+    
+    /**
+     * Creates a matrix from a dense two-dimensional array
+     * @param {number[][]} array2d - Rows of values, all of the same length
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @returns {SparseMatrix} Matrix holding the non-zero values
+     * @throws {Error} If the array is empty or its rows differ in length
+     */
+    static fromDense(array2d, options = {}) {
+        if (!Array.isArray(array2d) || array2d.length === 0 || !Array.isArray(array2d[0])) {
+            throw new Error("Invalid dense matrix: expected a non-empty array of rows");
         }
         
-        // Add non-zero elements from the other matrix
-        for (const key in matrix.elements) {
-            const [rowStr, colStr] = this._splitString(key, ',');
-            const row = this._parseInt(rowStr);
-            const col = this._parseInt(colStr);
-            const currentValue = result.getElement(row, col);
-            result.setElement(row, col, currentValue + matrix.elements[key]);
+        const cols = array2d[0].length;
+        checkSize(array2d.length, cols);
+        const matrix = new SparseMatrix(null, array2d.length, cols, options);
+        for (let row = 0; row < array2d.length; row++) {
+            if (!Array.isArray(array2d[row]) || array2d[row].length !== cols) {
+                throw new Error(`Invalid dense matrix: row ${row} does not have ${cols} values`);
+            }
+            for (let col = 0; col < cols; col++) {
+                matrix._storeValue(row, col, array2d[row][col]);
+            }
         }
         
-        return result;
+        return matrix;
     }
     
     /**
-     * Subtracts a matrix from this matrix
-     * @param {SparseMatrix} matrix - The matrix to subtract
-     * @returns {SparseMatrix} The result of subtraction
+     * Creates a matrix from (row, col, value) triplets
+     * @param {number} rows - Number of rows
+     * @param {number} cols - Number of columns
+     * @param {Iterable<[number, number, number]|{row: number, col: number, value: number}>} triplets
+     *   Entries as [row, col, value] arrays or as objects like those from entries()
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @param {boolean} [options.sumDuplicates=false] - Add up repeated positions instead of keeping
+     *   the last value, as when assembling finite element matrices
+     * @returns {SparseMatrix} The matrix
+     * @throws {Error} If a triplet lies outside the matrix
      */
-    subtract(matrix) {
-        if (this.rows !== matrix.rows || this.cols !== matrix.cols) {
-            throw new Error("Matrix dimensions don't match for subtraction");
-        }
-        
-        const result = new SparseMatrix(null, this.rows, this.cols);
+    static fromTriplets(rows, cols, triplets, options = {}) {
+        checkSize(rows, cols);
+        const matrix = new SparseMatrix(null, rows, cols, options);
         
-        // Add non-zero elements from this matrix
-        for (const key in this.elements) {
-            const [rowStr, colStr] = this._splitString(key, ',');
-            const row = this._parseInt(rowStr);
-            const col = this._parseInt(colStr);
-            result.setElement(row, col, this.elements[key]);
+        // Collect first so sums that cancel out, or only exceed the tolerance together, come out right
+        const collected = new Map();
+        for (const triplet of triplets) {
+            const [row, col, rawValue] = Array.isArray(triplet)
+                ? triplet : [triplet.row, triplet.col, triplet.value];
+            if (!Number.isInteger(row) || !Number.isInteger(col)) {
+                throw new Error(`Invalid triplet position: (${row}, ${col})`);
+            }
+            matrix._checkBounds(row, col);
+            // Convert before summing, so that numbers and BigInts never meet in one sum
+            const value = matrix._toValue(rawValue);
+            
+            let rowData = collected.get(row);
+            if (rowData === undefined) {
+                rowData = new Map();
+                collected.set(row, rowData);
+            }
+            const previous = rowData.get(col);
+            rowData.set(col, options.sumDuplicates && previous !== undefined ? previous + value : value);
         }
         
-        // Subtract non-zero elements from the other matrix
-        for (const key in matrix.elements) {
-            const [rowStr, colStr] = this._splitString(key, ',');
-            const row = this._parseInt(rowStr);
-            const col = this._parseInt(colStr);
-            const currentValue = result.getElement(row, col);
-            result.setElement(row, col, currentValue - matrix.elements[key]);
+        for (const [row, rowData] of collected) {
+            matrix._storeRow(row, rowData);
         }
         
-        return result;
+        return matrix;
     }
     
     /**
-     * Multiplies two matrices
-     * @param {SparseMatrix} matrix - The matrix to multiply with
-     * @returns {SparseMatrix} The result of multiplication
+     * Creates a random sparse matrix. The same seed always gives the same matrix.
+     * Exactly round(density * rows * cols) positions hold values drawn uniformly from [-1, 1).
+     * @param {number} rows - Number of rows
+     * @param {number} cols - Number of columns
+     * @param {number} density - Fraction of non-zero positions, between 0 and 1
+     * @param {number} seed - Integer seed for the random number generator
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @returns {SparseMatrix} Random matrix
      */
-    multiply(matrix) {
-        if (this.cols !== matrix.rows) {
-            throw new Error("Matrix dimensions don't match for multiplication");
+    static random(rows, cols, density, seed, options = {}) {
+        checkSize(rows, cols);
+        if (typeof density !== 'number' || !(density >= 0 && density <= 1)) {
+            throw new Error(`Invalid density: ${density} (expected a number between 0 and 1)`);
+        }
+        if (!Number.isInteger(seed)) {
+            throw new Error(`Invalid seed: ${seed} (expected an integer)`);
         }
         
-        const result = new SparseMatrix(null, this.rows, matrix.cols);
+        const random = createRandom(seed);
+        const matrix = new SparseMatrix(null, rows, cols, options);
+        if (matrix.zeroTolerance >= 1) {
+            throw new Error(`Zero tolerance ${matrix.zeroTolerance} would drop every random value`);
+        }
+        const size = rows * cols;
+        const count = Math.round(density * size);
+        const nextValue = () => {
+            let value;
+            do {
+                value = random() * 2 - 1;
+            } while (matrix._isZero(value));
+            return value;
+        };
         
-        // For each non-zero element in this matrix
-        for (const keyA in this.elements) {
-            const [rowAStr, colAStr] = this._splitString(keyA, ',');
-            const rowA = this._parseInt(rowAStr);
-            const colA = this._parseInt(colAStr);
-            const valueA = this.elements[keyA];
-            
-            // Find matching elements in the second matrix (colA = rowB)
-            for (const keyB in matrix.elements) {
-                const [rowBStr, colBStr] = this._splitString(keyB, ',');
-                const rowB = this._parseInt(rowBStr);
-                const colB = this._parseInt(colBStr);
-                const valueB = matrix.elements[keyB];
-                
-                if (colA === rowB) {
-                    const product = valueA * valueB;
-                    if (product !== 0) {
-                        const currentValue = result.getElement(rowA, colB);
-                        result.setElement(rowA, colB, currentValue + product);
-                    }
+        if (count <= size / 2) {
+            // Sparse: draw positions until enough distinct ones are filled
+            while (matrix.elementCount < count) {
+                const position = Math.floor(random() * size);
+                const row = Math.floor(position / cols);
+                const col = position % cols;
+                if (!matrix._rowData.has(row) || !matrix._rowData.get(row).has(col)) {
+                    matrix._storeValue(row, col, nextValue());
+                }
+            }
+        } else {
+            // Dense: draw the positions to leave empty instead, then fill the rest
+            const empty = new Set();
+            while (empty.size < size - count) {
+                empty.add(Math.floor(random() * size));
+            }
+            for (let position = 0; position < size; position++) {
+                if (!empty.has(position)) {
+                    matrix._storeValue(Math.floor(position / cols), position % cols, nextValue());
                 }
             }
         }
         
-        return result;
+        return matrix;
     }
     
     /**
-     * Converts the matrix to a string representation
-     * @returns {string} String representation of the matrix
+     * Checks that a position lies inside the matrix
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @throws {Error} If the position is out of bounds
      */
-    toString() {
-        let result = `rows=${this.rows}\ncols=${this.cols}\n`;
-        
-        // Sort elements by row, then column for consistent output
-        const entries = [];
-        for (const key in this.elements) {
-            const [rowStr, colStr] = this._splitString(key, ',');
-            const row = this._parseInt(rowStr);
-            const col = this._parseInt(colStr);
-            entries.push({ row, col, value: this.elements[key] });
+    _checkBounds(row, col) {
+        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
+            throw new Error(`Index out of bounds: (${row}, ${col}) not in matrix of size ${this.rows}x${this.cols}`);
         }
-        
-        // Sort entries by row, then by column
-        entries.sort((a, b) => {
-            if (a.row !== b.row) {
-                return a.row - b.row;
-            }
-            return a.col - b.col;
+    }
+    
+    /**
+     * Checks whether a value counts as the semiring zero, within the zero tolerance
+     * when the zero is 0
+     * @param {number} value - Value to check
+     * @returns {boolean} Whether the value is treated as zero
+     */
+    _isZero(value) {
+        const zero = this.semiring.zero;
+        return zero === 0 ? Math.abs(value) <= this.zeroTolerance : value === zero;
+    }
+    
+    /**
+     * Creates an empty matrix that shares this matrix's options
+     * @param {number} numRows - Number of rows
+     * @param {number} numCols - Number of columns
+     * @param {Object} [semiring] - Semiring of the new matrix, if not this matrix's
+     * @returns {SparseMatrix} Empty matrix
+     */
+    _createResult(numRows, numCols, semiring = this.semiring) {
+        return new SparseMatrix(null, numRows, numCols, {
+            zeroTolerance: this.zeroTolerance,
+            logger: this.logger,
+            semiring,
+            valueType: this.valueType
         });
+    }
+    
+    /**
+     * Converts a value to this matrix's value type
+     * @param {number|bigint} value - Value to convert
+     * @returns {number|bigint} The same value as a BigInt in BigInt mode, or as a number otherwise
+     * @throws {Error} If the value cannot be converted exactly
+     */
+    _toValue(value) {
+        if (this.valueType === 'bigint') {
+            if (typeof value === 'bigint') {
+                return value;
+            }
+            if (!Number.isSafeInteger(value)) {
+                throw new Error(`Cannot store ${value} exactly as a BigInt`);
+            }
+            return BigInt(value);
+        }
+        if (typeof value === 'bigint') {
+            if (value < BigInt(Number.MIN_SAFE_INTEGER) || value > BigInt(Number.MAX_SAFE_INTEGER)) {
+                throw new Error(`Cannot store ${value} exactly as a number; use the bigint value type`);
+            }
+            return Number(value);
+        }
+        return value;
+    }
+    
+    /**
+     * Checks that the matrix holds numbers, for operations that are not exact on BigInt values
+     * @param {string} operation - Operation name for the error message
+     * @throws {Error} In BigInt mode
+     */
+    _requireNumbers(operation) {
+        if (this.valueType === 'bigint') {
+            throw new Error(`BigInt values do not support ${operation}`);
+        }
+    }
+    
+    /**
+     * Checks that this matrix, and another operand if given, use ordinary arithmetic, for
+     * operations defined with plain -, *, / and comparisons rather than through a semiring
+     * @param {string} operation - Operation name for the error message
+     * @param {SparseMatrix} [matrix] - The other operand
+     * @throws {Error} If either matrix uses another semiring
+     */
+    _requireArithmetic(operation, matrix = this) {
+        for (const operand of [this, matrix]) {
+            const semiring = operand.semiring;
+            if (semiring !== semirings.arithmetic && semiring !== semirings.bigint) {
+                throw new Error(`${operation} needs ordinary arithmetic, ` +
+                    `not the ${semiring.name || 'custom'} semiring`);
+            }
+        }
+    }
+    
+    /**
+     * Stores a value in the row index without bounds checking.
+     * Zero values remove the entry so only non-zeros are kept.
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number|bigint} value - Value to store, converted to the matrix's value type
+     */
+    _storeValue(row, col, value) {
+        if (typeof value === 'bigint' || this.valueType === 'bigint') {
+            value = this._toValue(value);
+        }
+        let rowData = this._rowData.get(row);
         
-        for (const entry of entries) {
-            result += `(${entry.row}, ${entry.col}, ${entry.value})\n`;
+        if (this._isZero(value)) {
+            // Remove zero values to save memory
+            if (rowData !== undefined && rowData.has(col)) {
+                this._colData = null;
+                rowData.delete(col);
+                if (rowData.size === 0) {
+                    this._rowData.delete(row);
+                }
+                this.elementCount--;
+            }
+            return;
         }
         
-        return result;
+        this._colData = null;
+        if (rowData === undefined) {
+            rowData = new Map();
+            this._rowData.set(row, rowData);
+        }
+        if (!rowData.has(col)) {
+            this.elementCount++;
+        }
+        rowData.set(col, value);
     }
     
     /**
-     * Saves the matrix to a file
+     * Replaces a whole row of the index with pre-computed values.
+     * Zero values in the given map are dropped.
+     * @param {number} row - Row index
+     * @param {Map<number, number>} rowData - Column to value map for the row
+     */
+    _storeRow(row, rowData) {
+        this._colData = null;
+        const previous = this._rowData.get(row);
+        if (previous !== undefined) {
+            this.elementCount -= previous.size;
+            this._rowData.delete(row);
+        }
+        
+        for (const [col, value] of rowData) {
+            if (this._isZero(value)) {
+                rowData.delete(col);
+            }
+        }
+        
+        if (rowData.size > 0) {
+            this._rowData.set(row, rowData);
+            this.elementCount += rowData.size;
+        }
+    }
+    
+    /**
+     * Returns the indices of the non-empty rows in ascending order
+     * @returns {number[]} Sorted row indices
+     */
+    _sortedRowIndices() {
+        return Array.from(this._rowData.keys()).sort((a, b) => a - b);
+    }
+    
+    /**
+     * Returns the entries of one row sorted by column
+     * @param {number} row - Row index
+     * @returns {Array<[number, number]>} Sorted [col, value] pairs
+     */
+    _sortedRowEntries(row) {
+        const rowData = this._rowData.get(row);
+        if (rowData === undefined) {
+            return [];
+        }
+        return Array.from(rowData).sort((a, b) => a[0] - b[0]);
+    }
+    
+    /**
+     * Returns the column index, building it from the row index if needed
+     * @returns {Map<number, Map<number, number>>} Column to (row to value) map
+     */
+    _columnIndex() {
+        if (this._colData === null) {
+            this._colData = new Map();
+            for (const [row, rowData] of this._rowData) {
+                for (const [col, value] of rowData) {
+                    let colData = this._colData.get(col);
+                    if (colData === undefined) {
+                        colData = new Map();
+                        this._colData.set(col, colData);
+                    }
+                    colData.set(row, value);
+                }
+            }
+        }
+        return this._colData;
+    }
+    
+    /**
+     * Iterates over the non-zero elements in row-major order
+     * @returns {Iterator<{row: number, col: number, value: number}>} Non-zero entries
+     */
+    *entries() {
+        for (const row of this._sortedRowIndices()) {
+            for (const [col, value] of this._sortedRowEntries(row)) {
+                yield { row, col, value };
+            }
+        }
+    }
+    
+    /**
+     * Iterates over the non-zero elements, like entries()
+     * @returns {Iterator<{row: number, col: number, value: number}>} Non-zero entries
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+    
+    /**
+     * Calls a function for every non-zero element in row-major order
+     * @param {function(number, number, number): void} fn - Called with (value, row, col)
+     */
+    forEachNonZero(fn) {
+        for (const { row, col, value } of this.entries()) {
+            fn(value, row, col);
+        }
+    }
+    
+    /**
+     * Converts a map of index to value into a sparse vector sorted by index
+     * @param {Map<number, number>|undefined} data - Index to value map
+     * @param {number} length - Length of the vector
+     * @returns {{length: number, indices: number[], values: number[]}} Sparse vector
+     */
+    _toSparseVector(data, length) {
+        const pairs = data !== undefined ? Array.from(data).sort((a, b) => a[0] - b[0]) : [];
+        return {
+            length,
+            indices: pairs.map((pair) => pair[0]),
+            values: pairs.map((pair) => pair[1])
+        };
+    }
+    
+    /**
+     * Returns one row as a sparse vector
+     * @param {number} i - Row index
+     * @returns {{length: number, indices: number[], values: number[]}} Column indices and values
+     *   of the non-zeros in the row, sorted by column
+     */
+    row(i) {
+        this._checkBounds(i, 0);
+        return this._toSparseVector(this._rowData.get(i), this.cols);
+    }
+    
+    /**
+     * Returns one column as a sparse vector
+     * @param {number} j - Column index
+     * @returns {{length: number, indices: number[], values: number[]}} Row indices and values
+     *   of the non-zeros in the column, sorted by row
+     */
+    col(j) {
+        this._checkBounds(0, j);
+        return this._toSparseVector(this._columnIndex().get(j), this.rows);
+    }
+    
+    /**
+     * Extracts a block of the matrix. Like Array#slice, the end indices are exclusive.
+     * @param {number} r0 - First row
+     * @param {number} r1 - Row after the last row
+     * @param {number} c0 - First column
+     * @param {number} c1 - Column after the last column
+     * @returns {SparseMatrix} (r1 - r0) x (c1 - c0) matrix
+     */
+    submatrix(r0, r1, c0, c1) {
+        const validRange = (start, end, size) =>
+            Number.isInteger(start) && Number.isInteger(end) && start >= 0 && start < end && end <= size;
+        if (!validRange(r0, r1, this.rows) || !validRange(c0, c1, this.cols)) {
+            throw new Error(`Invalid submatrix range: rows ${r0}..${r1}, columns ${c0}..${c1} ` +
+                `in matrix of size ${this.rows}x${this.cols}`);
+        }
+        
+        const result = this._createResult(r1 - r0, c1 - c0);
+        for (const [row, rowData] of this._rowData) {
+            if (row < r0 || row >= r1) {
+                continue;
+            }
+            for (const [col, value] of rowData) {
+                if (col >= c0 && col < c1) {
+                    result._storeValue(row - r0, col - c0, value);
+                }
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Applies a function to every non-zero element. Results that are zero are dropped;
+     * positions that are zero in this matrix stay zero.
+     * @param {function(number, number, number): number} fn - Called with (value, row, col)
+     * @returns {SparseMatrix} Matrix of the results
+     */
+    map(fn) {
+        const result = this._createResult(this.rows, this.cols);
+        for (const [row, rowData] of this._rowData) {
+            const mapped = new Map();
+            for (const [col, value] of rowData) {
+                mapped.set(col, fn(value, row, col));
+            }
+            result._storeRow(row, mapped);
+        }
+        return result;
+    }
+    
+    /**
+     * Keeps the non-zero elements for which a predicate holds
+     * @param {function(number, number, number): boolean} fn - Called with (value, row, col)
+     * @returns {SparseMatrix} Matrix of the kept elements
+     */
+    filter(fn) {
+        const result = this._createResult(this.rows, this.cols);
+        for (const [row, rowData] of this._rowData) {
+            for (const [col, value] of rowData) {
+                if (fn(value, row, col)) {
+                    result._storeValue(row, col, value);
+                }
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Gets the value at a specific position
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {number} The value at the position (0 if not set)
+     */
+    getElement(row, col) {
+        this._checkBounds(row, col);
+        
+        const rowData = this._rowData.get(row);
+        if (rowData === undefined) {
+            return this.semiring.zero;
+        }
+        const value = rowData.get(col);
+        return value !== undefined ? value : this.semiring.zero;
+    }
+    
+    /**
+     * Sets the value at a specific position
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} value - Value to set
+     */
+    setElement(row, col, value) {
+        this._checkBounds(row, col);
+        this._storeValue(row, col, value);
+    }
+    
+    /**
+     * Combines this matrix with another of the same size entry by entry.
+     * Visits only positions that are non-zero in at least one operand.
+     * @param {SparseMatrix} matrix - The other matrix
+     * @param {function(number, number): number} combine - Combines the two values at a position
+     * @param {Object} [semiring] - Semiring whose zero stands in for missing values and
+     *   which the result uses, if not this matrix's
+     * @returns {SparseMatrix} The combined matrix
+     */
+    _combineWith(matrix, combine, semiring = this.semiring) {
+        const result = this._createResult(this.rows, this.cols, semiring);
+        const zero = semiring.zero;
+        
+        for (const [row, rowData] of this._rowData) {
+            const otherRow = matrix._rowData.get(row);
+            const combined = new Map();
+            
+            for (const [col, value] of rowData) {
+                const otherValue = otherRow !== undefined ? otherRow.get(col) : undefined;
+                combined.set(col, combine(value, otherValue !== undefined ? otherValue : zero));
+            }
+            if (otherRow !== undefined) {
+                for (const [col, otherValue] of otherRow) {
+                    if (!rowData.has(col)) {
+                        combined.set(col, combine(zero, otherValue));
+                    }
+                }
+            }
+            result._storeRow(row, combined);
+        }
+        
+        // Rows that only exist in the other matrix
+        for (const [row, otherRow] of matrix._rowData) {
+            if (this._rowData.has(row)) {
+                continue;
+            }
+            const combined = new Map();
+            for (const [col, otherValue] of otherRow) {
+                combined.set(col, combine(zero, otherValue));
+            }
+            result._storeRow(row, combined);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Adds two matrices
+     * @param {SparseMatrix} matrix - The matrix to add
+     * @param {Object} [semiring] - Semiring whose add to use, if not this matrix's (see semirings.js)
+     * @returns {SparseMatrix} The result of addition, in the semiring used
+     */
+    add(matrix, semiring = this.semiring) {
+        if (this.rows !== matrix.rows || this.cols !== matrix.cols) {
+            throw new Error("Matrix dimensions don't match for addition");
+        }
+        
+        semirings.checkSemiring(semiring);
+        return this._combineWith(matrix, semiring.add, semiring);
+    }
+    
+    /**
+     * Subtracts a matrix from this matrix
+     * @param {SparseMatrix} matrix - The matrix to subtract
+     * @returns {SparseMatrix} The result of subtraction
+     * @throws {Error} If either matrix uses a semiring other than ordinary arithmetic
+     */
+    subtract(matrix) {
+        if (this.rows !== matrix.rows || this.cols !== matrix.cols) {
+            throw new Error("Matrix dimensions don't match for subtraction");
+        }
+        this._requireArithmetic('Subtraction', matrix);
+        
+        return this._combineWith(matrix, (a, b) => a - b);
+    }
+    
+    /**
+     * Multiplies two matrices
+     * Row-by-row (Gustavson) product: each non-zero A[i][k] is combined only
+     * with the non-zeros of row k of the other matrix.
+     * @param {SparseMatrix} matrix - The matrix to multiply with
+     * @param {Object} [semiring] - Semiring whose add and multiply to use, if not this matrix's
+     *   (see semirings.js)
+     * @returns {SparseMatrix} The result of multiplication, in the semiring used
+     */
+    multiply(matrix, semiring = this.semiring) {
+        if (this.cols !== matrix.rows) {
+            throw new Error("Matrix dimensions don't match for multiplication");
+        }
+        
+        semirings.checkSemiring(semiring);
+        const { add, multiply } = semiring;
+        const result = this._createResult(this.rows, matrix.cols, semiring);
+        
+        for (const [rowA, rowData] of this._rowData) {
+            const accumulator = new Map();
+            
+            for (const [colA, valueA] of rowData) {
+                const rowB = matrix._rowData.get(colA);
+                if (rowB === undefined) {
+                    continue;
+                }
+                for (const [colB, valueB] of rowB) {
+                    const current = accumulator.get(colB);
+                    const product = multiply(valueA, valueB);
+                    accumulator.set(colB, current !== undefined ? add(current, product) : product);
+                }
+            }
+            
+            result._storeRow(rowA, accumulator);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Multiplies two matrices on worker threads, each computing a block of rows of the product.
+     * Small products, and matrices using a semiring or BigInt values, are multiplied serially.
+     * @param {SparseMatrix} matrix - The matrix to multiply with
+     * @param {Object} [options] - Parallel options (see parallel.js)
+     * @param {number} [options.workers] - Number of worker threads (default: number of CPUs)
+     * @returns {Promise<SparseMatrix>} The product, identical to multiply(matrix)
+     */
+    multiplyParallel(matrix, options = {}) {
+        return require('./parallel').multiplyParallel(this, matrix, options);
+    }
+    
+    /**
+     * Factors the matrix as P·B = L·U with partial pivoting, where B is the matrix with its rows
+     * and columns reordered to reduce fill-in (see factorizations.js)
+     * @param {Object} [options] - Factorization options
+     * @param {string} [options.ordering='rcm'] - 'rcm' (reverse Cuthill-McKee) or 'natural'
+     * @returns {LUFactorization} Factor object with solve(b), determinant() and inverse()
+     * @throws {Error} If the matrix is not square, holds BigInt values or is singular
+     */
+    lu(options = {}) {
+        return require('./factorizations').lu(this, options);
+    }
+    
+    /**
+     * Factors a symmetric positive definite matrix as B = L·L^T, where B is the matrix with
+     * its rows and columns reordered to reduce fill-in (see factorizations.js)
+     * @param {Object} [options] - Factorization options, as for lu()
+     * @returns {CholeskyFactorization} Factor object with solve(b), determinant() and inverse()
+     * @throws {Error} If the matrix is not square, holds BigInt values, or is not symmetric
+     *   positive definite
+     */
+    cholesky(options = {}) {
+        return require('./factorizations').cholesky(this, options);
+    }
+    
+    /**
+     * Checks that a value is a vector of the expected length, and that this matrix holds
+     * numbers with ordinary arithmetic
+     * @param {number[]|TypedArray} vector - Plain or typed array
+     * @param {number} expectedLength - Required length
+     * @param {string} operation - Operation name for the error message
+     * @throws {Error} If the value is not an array or has the wrong length, or the matrix
+     *   holds BigInt values or uses another semiring
+     */
+    _checkVector(vector, expectedLength, operation) {
+        const isArray = Array.isArray(vector) || (ArrayBuffer.isView(vector) && !(vector instanceof DataView));
+        if (!isArray) {
+            throw new Error(`Expected an array or typed array for ${operation}`);
+        }
+        this._requireNumbers(operation);
+        this._requireArithmetic(operation[0].toUpperCase() + operation.slice(1));
+        if (vector.length !== expectedLength) {
+            throw new Error(`Matrix and vector dimensions don't match for ${operation}: ` +
+                `expected length ${expectedLength}, got ${vector.length}`);
+        }
+    }
+    
+    /**
+     * Multiplies the matrix by a vector (A·x)
+     * @param {number[]|TypedArray} x - Vector with one value per column
+     * @returns {Float64Array} Vector with one value per row
+     */
+    multiplyVector(x) {
+        this._checkVector(x, this.cols, 'matrix-vector multiplication');
+        
+        const result = new Float64Array(this.rows);
+        for (const [row, rowData] of this._rowData) {
+            let sum = 0;
+            for (const [col, value] of rowData) {
+                sum += value * x[col];
+            }
+            result[row] = sum;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Multiplies the transpose of the matrix by a vector (A^T·x) without forming the transpose
+     * @param {number[]|TypedArray} x - Vector with one value per row
+     * @returns {Float64Array} Vector with one value per column
+     */
+    transposeMultiplyVector(x) {
+        this._checkVector(x, this.rows, 'transposed matrix-vector multiplication');
+        
+        const result = new Float64Array(this.cols);
+        for (const [row, rowData] of this._rowData) {
+            const factor = x[row];
+            if (factor === 0) {
+                continue;
+            }
+            for (const [col, value] of rowData) {
+                result[col] += value * factor;
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Transposes the matrix
+     * @returns {SparseMatrix} The transposed matrix
+     */
+    transpose() {
+        const result = this._createResult(this.cols, this.rows);
+        
+        for (const [row, rowData] of this._rowData) {
+            for (const [col, value] of rowData) {
+                result._storeValue(col, row, value);
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Multiplies every element by a scalar
+     * @param {number} k - Scalar factor
+     * @returns {SparseMatrix} The scaled matrix
+     * @throws {Error} If the matrix uses a semiring other than ordinary arithmetic
+     */
+    scale(k) {
+        this._requireArithmetic('Scaling');
+        k = this._toValue(k);
+        const result = this._createResult(this.rows, this.cols);
+        
+        for (const [row, rowData] of this._rowData) {
+            const scaled = new Map();
+            for (const [col, value] of rowData) {
+                scaled.set(col, value * k);
+            }
+            result._storeRow(row, scaled);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Negates every element
+     * @returns {SparseMatrix} The negated matrix
+     */
+    negate() {
+        return this.scale(-1);
+    }
+    
+    /**
+     * Checks that another matrix has the same dimensions as this one
+     * @param {SparseMatrix} matrix - The other matrix
+     * @param {string} operation - Operation name for the error message
+     * @throws {Error} If the dimensions differ
+     */
+    _checkSameSize(matrix, operation) {
+        if (this.rows !== matrix.rows || this.cols !== matrix.cols) {
+            throw new Error(`Matrix dimensions don't match for ${operation}`);
+        }
+    }
+    
+    /**
+     * Combines two matrices at the positions where both are non-zero.
+     * Suitable for operations where a zero operand always gives zero.
+     * @param {SparseMatrix} matrix - The other matrix
+     * @param {function(number, number): number} combine - Combines the two values at a position
+     * @returns {SparseMatrix} The combined matrix
+     */
+    _intersectWith(matrix, combine) {
+        const result = this._createResult(this.rows, this.cols);
+        
+        for (const [row, rowData] of this._rowData) {
+            const otherRow = matrix._rowData.get(row);
+            if (otherRow === undefined) {
+                continue;
+            }
+            
+            // Walk the shorter row and look values up in the longer one
+            const [shorter, longer, swapped] = rowData.size <= otherRow.size
+                ? [rowData, otherRow, false]
+                : [otherRow, rowData, true];
+            const combined = new Map();
+            for (const [col, value] of shorter) {
+                const otherValue = longer.get(col);
+                if (otherValue !== undefined) {
+                    combined.set(col, swapped ? combine(otherValue, value) : combine(value, otherValue));
+                }
+            }
+            result._storeRow(row, combined);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Element-wise (Hadamard) product
+     * @param {SparseMatrix} matrix - The matrix to multiply with element by element
+     * @returns {SparseMatrix} The element-wise product
+     */
+    hadamard(matrix) {
+        this._checkSameSize(matrix, 'element-wise product');
+        this._requireArithmetic('Element-wise product', matrix);
+        return this._intersectWith(matrix, (a, b) => a * b);
+    }
+    
+    /**
+     * Element-wise division. Positions where this matrix is zero stay zero.
+     * @param {SparseMatrix} matrix - The divisor matrix
+     * @returns {SparseMatrix} The element-wise quotient
+     * @throws {Error} If a non-zero element would be divided by zero
+     */
+    divide(matrix) {
+        this._checkSameSize(matrix, 'element-wise division');
+        this._requireArithmetic('Element-wise division', matrix);
+        this._requireNumbers('element-wise division');
+        
+        const result = this._createResult(this.rows, this.cols);
+        
+        for (const [row, rowData] of this._rowData) {
+            const otherRow = matrix._rowData.get(row);
+            const quotient = new Map();
+            for (const [col, value] of rowData) {
+                const divisor = otherRow !== undefined ? otherRow.get(col) : undefined;
+                if (divisor === undefined) {
+                    throw new Error(`Division by zero at (${row}, ${col})`);
+                }
+                quotient.set(col, value / divisor);
+            }
+            result._storeRow(row, quotient);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Element-wise minimum
+     * @param {SparseMatrix} matrix - The other matrix
+     * @returns {SparseMatrix} Matrix of the smaller value at each position
+     */
+    min(matrix) {
+        this._checkSameSize(matrix, 'element-wise minimum');
+        this._requireArithmetic('Element-wise minimum', matrix);
+        return this._combineWith(matrix, (a, b) => (b < a ? b : a));
+    }
+    
+    /**
+     * Element-wise maximum
+     * @param {SparseMatrix} matrix - The other matrix
+     * @returns {SparseMatrix} Matrix of the larger value at each position
+     */
+    max(matrix) {
+        this._checkSameSize(matrix, 'element-wise maximum');
+        this._requireArithmetic('Element-wise maximum', matrix);
+        return this._combineWith(matrix, (a, b) => (b > a ? b : a));
+    }
+    
+    /**
+     * Builds the test used to decide whether two values at a position are the same
+     * @param {Object} tolerances - Comparison tolerances
+     * @param {number} [tolerances.absTol=0] - Largest absolute difference that still counts as equal
+     * @param {number} [tolerances.relTol=0] - Largest difference relative to the larger magnitude
+     * @param {SparseMatrix} matrix - The matrix compared with this one
+     * @returns {function(number, number): boolean} Whether two values count as equal
+     * @throws {Error} If a tolerance is negative or not a number, or is non-zero while either
+     *   matrix holds BigInt values
+     */
+    _valuesEqual(tolerances, matrix) {
+        const absTol = tolerances.absTol !== undefined ? tolerances.absTol : 0;
+        const relTol = tolerances.relTol !== undefined ? tolerances.relTol : 0;
+        for (const [name, tolerance] of [['absTol', absTol], ['relTol', relTol]]) {
+            if (typeof tolerance !== 'number' || !(tolerance >= 0)) {
+                throw new Error(`Invalid ${name}: ${tolerance}`);
+            }
+        }
+        
+        if (absTol === 0 && relTol === 0) {
+            return (a, b) => a === b;
+        }
+        this._requireNumbers('comparison with a tolerance');
+        matrix._requireNumbers('comparison with a tolerance');
+        return (a, b) => Math.abs(a - b) <= Math.max(absTol, relTol * Math.max(Math.abs(a), Math.abs(b)));
+    }
+    
+    /**
+     * Visits every position where this matrix and another matrix of the same size differ.
+     * Positions missing from one matrix hold this matrix's semiring zero there.
+     * @param {SparseMatrix} matrix - The other matrix
+     * @param {function(number, number): boolean} valuesEqual - Whether two values count as equal
+     * @param {function(number, number, number, number): boolean|void} onDifference - Called with
+     *   (row, col, a, b); returning false stops the walk
+     */
+    _walkDifferences(matrix, valuesEqual, onDifference) {
+        const zero = this.semiring.zero;
+        for (const [row, rowData] of this._rowData) {
+            const otherRow = matrix._rowData.get(row);
+            for (const [col, value] of rowData) {
+                const otherValue = otherRow !== undefined && otherRow.has(col) ? otherRow.get(col) : zero;
+                if (!valuesEqual(value, otherValue) && onDifference(row, col, value, otherValue) === false) {
+                    return;
+                }
+            }
+        }
+        
+        for (const [row, otherRow] of matrix._rowData) {
+            const rowData = this._rowData.get(row);
+            for (const [col, otherValue] of otherRow) {
+                if ((rowData === undefined || !rowData.has(col)) && !valuesEqual(zero, otherValue) &&
+                    onDifference(row, col, zero, otherValue) === false) {
+                    return;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Checks whether another matrix has the same size and exactly the same values
+     * @param {SparseMatrix} matrix - The other matrix
+     * @returns {boolean} Whether the matrices are equal
+     */
+    equals(matrix) {
+        return this.approxEquals(matrix, { relTol: 0 });
+    }
+    
+    /**
+     * Checks whether another matrix has the same size and values that agree within a tolerance.
+     * Values a and b agree when |a - b| <= max(absTol, relTol * max(|a|, |b|)).
+     * BigInt values are exact, so they are compared exactly unless tolerances are given.
+     * @param {SparseMatrix} matrix - The other matrix
+     * @param {Object} [tolerances] - Comparison tolerances
+     * @param {number} [tolerances.absTol=0] - Absolute tolerance
+     * @param {number} [tolerances.relTol=1e-9] - Relative tolerance (0 for BigInt values)
+     * @returns {boolean} Whether the matrices agree
+     * @throws {Error} If a non-zero tolerance is given while either matrix holds BigInt values
+     */
+    approxEquals(matrix, tolerances = {}) {
+        if (!(matrix instanceof SparseMatrix) || this.rows !== matrix.rows || this.cols !== matrix.cols) {
+            return false;
+        }
+        
+        const exact = this.valueType === 'bigint' || matrix.valueType === 'bigint';
+        const { relTol = exact ? 0 : 1e-9, absTol = 0 } = tolerances;
+        let equal = true;
+        this._walkDifferences(matrix, this._valuesEqual({ relTol, absTol }, matrix), () => {
+            equal = false;
+            return false;
+        });
+        return equal;
+    }
+    
+    /**
+     * Lists the differences between this matrix (A) and another matrix (B) of the same size
+     * @param {SparseMatrix} matrix - The other matrix
+     * @param {Object} [tolerances] - Comparison tolerances, as for approxEquals (default: exact)
+     * @returns {{onlyInA: Array<{row: number, col: number, value: number}>,
+     *   onlyInB: Array<{row: number, col: number, value: number}>,
+     *   differing: Array<{row: number, col: number, a: number, b: number}>}}
+     *   Non-zeros of A where B is zero, non-zeros of B where A is zero, and positions where both
+     *   are non-zero with different values, each in row-major order
+     * @throws {Error} If the dimensions differ
+     */
+    diff(matrix, tolerances = {}) {
+        this._checkSameSize(matrix, 'comparison');
+        
+        const zero = this.semiring.zero;
+        const result = { onlyInA: [], onlyInB: [], differing: [] };
+        this._walkDifferences(matrix, this._valuesEqual(tolerances, matrix), (row, col, a, b) => {
+            if (b === zero) {
+                result.onlyInA.push({ row, col, value: a });
+            } else if (a === zero) {
+                result.onlyInB.push({ row, col, value: b });
+            } else {
+                result.differing.push({ row, col, a, b });
+            }
+        });
+        
+        const rowMajor = (x, y) => x.row - y.row || x.col - y.col;
+        result.onlyInA.sort(rowMajor);
+        result.onlyInB.sort(rowMajor);
+        result.differing.sort(rowMajor);
+        return result;
+    }
+    
+    /**
+     * Formats a value for the text and Matrix Market formats. Numbers too large to be exact
+     * integers are written in exponent form, so they read back as the same number instead of
+     * being taken for an integer that lost precision.
+     * @param {number|bigint} value - Value to format
+     * @returns {string} Formatted value
+     */
+    _formatValue(value) {
+        if (typeof value === 'number' && Number.isInteger(value) && !Number.isSafeInteger(value)) {
+            return value.toExponential();
+        }
+        return `${value}`;
+    }
+    
+    /**
+     * Converts the matrix to a string representation
+     * @returns {string} String representation of the matrix
+     */
+    toString() {
+        const lines = [`rows=${this.rows}`, `cols=${this.cols}`];
+        
+        // Rows, then columns, in ascending order for consistent output
+        for (const row of this._sortedRowIndices()) {
+            for (const [col, value] of this._sortedRowEntries(row)) {
+                lines.push(`(${row}, ${col}, ${this._formatValue(value)})`);
+            }
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Describes the structure and values of the matrix
+     * @returns {Object} Statistics with these fields:
+     *   rows, cols, nonZeros, density (nonZeros / (rows * cols));
+     *   nonZerosPerRow and nonZerosPerCol, each {min, max, mean, histogram}, where histogram lists
+     *   {from, to, count} buckets for 0, 1, 2-3, 4-7, ... non-zeros;
+     *   emptyRows, emptyCols;
+     *   bandwidth {lower, upper}, the largest distance of a non-zero below and above the diagonal;
+     *   diagonalDominance, by rows: 'strict', 'weak', 'none', or null for a non-square matrix;
+     *   symmetric and structurallySymmetric (same non-zero pattern as the transpose);
+     *   valueRange {min, max} of the non-zero values (null for an empty matrix);
+     *   sum; norms {frobenius, one, infinity}
+     */
+    stats() {
+        this._requireNumbers('stats()');
+        this._requireArithmetic('stats()');
+        return require('./stats').compute(this);
+    }
+    
+    /**
+     * Converts the matrix to a dense two-dimensional array, for small matrices
+     * @returns {number[][]} Rows of values, zeros included
+     * @throws {Error} If the matrix has more than ten million positions
+     */
+    toDense() {
+        if (this.rows * this.cols > MAX_DENSE_SIZE) {
+            throw new Error(`Matrix of size ${this.rows}x${this.cols} is too large to convert to a dense array`);
+        }
+        
+        const dense = [];
+        for (let row = 0; row < this.rows; row++) {
+            const values = new Array(this.cols).fill(this.semiring.zero);
+            const rowData = this._rowData.get(row);
+            if (rowData !== undefined) {
+                for (const [col, value] of rowData) {
+                    values[col] = value;
+                }
+            }
+            dense.push(values);
+        }
+        return dense;
+    }
+    
+    /**
+     * Converts the matrix to Matrix Market coordinate format with 1-based indices
+     * @returns {string} Matrix Market representation of the matrix
+     */
+    toMatrixMarket() {
+        return require('./MatrixMarket').format(this);
+    }
+    
+    /**
+     * Encodes the matrix in the compact binary format (see binaryFormat.js)
+     * @returns {Buffer} Binary representation of the matrix
+     */
+    toBinary() {
+        this._requireNumbers('the binary format');
+        return require('./binaryFormat').encode(this);
+    }
+    
+    /**
+     * Decodes a matrix from the compact binary format
+     * @param {Buffer|Uint8Array} buffer - Binary matrix data
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @returns {SparseMatrix} The decoded matrix
+     * @throws {MatrixFormatError} If the data is not a valid binary matrix, is truncated or is corrupted
+     */
+    static fromBinary(buffer, options = {}) {
+        return SparseMatrix._fromBinary(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength), options, null);
+    }
+    
+    /**
+     * Decodes binary matrix data, reporting errors against a file path
+     * @param {Buffer} buffer - Binary matrix data
+     * @param {Object} options - Matrix options, as for the constructor
+     * @param {string|null} filePath - Path of the file, for error reporting
+     * @returns {SparseMatrix} The decoded matrix
+     */
+    static _fromBinary(buffer, options, filePath) {
+        const matrix = new SparseMatrix(null, 0, 0, options);
+        try {
+            require('./binaryFormat').decode(buffer, matrix, filePath);
+        } catch (error) {
+            matrix.logger.error(`Error loading matrix: ${error.message}`);
+            throw error;
+        }
+        return matrix;
+    }
+    
+    /**
+     * Saves the matrix in the compact binary format
+     * @param {string} filePath - Path to save the matrix
+     */
+    saveBinary(filePath) {
+        writeFile(filePath, this.toBinary());
+    }
+    
+    /**
+     * Loads a matrix saved with saveBinary
+     * @param {string} filePath - Path to the binary matrix file
+     * @param {Object} [options] - Matrix options, as for the constructor
+     * @returns {SparseMatrix} The loaded matrix
+     * @throws {MatrixFormatError} If the file is not a valid binary matrix, is truncated or is corrupted
+     */
+    static loadBinary(filePath, options = {}) {
+        let buffer;
+        try {
+            const fs = require('fs');
+            buffer = fs.readFileSync(filePath);
+        } catch (error) {
+            throw new Error(`Error reading file: ${error.message}`);
+        }
+        return SparseMatrix._fromBinary(buffer, options, filePath);
+    }
+    
+    /**
+     * Saves the matrix to a file
      * @param {string} filePath - Path to save the matrix
+     * @param {Object} [saveOptions] - Save options
+     * @param {string} [saveOptions.format='text'] - 'text', 'mtx' or 'bin'
      */
-    saveToFile(filePath) {
-        this._writeFile(filePath, this.toString());
+    saveToFile(filePath, saveOptions = {}) {
+        const format = saveOptions.format || 'text';
+        if (format === 'text') {
+            writeFile(filePath, this.toString());
+        } else if (format === 'mtx') {
+            writeFile(filePath, this.toMatrixMarket());
+        } else if (format === 'bin') {
+            this.saveBinary(filePath);
+        } else {
+            throw new Error(`Unknown matrix file format: ${format}`);
+        }
     }
 }
 
@@ -0,0 +1,160 @@
+/**
+ * Benchmark harness: times the main SparseMatrix operations on random
+ * matrices of several sizes and densities, so that versions can be compared
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SparseMatrix = require('./SparseMatrix');
+
+/**
+ * Operations that are timed, in the order they run
+ */
+const OPERATIONS = ['load', 'add', 'subtract', 'multiply', 'toString', 'save'];
+
+/**
+ * Whether node was started with --expose-gc, so that the heap can be measured
+ * after a full garbage collection
+ * @returns {boolean} True when global.gc is available
+ */
+function canCollectGarbage() {
+    return typeof global.gc === 'function';
+}
+
+/**
+ * Returns the heap in use, right after a full garbage collection when node was
+ * started with --expose-gc, so that differences measure live objects rather than
+ * garbage not yet collected. Without it the figure includes such garbage.
+ * @returns {number} Bytes of heap in use
+ */
+function heapUsed() {
+    if (canCollectGarbage()) {
+        global.gc();
+    }
+    return process.memoryUsage().heapUsed;
+}
+
+/**
+ * Times a function over several runs
+ * @param {function(): *} fn - Function to time
+ * @param {number} repeat - Number of runs
+ * @returns {{ms: number, heapDelta: number}} Median time in milliseconds, and the heap
+ *   growth of the first run while its result is still alive
+ */
+function measure(fn, repeat) {
+    const times = [];
+    let heapDelta = 0;
+
+    for (let run = 0; run < repeat; run++) {
+        const heapBefore = run === 0 ? heapUsed() : 0;
+        const start = process.hrtime.bigint();
+        const result = fn();
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+        if (run === 0) {
+            heapDelta = heapUsed() - heapBefore;
+        }
+        // Keep the result reachable until the heap has been measured
+        void result;
+    }
+
+    times.sort((a, b) => a - b);
+    return { ms: times[Math.floor(times.length / 2)], heapDelta };
+}
+
+/**
+ * Benchmarks one size and density
+ * @param {number} size - Number of rows and columns
+ * @param {number} density - Fraction of non-zero positions
+ * @param {number} seed - Seed for the first matrix; the second uses seed + 1
+ * @param {number} repeat - Number of runs of each operation
+ * @param {string} directory - Directory for the files that are saved and loaded
+ * @returns {Object} Result with the case parameters and an entry per operation
+ */
+function benchmarkCase(size, density, seed, repeat, directory) {
+    const a = SparseMatrix.random(size, size, density, seed);
+    const b = SparseMatrix.random(size, size, density, seed + 1);
+    const filePath = path.join(directory, `bench-${size}-${density}.txt`);
+    a.saveToFile(filePath);
+
+    const operations = {
+        load: measure(() => new SparseMatrix(filePath), repeat),
+        add: measure(() => a.add(b), repeat),
+        subtract: measure(() => a.subtract(b), repeat),
+        multiply: measure(() => a.multiply(b), repeat),
+        toString: measure(() => a.toString(), repeat),
+        save: measure(() => a.saveToFile(filePath), repeat)
+    };
+
+    return { rows: size, cols: size, density, nonZeros: a.elementCount, operations };
+}
+
+/**
+ * Runs the benchmark for every combination of size and density
+ * @param {Object} [options] - Benchmark options
+ * @param {number[]} [options.sizes=[500, 1000, 2000]] - Square matrix sizes
+ * @param {number[]} [options.densities=[0.001, 0.01]] - Fractions of non-zero positions
+ * @param {number} [options.seed=1] - Seed for the random matrices
+ * @param {number} [options.repeat=3] - Runs of each operation; the median time is reported
+ * @param {function(string): void} [options.onProgress] - Called before each case with a description
+ * @returns {{node: string, seed: number, repeat: number, gcExposed: boolean, results: Object[]}} Benchmark
+ *   report; gcExposed tells whether heap figures were taken after a full garbage collection
+ */
+function runBenchmark(options = {}) {
+    const sizes = options.sizes || [500, 1000, 2000];
+    const densities = options.densities || [0.001, 0.01];
+    const seed = options.seed !== undefined ? options.seed : 1;
+    const repeat = options.repeat !== undefined ? options.repeat : 3;
+    if (!Number.isInteger(repeat) || repeat < 1) {
+        throw new Error(`Invalid repeat count: ${repeat}`);
+    }
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sparse-matrix-bench-'));
+    const results = [];
+    try {
+        for (const size of sizes) {
+            for (const density of densities) {
+                if (options.onProgress) {
+                    options.onProgress(`Benchmarking ${size}x${size} at density ${density}`);
+                }
+                results.push(benchmarkCase(size, density, seed, repeat, directory));
+            }
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    return { node: process.version, seed, repeat, gcExposed: canCollectGarbage(), results };
+}
+
+/**
+ * Formats a benchmark report as a table of median times in milliseconds
+ * @param {{gcExposed: boolean, results: Object[]}} report - Report from runBenchmark
+ * @returns {string} Table with one line per case, and a note when the heap was
+ *   measured without a forced garbage collection
+ */
+function formatTable(report) {
+    const header = ['size', 'density', 'nnz', ...OPERATIONS.map((name) => `${name} ms`), 'heap MB'];
+    const rows = report.results.map((result) => [
+        `${result.rows}x${result.cols}`,
+        `${result.density}`,
+        `${result.nonZeros}`,
+        ...OPERATIONS.map((name) => result.operations[name].ms.toFixed(2)),
+        // Heap taken by one loaded matrix
+        (result.operations.load.heapDelta / (1024 * 1024)).toFixed(2)
+    ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+    const formatRow = (row) => row.map((cell, column) => cell.padStart(widths[column])).join('  ');
+    const lines = [formatRow(header), ...rows.map(formatRow)];
+    if (!report.gcExposed) {
+        lines.push('', 'heap MB is measured without forcing a garbage collection; run node --expose-gc for exact figures');
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    runBenchmark,
+    formatTable,
+    OPERATIONS
+};
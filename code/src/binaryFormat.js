@@ -0,0 +1,194 @@
+/**
+ * Compact binary format for saving and loading large matrices quickly
+ *
+ * All numbers are little-endian. Layout:
+ *
+ *   offset  size        field
+ *   0       4           magic "SPMX"
+ *   4       1           format version (1)
+ *   5       1           index width in bytes (1, 2 or 4)
+ *   6       1           value type (1 = float64, 2 = int32)
+ *   7       1           reserved (0)
+ *   8       4           rows (uint32)
+ *   12      4           cols (uint32)
+ *   16      4           nnz, the number of stored entries (uint32)
+ *   20      nnz * w     row indices
+ *   ...     nnz * w     column indices
+ *   ...     nnz * 8|4   values
+ *   end-4   4           CRC-32 of every preceding byte
+ *
+ * Entries are written in row-major order.
+ */
+
+const MatrixFormatError = require('./MatrixFormatError');
+
+const MAGIC = 'SPMX';
+const VERSION = 1;
+const HEADER_SIZE = 20;
+const CHECKSUM_SIZE = 4;
+
+const VALUE_TYPES = {
+    1: { name: 'float64', size: 8, read: 'readDoubleLE', write: 'writeDoubleLE' },
+    2: { name: 'int32', size: 4, read: 'readInt32LE', write: 'writeInt32LE' }
+};
+
+const INDEX_READERS = { 1: 'readUInt8', 2: 'readUInt16LE', 4: 'readUInt32LE' };
+const INDEX_WRITERS = { 1: 'writeUInt8', 2: 'writeUInt16LE', 4: 'writeUInt32LE' };
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 (IEEE) checksum of a byte range
+ * @param {Buffer} buffer - Data
+ * @param {number} end - Number of leading bytes to include
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(buffer, end) {
+    if (crcTable === null) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < end; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Picks the smallest index width that can hold every row and column index
+ * @param {number} maxIndex - Largest index to store
+ * @returns {number} 1, 2 or 4
+ */
+function indexWidthFor(maxIndex) {
+    if (maxIndex <= 0xFF) {
+        return 1;
+    }
+    return maxIndex <= 0xFFFF ? 2 : 4;
+}
+
+/**
+ * Encodes a matrix in the binary format.
+ * Values are stored as int32 when they are all 32-bit integers, float64 otherwise.
+ * @param {SparseMatrix} matrix - Matrix to encode
+ * @returns {Buffer} Encoded matrix
+ * @throws {Error} If the matrix is too large for 32-bit dimensions
+ */
+function encode(matrix) {
+    if (matrix.rows > 0xFFFFFFFF || matrix.cols > 0xFFFFFFFF) {
+        throw new Error(`Matrix of size ${matrix.rows}x${matrix.cols} is too large for the binary format`);
+    }
+
+    const nnz = matrix.elementCount;
+    const indexWidth = indexWidthFor(Math.max(matrix.rows, matrix.cols) - 1);
+    let valueTypeCode = 2;
+    for (const rowData of matrix._rowData.values()) {
+        for (const value of rowData.values()) {
+            if (!Number.isInteger(value) || value < -0x80000000 || value > 0x7FFFFFFF) {
+                valueTypeCode = 1;
+            }
+        }
+    }
+    const valueType = VALUE_TYPES[valueTypeCode];
+
+    const rowOffset = HEADER_SIZE;
+    const colOffset = rowOffset + nnz * indexWidth;
+    const valueOffset = colOffset + nnz * indexWidth;
+    const checksumOffset = valueOffset + nnz * valueType.size;
+    const buffer = Buffer.alloc(checksumOffset + CHECKSUM_SIZE);
+
+    buffer.write(MAGIC, 0, 'latin1');
+    buffer.writeUInt8(VERSION, 4);
+    buffer.writeUInt8(indexWidth, 5);
+    buffer.writeUInt8(valueTypeCode, 6);
+    buffer.writeUInt32LE(matrix.rows, 8);
+    buffer.writeUInt32LE(matrix.cols, 12);
+    buffer.writeUInt32LE(nnz, 16);
+
+    const writeIndex = INDEX_WRITERS[indexWidth];
+    let entry = 0;
+    for (const row of matrix._sortedRowIndices()) {
+        for (const [col, value] of matrix._sortedRowEntries(row)) {
+            buffer[writeIndex](row, rowOffset + entry * indexWidth);
+            buffer[writeIndex](col, colOffset + entry * indexWidth);
+            buffer[valueType.write](value, valueOffset + entry * valueType.size);
+            entry++;
+        }
+    }
+
+    buffer.writeUInt32LE(crc32(buffer, checksumOffset), checksumOffset);
+    return buffer;
+}
+
+/**
+ * Decodes a matrix from the binary format
+ * @param {Buffer} buffer - Encoded matrix
+ * @param {SparseMatrix} matrix - Empty matrix to load into
+ * @param {string|null} filePath - Path of the file, for error reporting
+ * @throws {MatrixFormatError} If the data is not a valid binary matrix, is truncated or is corrupted
+ */
+function decode(buffer, matrix, filePath) {
+    const fail = (reason) => new MatrixFormatError(reason, { filePath });
+
+    if (buffer.length < 4 || buffer.toString('latin1', 0, 4) !== MAGIC) {
+        throw fail('INVALID_MAGIC');
+    }
+    if (buffer.length < HEADER_SIZE + CHECKSUM_SIZE) {
+        throw fail('TRUNCATED');
+    }
+
+    const version = buffer.readUInt8(4);
+    const indexWidth = buffer.readUInt8(5);
+    const valueType = VALUE_TYPES[buffer.readUInt8(6)];
+    if (version !== VERSION || INDEX_READERS[indexWidth] === undefined || valueType === undefined) {
+        throw fail('UNSUPPORTED_VERSION');
+    }
+
+    const rows = buffer.readUInt32LE(8);
+    const cols = buffer.readUInt32LE(12);
+    const nnz = buffer.readUInt32LE(16);
+
+    const rowOffset = HEADER_SIZE;
+    const colOffset = rowOffset + nnz * indexWidth;
+    const valueOffset = colOffset + nnz * indexWidth;
+    const checksumOffset = valueOffset + nnz * valueType.size;
+    if (buffer.length < checksumOffset + CHECKSUM_SIZE) {
+        throw fail('TRUNCATED');
+    }
+    if (buffer.length > checksumOffset + CHECKSUM_SIZE ||
+        buffer.readUInt32LE(checksumOffset) !== crc32(buffer, checksumOffset)) {
+        throw fail('CHECKSUM_MISMATCH');
+    }
+    if (rows === 0 || cols === 0) {
+        throw fail('INVALID_DIMENSIONS');
+    }
+
+    matrix.rows = rows;
+    matrix.cols = cols;
+
+    const readIndex = INDEX_READERS[indexWidth];
+    for (let entry = 0; entry < nnz; entry++) {
+        const row = buffer[readIndex](rowOffset + entry * indexWidth);
+        const col = buffer[readIndex](colOffset + entry * indexWidth);
+        const value = buffer[valueType.read](valueOffset + entry * valueType.size);
+        if (row >= rows || col >= cols) {
+            throw fail('INDEX_OUT_OF_RANGE');
+        }
+        matrix._storeValue(row, col, value);
+    }
+
+    matrix.logger.log(`Loaded ${matrix.elementCount} non-zero elements from binary data`);
+}
+
+module.exports = {
+    encode,
+    decode,
+    crc32
+};
@@ -0,0 +1,960 @@
+/**
+ * Non-interactive command-line interface for sparse matrix operations
+ */
+
+const SparseMatrix = require('./SparseMatrix');
+const MatrixFormatError = require('./MatrixFormatError');
+const { loadVector, formatVector } = require('./vector');
+const { solve } = require('./solvers');
+const { format: formatStats } = require('./stats');
+const graph = require('./graph');
+
+/**
+ * Process exit codes, one per kind of failure so scripts can tell them apart
+ */
+const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,
+    USAGE: 2,
+    FILE_NOT_FOUND: 3,
+    FORMAT_ERROR: 4,
+    DIMENSION_MISMATCH: 5,
+    NOT_CONVERGED: 6,
+    DIFFERENT: 7
+};
+
+/**
+ * Error raised by the command-line interface, carrying the exit code to use
+ */
+class CliError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} exitCode - Exit code from EXIT_CODES
+     */
+    constructor(message, exitCode) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Options understood by every command. Options that take a value consume
+ * the next argument.
+ */
+const OPTIONS = {
+    output: { alias: 'o', takesValue: true },
+    format: { alias: 'f', takesValue: true },
+    to: { takesValue: true },
+    strict: { alias: 's', takesValue: false },
+    bigint: { takesValue: false },
+    threads: { takesValue: true },
+    transpose: { alias: 't', takesValue: false },
+    method: { alias: 'm', takesValue: true },
+    tolerance: { takesValue: true },
+    'max-iterations': { takesValue: true },
+    damping: { takesValue: true },
+    preconditioner: { takesValue: true },
+    density: { takesValue: true },
+    seed: { takesValue: true },
+    bands: { takesValue: true },
+    sizes: { takesValue: true },
+    densities: { takesValue: true },
+    repeat: { takesValue: true },
+    json: { takesValue: false },
+    'abs-tol': { takesValue: true },
+    'rel-tol': { takesValue: true },
+    port: { takesValue: true },
+    ttl: { takesValue: true },
+    'max-size': { takesValue: true },
+    verbose: { alias: 'v', takesValue: false },
+    help: { alias: 'h', takesValue: false }
+};
+
+/**
+ * Subcommands of "graph", which read matrix A as the adjacency matrix of a graph
+ */
+const GRAPH_COMMANDS = {
+    components: {
+        usage: 'graph components A',
+        description: 'Connected components, ignoring edge directions',
+        inputs: 1,
+        run: ([matrix], options) => {
+            const components = graph.connectedComponents(matrix);
+            return graphOutput(options, components, () => formatComponents(components, 'connected'));
+        }
+    },
+    scc: {
+        usage: 'graph scc A',
+        description: 'Strongly connected components',
+        inputs: 1,
+        run: ([matrix], options) => {
+            const components = graph.stronglyConnectedComponents(matrix);
+            return graphOutput(options, components, () => formatComponents(components, 'strongly connected'));
+        }
+    },
+    bfs: {
+        usage: 'graph bfs A SOURCE',
+        description: 'Breadth-first search: vertex, depth and parent in visiting order',
+        inputs: 1,
+        args: ['source'],
+        run: ([matrix], options, [source]) => {
+            const search = graph.bfs(matrix, parseIntegerArgument(source, 'SOURCE', 0));
+            return graphOutput(options, search, () => formatColumns(['vertex', 'depth', 'parent'],
+                search.order.map((v) => [v, search.depth[v], search.parent[v]])));
+        }
+    },
+    dfs: {
+        usage: 'graph dfs A SOURCE',
+        description: 'Depth-first search: vertex and parent in visiting order',
+        inputs: 1,
+        args: ['source'],
+        run: ([matrix], options, [source]) => {
+            const search = graph.dfs(matrix, parseIntegerArgument(source, 'SOURCE', 0));
+            return graphOutput(options, search, () => formatColumns(['vertex', 'parent'],
+                search.order.map((v) => [v, search.parent[v]])));
+        }
+    },
+    paths: {
+        usage: 'graph paths A SOURCE',
+        description: 'Shortest path lengths from SOURCE (Dijkstra, values as lengths)',
+        inputs: 1,
+        args: ['source'],
+        run: ([matrix], options, [source]) => {
+            const paths = graph.dijkstra(matrix, parseIntegerArgument(source, 'SOURCE', 0));
+            const reachable = [];
+            paths.distance.forEach((distance, v) => {
+                if (distance !== Infinity) {
+                    reachable.push([v, distance, paths.parent[v]]);
+                }
+            });
+            return graphOutput(options, paths, () => formatColumns(['vertex', 'distance', 'previous'], reachable));
+        }
+    },
+    pagerank: {
+        usage: 'graph pagerank A',
+        description: 'PageRank of every vertex, written as a vector',
+        inputs: 1,
+        run: ([matrix], options) => {
+            const result = graph.pagerank(matrix, {
+                damping: options.damping !== undefined ? parseNumberArgument(options.damping, '--damping') : undefined,
+                tolerance: options.tolerance !== undefined
+                    ? parseNumberArgument(options.tolerance, '--tolerance') : undefined,
+                maxIterations: options['max-iterations'] !== undefined
+                    ? parseNumberArgument(options['max-iterations'], '--max-iterations') : undefined
+            });
+            if (!result.converged) {
+                throw new CliError(`PageRank did not converge in ${result.iterations} iterations`,
+                    EXIT_CODES.NOT_CONVERGED);
+            }
+            console.error(`Converged: ${result.iterations} iterations`);
+            return options.json ? graphOutput(options, result) : { vector: result.ranks };
+        }
+    },
+    degrees: {
+        usage: 'graph degrees A',
+        description: 'In-degree and out-degree of every vertex',
+        inputs: 1,
+        run: ([matrix], options) => {
+            const result = graph.degrees(matrix);
+            return graphOutput(options, result, () => formatColumns(['vertex', 'in', 'out'],
+                Array.from(result.inDegree, (inDegree, v) => [v, inDegree, result.outDegree[v]])));
+        }
+    },
+    triangles: {
+        usage: 'graph triangles A',
+        description: 'Number of triangles, ignoring edge directions',
+        inputs: 1,
+        run: ([matrix], options) => {
+            const triangles = graph.countTriangles(matrix);
+            return graphOutput(options, { triangles }, () => `${triangles} triangles\n`);
+        }
+    }
+};
+
+/**
+ * Available commands. Each command names how many matrix inputs it expects,
+ * followed by any plain arguments, and returns a result matrix, a result vector or text to print.
+ * A command may also return an exitCode to report an outcome other than success.
+ */
+const COMMANDS = {
+    add: {
+        usage: 'add A B',
+        description: 'Add two matrices of the same size',
+        inputs: 2,
+        run: ([matrix1, matrix2]) => ({ matrix: matrix1.add(matrix2) })
+    },
+    sub: {
+        usage: 'sub A B',
+        description: 'Subtract matrix B from matrix A',
+        inputs: 2,
+        run: ([matrix1, matrix2]) => ({ matrix: matrix1.subtract(matrix2) })
+    },
+    mul: {
+        usage: 'mul A B',
+        description: 'Multiply matrix A by matrix B',
+        inputs: 2,
+        run: async ([matrix1, matrix2], options) => {
+            if (options.threads === undefined) {
+                return { matrix: matrix1.multiply(matrix2) };
+            }
+            const workers = parseIntegerArgument(options.threads, '--threads', 1);
+            return { matrix: await matrix1.multiplyParallel(matrix2, { workers }) };
+        }
+    },
+    hadamard: {
+        usage: 'hadamard A B',
+        description: 'Element-wise product of two matrices of the same size',
+        inputs: 2,
+        run: ([matrix1, matrix2]) => ({ matrix: matrix1.hadamard(matrix2) })
+    },
+    div: {
+        usage: 'div A B',
+        description: 'Divide matrix A by matrix B element by element',
+        inputs: 2,
+        run: ([matrix1, matrix2]) => ({ matrix: matrix1.divide(matrix2) })
+    },
+    min: {
+        usage: 'min A B',
+        description: 'Element-wise minimum of two matrices',
+        inputs: 2,
+        run: ([matrix1, matrix2]) => ({ matrix: matrix1.min(matrix2) })
+    },
+    max: {
+        usage: 'max A B',
+        description: 'Element-wise maximum of two matrices',
+        inputs: 2,
+        run: ([matrix1, matrix2]) => ({ matrix: matrix1.max(matrix2) })
+    },
+    scale: {
+        usage: 'scale A k',
+        description: 'Multiply every element of matrix A by the number k',
+        inputs: 1,
+        args: ['k'],
+        run: ([matrix], options, [k]) => ({ matrix: matrix.scale(parseNumberArgument(k, 'k')) })
+    },
+    negate: {
+        usage: 'negate A',
+        description: 'Negate every element of matrix A',
+        inputs: 1,
+        run: ([matrix]) => ({ matrix: matrix.negate() })
+    },
+    matvec: {
+        usage: 'matvec A x',
+        description: 'Multiply matrix A by the vector in file x',
+        inputs: 1,
+        args: ['x'],
+        run: ([matrix], options, [vectorPath]) => {
+            const x = loadVectorInput(vectorPath);
+            return { vector: options.transpose ? matrix.transposeMultiplyVector(x) : matrix.multiplyVector(x) };
+        }
+    },
+    solve: {
+        usage: 'solve A b',
+        description: 'Solve A·x = b for x, with the right-hand side in vector file b',
+        inputs: 1,
+        args: ['b'],
+        run: ([matrix], options, [vectorPath]) => {
+            const b = loadVectorInput(vectorPath);
+            const result = solve(matrix, b, {
+                method: options.method,
+                preconditioner: options.preconditioner,
+                tolerance: options.tolerance !== undefined
+                    ? parseNumberArgument(options.tolerance, '--tolerance') : undefined,
+                maxIterations: options['max-iterations'] !== undefined
+                    ? parseNumberArgument(options['max-iterations'], '--max-iterations') : undefined
+            });
+
+            const finalResidual = result.residualHistory[result.residualHistory.length - 1];
+            const summary = `${result.iterations} iterations, relative residual ${finalResidual}`;
+            if (!result.converged) {
+                throw new CliError(`Solver did not converge: ${summary}`, EXIT_CODES.NOT_CONVERGED);
+            }
+            console.error(`Converged: ${summary}`);
+            return { vector: result.x };
+        }
+    },
+    convert: {
+        usage: 'convert A',
+        description: 'Convert matrix A between the text, mtx and bin formats',
+        inputs: 1,
+        run: ([matrix]) => ({ matrix })
+    },
+    transpose: {
+        usage: 'transpose A',
+        description: 'Transpose matrix A',
+        inputs: 1,
+        run: ([matrix]) => ({ matrix: matrix.transpose() })
+    },
+    compare: {
+        usage: 'compare A B',
+        description: 'Compare two matrices; exits with code 7 if they differ',
+        inputs: 2,
+        run: ([matrix1, matrix2], options) => {
+            if (matrix1.rows !== matrix2.rows || matrix1.cols !== matrix2.cols) {
+                return {
+                    text: `Sizes differ: ${matrix1.rows}x${matrix1.cols} and ${matrix2.rows}x${matrix2.cols}\n`,
+                    exitCode: EXIT_CODES.DIFFERENT
+                };
+            }
+            const differences = matrix1.diff(matrix2, {
+                absTol: options['abs-tol'] !== undefined ? parseNumberArgument(options['abs-tol'], '--abs-tol') : 0,
+                relTol: options['rel-tol'] !== undefined ? parseNumberArgument(options['rel-tol'], '--rel-tol') : 0
+            });
+            const total = differences.onlyInA.length + differences.onlyInB.length + differences.differing.length;
+            return {
+                text: formatDifferences(differences),
+                exitCode: total === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.DIFFERENT
+            };
+        }
+    },
+    generate: {
+        usage: 'generate KIND SIZE',
+        description: 'Create an identity, tridiagonal, banded or random matrix of size n or RxC',
+        inputs: 0,
+        args: ['kind', 'size'],
+        run: (matrices, options, [kind, size]) => ({ matrix: generateMatrix(kind, size, options) })
+    },
+    bench: {
+        usage: 'bench',
+        description: 'Time load, add, subtract, multiply, toString and save on random matrices',
+        inputs: 0,
+        run: (matrices, options) => {
+            const { runBenchmark, formatTable } = require('./bench');
+            const report = runBenchmark({
+                sizes: options.sizes !== undefined ? parseListArgument(options.sizes, '--sizes', true) : undefined,
+                densities: options.densities !== undefined
+                    ? parseListArgument(options.densities, '--densities') : undefined,
+                seed: options.seed !== undefined ? parseIntegerArgument(options.seed, '--seed') : undefined,
+                repeat: options.repeat !== undefined ? parseIntegerArgument(options.repeat, '--repeat', 1) : undefined,
+                onProgress: options.verbose ? (message) => console.error(message) : undefined
+            });
+            return { text: options.json ? JSON.stringify(report, null, 2) + '\n' : formatTable(report) };
+        }
+    },
+    info: {
+        usage: 'info A',
+        description: 'Show the size, sparsity pattern, symmetry and norms of matrix A',
+        inputs: 1,
+        run: ([matrix], options) => {
+            const stats = matrix.stats();
+            return { text: options.json ? JSON.stringify(stats, null, 2) + '\n' : formatStats(stats) };
+        }
+    },
+    'run-job': {
+        usage: 'run-job JOB',
+        description: 'Run the loads, expressions and saves in a job file (JSON or script)',
+        inputs: 0,
+        args: ['job'],
+        run: async (matrices, options, [jobPath]) => {
+            const { loadJob, runJob, formatReport } = require('./jobs');
+            const fs = require('fs');
+            if (!fs.existsSync(jobPath)) {
+                throw new CliError(`File not found: ${jobPath}`, EXIT_CODES.FILE_NOT_FOUND);
+            }
+            let job;
+            try {
+                job = loadJob(jobPath);
+            } catch (error) {
+                throw new CliError(error.message, EXIT_CODES.FORMAT_ERROR);
+            }
+
+            const report = await runJob(job, {
+                onStep: options.verbose
+                    ? (entry) => console.error(`Step ${entry.step}/${job.steps.length} ${entry.status}: ${entry.description}`)
+                    : undefined
+            });
+            return {
+                text: options.json
+                    ? JSON.stringify({ steps: report.steps, ms: report.ms }, null, 2) + '\n'
+                    : formatReport(report),
+                exitCode: report.firstError !== null ? exitCodeFor(report.firstError) : EXIT_CODES.SUCCESS
+            };
+        }
+    },
+    serve: {
+        usage: 'serve',
+        description: 'Serve the operations over HTTP on 127.0.0.1 until interrupted',
+        inputs: 0,
+        run: async (matrices, options) => {
+            const { startServer, SERVER_DEFAULTS } = require('./server');
+            const server = await startServer({
+                port: options.port !== undefined ? parseIntegerArgument(options.port, '--port', 0) : undefined,
+                ttl: options.ttl !== undefined ? parsePositiveArgument(options.ttl, '--ttl') * 1000 : undefined,
+                maxBodySize: options['max-size'] !== undefined
+                    ? parseIntegerArgument(options['max-size'], '--max-size', 1) : undefined,
+                logger: { log: options.verbose ? console.error : () => {}, error: console.error }
+            });
+            const { address, port } = server.address();
+            const ttl = options.ttl !== undefined ? options.ttl : SERVER_DEFAULTS.ttl / 1000;
+            console.error(`Listening on http://${address}:${port} (matrices kept for ${ttl} s); press Ctrl-C to stop`);
+
+            await new Promise((resolve) => {
+                const stop = () => {
+                    process.removeListener('SIGINT', stop);
+                    process.removeListener('SIGTERM', stop);
+                    server.close(resolve);
+                    server.closeAllConnections();
+                };
+                process.on('SIGINT', stop);
+                process.on('SIGTERM', stop);
+            });
+            return { text: '' };
+        }
+    },
+    graph: {
+        usage: 'graph ALGORITHM A',
+        description: 'Run a graph algorithm on adjacency matrix A',
+        subcommands: GRAPH_COMMANDS
+    }
+};
+
+/**
+ * Builds the help text
+ * @returns {string} Usage information
+ */
+function usage() {
+    const lines = [
+        'Usage: node code/src/index.js <command> [inputs...] [options]',
+        '       node code/src/index.js              (interactive mode)',
+        '',
+        'Commands:'
+    ];
+    for (const name in COMMANDS) {
+        const command = COMMANDS[name];
+        lines.push(`  ${command.usage.padEnd(28)}${command.description}`);
+        for (const subcommand of Object.values(command.subcommands || {})) {
+            lines.push(`    ${subcommand.usage.padEnd(26)}${subcommand.description}`);
+        }
+    }
+    lines.push(
+        '',
+        'Use - as an input to read that matrix from standard input.',
+        '',
+        'Options:',
+        '  -o, --output <file>         Write the result to a file instead of standard output',
+        '  -f, --format <format>       File format for inputs and output: text, mtx or bin (default:',
+        '                              from the file extension, .mtx Matrix Market, .bin binary,',
+        '                              text otherwise)',
+        '      --to <format>           Format of the result only, overriding --format',
+        '  -s, --strict                Reject out-of-range or negative indices, duplicates and explicit zeros',
+        '      --bigint                Load values as exact BigInt integers of any size',
+        '  -t, --transpose             matvec: multiply by the transpose of A',
+        '      --threads <n>           mul: multiply on n worker threads (small inputs stay serial)',
+        '  -m, --method <name>         solve: cg (default), bicgstab, jacobi, gauss-seidel, or lu or',
+        '                              cholesky to solve directly by factoring A',
+        '      --tolerance <number>    solve: relative residual to stop at (default 1e-10);',
+        '                              graph pagerank: total change in rank to stop at (default 1e-9)',
+        '      --max-iterations <n>    solve, graph pagerank: iteration limit (default 1000)',
+        '      --damping <number>      graph pagerank: probability of following an edge (default 0.85)',
+        '      --preconditioner jacobi solve: use diagonal preconditioning (cg, bicgstab)',
+        '      --density <number>      generate random: fraction of non-zeros (default 0.01)',
+        '      --seed <integer>        generate random, bench: random number seed (default 1)',
+        '      --bands <list>          generate banded: offset:value pairs, e.g. -1:-1,0:2,1:-1',
+        '      --sizes <list>          bench: comma-separated matrix sizes (default 500,1000,2000)',
+        '      --densities <list>      bench: comma-separated densities (default 0.001,0.01)',
+        '      --repeat <n>            bench: runs of each operation, median reported (default 3)',
+        '      --json                  info, bench, graph, run-job: print the results as JSON',
+        '      --abs-tol <number>      compare: largest absolute difference to ignore (default 0)',
+        '      --rel-tol <number>      compare: largest relative difference to ignore (default 0)',
+        '      --port <n>              serve: port to listen on, 0 for any free port (default 8080)',
+        '      --ttl <seconds>         serve: how long a stored matrix is kept (default 900)',
+        '      --max-size <bytes>      serve: largest request body (default 10485760)',
+        '  -v, --verbose               Print loading progress (serve: each request) to standard error',
+        '  -h, --help                  Show this help',
+        '',
+        'Exit codes:',
+        `  ${EXIT_CODES.SUCCESS}  success`,
+        `  ${EXIT_CODES.ERROR}  unexpected error`,
+        `  ${EXIT_CODES.USAGE}  invalid command or arguments`,
+        `  ${EXIT_CODES.FILE_NOT_FOUND}  input file not found`,
+        `  ${EXIT_CODES.FORMAT_ERROR}  input file has wrong format`,
+        `  ${EXIT_CODES.DIMENSION_MISMATCH}  matrix dimensions don't match`,
+        `  ${EXIT_CODES.NOT_CONVERGED}  solver or PageRank did not converge`,
+        `  ${EXIT_CODES.DIFFERENT}  compare: the matrices differ`
+    );
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Splits command-line arguments into a command, positional inputs and options
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {{command: string|undefined, inputs: string[], options: Object}} Parsed arguments
+ * @throws {CliError} If an option is unknown or is missing its value
+ */
+function parseArguments(argv) {
+    const inputs = [];
+    const options = {};
+    let command;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        // A lone - is the standard input placeholder and -2 is a number, not an option
+        if (arg === '-' || !arg.startsWith('-') || !isNaN(Number(arg))) {
+            if (command === undefined) {
+                command = arg;
+            } else {
+                inputs.push(arg);
+            }
+            continue;
+        }
+
+        const name = findOptionName(arg);
+        if (name === undefined) {
+            throw new CliError(`Unknown option: ${arg}`, EXIT_CODES.USAGE);
+        }
+
+        if (OPTIONS[name].takesValue) {
+            if (i + 1 >= argv.length) {
+                throw new CliError(`Missing value for option: ${arg}`, EXIT_CODES.USAGE);
+            }
+            options[name] = argv[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { command, inputs, options };
+}
+
+/**
+ * Maps "--name" or "-alias" to the option name
+ * @param {string} arg - Option argument
+ * @returns {string|undefined} Option name, or undefined if unknown
+ */
+function findOptionName(arg) {
+    for (const name in OPTIONS) {
+        const alias = OPTIONS[name].alias;
+        if (arg === `--${name}` || (alias !== undefined && arg === `-${alias}`)) {
+            return name;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Parses a numeric command argument
+ * @param {string} value - Argument text
+ * @param {string} name - Argument name for the error message
+ * @returns {number} Parsed number
+ * @throws {CliError} If the argument is not a finite number
+ */
+function parseNumberArgument(value, name) {
+    const number = value.trim() === '' ? NaN : Number(value);
+    if (!isFinite(number)) {
+        throw new CliError(`Invalid number for ${name}: ${value}`, EXIT_CODES.USAGE);
+    }
+    return number;
+}
+
+/**
+ * Parses a number command argument that must be greater than zero
+ * @param {string} value - Argument text
+ * @param {string} name - Argument name for the error message
+ * @returns {number} Parsed number
+ * @throws {CliError} If the argument is not a positive number
+ */
+function parsePositiveArgument(value, name) {
+    const number = parseNumberArgument(value, name);
+    if (number <= 0) {
+        throw new CliError(`${name} must be greater than zero, got ${value}`, EXIT_CODES.USAGE);
+    }
+    return number;
+}
+
+/**
+ * Parses an integer command argument
+ * @param {string} value - Argument text
+ * @param {string} name - Argument name for the error message
+ * @param {number} [min=-Infinity] - Smallest allowed value
+ * @returns {number} Parsed integer
+ * @throws {CliError} If the argument is not an integer of at least min
+ */
+function parseIntegerArgument(value, name, min = -Infinity) {
+    const number = parseNumberArgument(value, name);
+    if (!Number.isSafeInteger(number) || number < min) {
+        throw new CliError(`Invalid integer for ${name}: ${value}`, EXIT_CODES.USAGE);
+    }
+    return number;
+}
+
+/**
+ * Parses a comma-separated list of positive numbers
+ * @param {string} value - Argument text
+ * @param {string} name - Argument name for the error message
+ * @param {boolean} [integers=false] - Accept only integers
+ * @returns {number[]} Parsed numbers
+ * @throws {CliError} If an item is not a positive number, or not an integer when integers are required
+ */
+function parseListArgument(value, name, integers = false) {
+    return value.split(',').map((item) => {
+        const number = parseNumberArgument(item, name);
+        if (!(number > 0) || (integers && !Number.isSafeInteger(number))) {
+            throw new CliError(`Invalid number for ${name}: ${item}`, EXIT_CODES.USAGE);
+        }
+        return number;
+    });
+}
+
+/**
+ * Parses a matrix size argument, either n for a square matrix or RxC
+ * @param {string} value - Argument text
+ * @returns {{rows: number, cols: number}} Parsed size
+ * @throws {CliError} If the size is not one or two positive integers
+ */
+function parseSizeArgument(value) {
+    const parts = value.toLowerCase().split('x');
+    const numbers = parts.map((part) => (/^\d+$/.test(part) ? Number(part) : NaN));
+    if (parts.length > 2 || numbers.some((number) => !(number > 0))) {
+        throw new CliError(`Invalid size: ${value} (expected n or RxC)`, EXIT_CODES.USAGE);
+    }
+    return { rows: numbers[0], cols: numbers[numbers.length - 1] };
+}
+
+/**
+ * Parses the --bands option of the generate command
+ * @param {string} value - Comma-separated offset:value pairs
+ * @returns {Object<number, number>} Values keyed by diagonal offset
+ * @throws {CliError} If a pair is malformed
+ */
+function parseBandsArgument(value) {
+    const bands = {};
+    for (const pair of value.split(',')) {
+        const [offset, bandValue] = pair.split(':');
+        if (bandValue === undefined || !/^\s*[+-]?\d+\s*$/.test(offset)) {
+            throw new CliError(`Invalid band: ${pair} (expected offset:value)`, EXIT_CODES.USAGE);
+        }
+        bands[Number(offset)] = parseNumberArgument(bandValue, '--bands');
+    }
+    return bands;
+}
+
+/**
+ * Builds the matrix for the generate command
+ * @param {string} kind - identity, tridiagonal, banded or random
+ * @param {string} sizeArgument - n or RxC
+ * @param {Object} options - Parsed command-line options
+ * @returns {SparseMatrix} Generated matrix
+ * @throws {CliError} If the kind is unknown or the arguments don't fit it
+ */
+function generateMatrix(kind, sizeArgument, options) {
+    const { rows, cols } = parseSizeArgument(sizeArgument);
+    if (kind === 'random') {
+        const density = options.density !== undefined ? parseNumberArgument(options.density, '--density') : 0.01;
+        const seed = options.seed !== undefined ? parseNumberArgument(options.seed, '--seed') : 1;
+        if (density < 0 || density > 1 || !Number.isInteger(seed)) {
+            throw new CliError("--density must be between 0 and 1 and --seed must be an integer", EXIT_CODES.USAGE);
+        }
+        return SparseMatrix.random(rows, cols, density, seed);
+    }
+
+    const kinds = ['identity', 'tridiagonal', 'banded', 'random'];
+    if (!kinds.includes(kind)) {
+        throw new CliError(`Unknown matrix kind: ${kind} (expected ${kinds.join(', ')})`, EXIT_CODES.USAGE);
+    }
+    if (rows !== cols) {
+        throw new CliError(`generate ${kind} needs a square size, got ${rows}x${cols}`, EXIT_CODES.USAGE);
+    }
+    if (kind === 'identity') {
+        return SparseMatrix.identity(rows);
+    }
+    if (kind === 'tridiagonal') {
+        return SparseMatrix.tridiagonal(rows, -1, 2, -1);
+    }
+    if (options.bands === undefined) {
+        throw new CliError("generate banded needs --bands", EXIT_CODES.USAGE);
+    }
+    try {
+        return SparseMatrix.banded(rows, parseBandsArgument(options.bands));
+    } catch (error) {
+        throw error instanceof CliError ? error : new CliError(error.message, EXIT_CODES.USAGE);
+    }
+}
+
+/**
+ * Number of differences of each kind listed by the compare command
+ */
+const MAX_LISTED_DIFFERENCES = 10;
+
+/**
+ * Formats the result of SparseMatrix#diff, listing only the first few differences of each kind
+ * @param {{onlyInA: Array, onlyInB: Array, differing: Array}} differences - Result of diff
+ * @returns {string} Summary of the differences
+ */
+function formatDifferences(differences) {
+    const sections = [
+        ['only in A', differences.onlyInA, (entry) => `(${entry.row}, ${entry.col}, ${entry.value})`],
+        ['only in B', differences.onlyInB, (entry) => `(${entry.row}, ${entry.col}, ${entry.value})`],
+        ['with different values', differences.differing, (entry) => `(${entry.row}, ${entry.col}): ${entry.a} vs ${entry.b}`]
+    ];
+    if (sections.every(([, entries]) => entries.length === 0)) {
+        return 'Matrices are equal\n';
+    }
+
+    const lines = [];
+    for (const [title, entries, describe] of sections) {
+        lines.push(`${entries.length} non-zero elements ${title}`);
+        for (const entry of entries.slice(0, MAX_LISTED_DIFFERENCES)) {
+            lines.push(`  ${describe(entry)}`);
+        }
+        if (entries.length > MAX_LISTED_DIFFERENCES) {
+            lines.push(`  ... and ${entries.length - MAX_LISTED_DIFFERENCES} more`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds the result of a graph subcommand
+ * @param {Object} options - Parsed options; --json prints the data instead of the text
+ * @param {Object} data - Result of the graph algorithm
+ * @param {function(): string} [formatText] - Formats the data for people
+ * @returns {{text: string}} Command result
+ */
+function graphOutput(options, data, formatText) {
+    if (options.json || formatText === undefined) {
+        // Typed arrays would otherwise become objects keyed by index
+        const json = JSON.stringify(data, (key, value) => (ArrayBuffer.isView(value) ? Array.from(value) : value), 2);
+        return { text: json + '\n' };
+    }
+    return { text: formatText() };
+}
+
+/**
+ * Formats graph components, one line per component listing its vertices
+ * @param {{count: number, labels: Int32Array}} components - Component of every vertex
+ * @param {string} kind - Kind of component, for the heading
+ * @returns {string} Component listing
+ */
+function formatComponents(components, kind) {
+    const members = Array.from({ length: components.count }, () => []);
+    components.labels.forEach((label, v) => members[label].push(v));
+
+    const lines = [`${components.count} ${kind} components`];
+    members.forEach((vertices, label) => lines.push(`${label}: ${vertices.join(' ')}`));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats rows of values as right-aligned columns under a heading
+ * @param {string[]} header - Column titles
+ * @param {Array<Array<number>>} rows - Values of every row
+ * @returns {string} Table, one line per row
+ */
+function formatColumns(header, rows) {
+    const cells = [header, ...rows.map((row) => row.map(String))];
+    const widths = header.map((title, column) => Math.max(...cells.map((row) => row[column].length)));
+    return cells.map((row) => row.map((cell, column) => cell.padStart(widths[column])).join('  ')).join('\n') + '\n';
+}
+
+/**
+ * Supported matrix file formats
+ */
+const FORMATS = ['text', 'mtx', 'bin'];
+
+/**
+ * File extensions that select a format; any other extension means text
+ */
+const FORMAT_EXTENSIONS = {
+    '.mtx': 'mtx',
+    '.bin': 'bin'
+};
+
+/**
+ * Checks a format named on the command line
+ * @param {string} format - Format name
+ * @param {string} option - Option that named it, for the error message
+ * @returns {string} The format
+ * @throws {CliError} If the format is unknown
+ */
+function checkFormat(format, option) {
+    if (!FORMATS.includes(format)) {
+        throw new CliError(`Unknown format for ${option}: ${format} (expected ${FORMATS.join(', ')})`, EXIT_CODES.USAGE);
+    }
+    return format;
+}
+
+/**
+ * Picks the file format for an input or output
+ * @param {string|undefined} filePath - File path, or - / undefined for standard input or output
+ * @param {Object} options - Parsed command-line options
+ * @param {string} [fallback='text'] - Format to use when nothing else decides it
+ * @returns {string} 'text', 'mtx' or 'bin'
+ * @throws {CliError} If --format names an unknown format
+ */
+function formatFor(filePath, options, fallback = 'text') {
+    if (options.format !== undefined) {
+        return checkFormat(options.format, '--format');
+    }
+    if (!filePath || filePath === '-') {
+        return fallback;
+    }
+    const lowerPath = filePath.toLowerCase();
+    for (const extension in FORMAT_EXTENSIONS) {
+        if (lowerPath.endsWith(extension)) {
+            return FORMAT_EXTENSIONS[extension];
+        }
+    }
+    return 'text';
+}
+
+/**
+ * Picks the format of a command's result matrix: --to, then --format, then the
+ * extension of the output file, then the format of the first input
+ * @param {string|undefined} firstInput - First matrix input of the command
+ * @param {Object} options - Parsed command-line options
+ * @returns {string} 'text', 'mtx' or 'bin'
+ */
+function outputFormatFor(firstInput, options) {
+    if (options.to !== undefined) {
+        return checkFormat(options.to, '--to');
+    }
+    return formatFor(options.output, options, formatFor(firstInput, options));
+}
+
+/**
+ * Serializes a result matrix
+ * @param {SparseMatrix} matrix - Result matrix
+ * @param {string} format - 'text', 'mtx' or 'bin'
+ * @returns {string|Buffer} Serialized matrix
+ */
+function serializeMatrix(matrix, format) {
+    if (format === 'bin') {
+        return matrix.toBinary();
+    }
+    return format === 'mtx' ? matrix.toMatrixMarket() : matrix.toString();
+}
+
+/**
+ * Loads a matrix named on the command line, streaming it so large files
+ * never have to fit in memory as one string
+ * @param {string} input - File path, or - for standard input
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<SparseMatrix>} The loaded matrix
+ * @throws {CliError} If the file does not exist
+ */
+async function loadInput(input, options) {
+    const matrixOptions = {
+        strict: options.strict === true,
+        format: formatFor(input, options),
+        valueType: options.bigint ? 'bigint' : 'number',
+        // Progress goes to stderr so it never mixes with results on stdout
+        logger: options.verbose ? { log: console.error, error: console.error } : undefined
+    };
+    if (input === '-') {
+        return SparseMatrix.fromStream(process.stdin, matrixOptions);
+    }
+
+    const fs = require('fs');
+    if (!fs.existsSync(input)) {
+        throw new CliError(`File not found: ${input}`, EXIT_CODES.FILE_NOT_FOUND);
+    }
+    return SparseMatrix.loadFile(input, matrixOptions);
+}
+
+/**
+ * Loads a vector named on the command line
+ * @param {string} vectorPath - Path to the vector file
+ * @returns {Float64Array} The vector
+ * @throws {CliError} If the file does not exist
+ */
+function loadVectorInput(vectorPath) {
+    const fs = require('fs');
+    if (!fs.existsSync(vectorPath)) {
+        throw new CliError(`File not found: ${vectorPath}`, EXIT_CODES.FILE_NOT_FOUND);
+    }
+    return loadVector(vectorPath);
+}
+
+/**
+ * Picks the exit code for an error thrown while running a command
+ * @param {Error} error - The error
+ * @returns {number} Exit code from EXIT_CODES
+ */
+function exitCodeFor(error) {
+    if (error.exitCode !== undefined) {
+        return error.exitCode;
+    }
+    if (error instanceof MatrixFormatError || error.message.includes("wrong format")) {
+        return EXIT_CODES.FORMAT_ERROR;
+    }
+    if (error.message.includes("dimensions don't match")) {
+        return EXIT_CODES.DIMENSION_MISMATCH;
+    }
+    return EXIT_CODES.ERROR;
+}
+
+/**
+ * Runs one command
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(argv) {
+    try {
+        const { command, inputs, options } = parseArguments(argv);
+
+        if (options.help || command === 'help') {
+            process.stdout.write(usage());
+            return EXIT_CODES.SUCCESS;
+        }
+
+        let spec = COMMANDS[command];
+        if (spec === undefined) {
+            throw new CliError(`Unknown command: ${command}\n\n${usage()}`, EXIT_CODES.USAGE);
+        }
+        if (spec.subcommands !== undefined) {
+            const name = inputs.shift();
+            if (name === undefined) {
+                throw new CliError(`Usage: ${spec.usage}`, EXIT_CODES.USAGE);
+            }
+            if (!Object.prototype.hasOwnProperty.call(spec.subcommands, name)) {
+                throw new CliError(`Unknown ${command} command: ${name} (expected one of ` +
+                    `${Object.keys(spec.subcommands).join(', ')})`, EXIT_CODES.USAGE);
+            }
+            spec = spec.subcommands[name];
+        }
+        const args = spec.args || [];
+        if (inputs.length !== spec.inputs + args.length) {
+            throw new CliError(`Usage: ${spec.usage}`, EXIT_CODES.USAGE);
+        }
+        const matrixInputs = inputs.slice(0, spec.inputs);
+        if (matrixInputs.filter((input) => input === '-').length > 1) {
+            throw new CliError("Only one input can be read from standard input", EXIT_CODES.USAGE);
+        }
+
+        const matrices = [];
+        for (const input of matrixInputs) {
+            matrices.push(await loadInput(input, options));
+        }
+        const result = await spec.run(matrices, options, inputs.slice(spec.inputs));
+        let output = result.text;
+        if (result.matrix !== undefined) {
+            output = serializeMatrix(result.matrix, outputFormatFor(matrixInputs[0], options));
+        } else if (result.vector !== undefined) {
+            output = formatVector(result.vector);
+        }
+
+        if (options.output) {
+            const fs = require('fs');
+            fs.writeFileSync(options.output, output);
+        } else {
+            process.stdout.write(output);
+        }
+
+        return result.exitCode !== undefined ? result.exitCode : EXIT_CODES.SUCCESS;
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return exitCodeFor(error);
+    }
+}
+
+module.exports = {
+    runCli,
+    parseArguments,
+    loadInput,
+    formatFor,
+    FORMATS,
+    CliError,
+    EXIT_CODES
+};
@@ -0,0 +1,454 @@
+/**
+ * Direct factorizations for sparse linear systems A·x = b
+ *
+ * lu() factors any non-singular square matrix with partial pivoting, and
+ * cholesky() factors symmetric positive definite matrices in about half the
+ * work and memory. Both first reorder the rows and columns with reverse
+ * Cuthill-McKee to keep the fill-in of the factors down, and return a factor
+ * object that solves for any number of right-hand sides.
+ */
+
+const { reverseCuthillMcKee } = require('./graph');
+
+/**
+ * Largest matrix order that inverse() accepts; the inverse of a sparse matrix is usually dense
+ */
+const MAX_INVERSE_SIZE = 2000;
+
+/**
+ * Fill-reducing orderings that can be chosen with options.ordering
+ */
+const ORDERINGS = {
+    rcm: reverseCuthillMcKee,
+    natural: (matrix) => Uint32Array.from({ length: matrix.rows }, (_, i) => i)
+};
+
+/**
+ * Checks that a matrix can be factored and computes its ordering
+ * @param {SparseMatrix} matrix - Matrix to factor
+ * @param {Object} options - Factorization options
+ * @param {string} name - Factorization name, for error messages
+ * @returns {{order: Uint32Array, position: Uint32Array}} The ordering (new index i holds old
+ *   index order[i]) and its inverse
+ * @throws {Error} If the matrix is not square, holds BigInt values, uses a semiring other than
+ *   ordinary arithmetic, or the ordering is unknown
+ */
+function prepare(matrix, options, name) {
+    if (matrix.rows !== matrix.cols) {
+        throw new Error(`Matrix must be square for ${name} factorization, got ${matrix.rows}x${matrix.cols}`);
+    }
+    matrix._requireNumbers(`${name} factorization`);
+    matrix._requireArithmetic(`${name} factorization`);
+
+    const ordering = options.ordering || 'rcm';
+    if (!Object.prototype.hasOwnProperty.call(ORDERINGS, ordering)) {
+        throw new Error(`Unknown ordering: ${ordering} (expected one of ${Object.keys(ORDERINGS).join(', ')})`);
+    }
+    const order = ORDERINGS[ordering](matrix);
+    const position = new Uint32Array(order.length);
+    order.forEach((old, i) => {
+        position[old] = i;
+    });
+
+    return { order, position };
+}
+
+/**
+ * Packs rows of [index, value] pairs into compressed arrays
+ * @param {Array<Array<[number, number]>>} rows - Entries of every row
+ * @returns {{ptr: Uint32Array, indices: Uint32Array, values: Float64Array}} Compressed rows:
+ *   row i holds indices/values[ptr[i]] to indices/values[ptr[i + 1] - 1]
+ */
+function compress(rows) {
+    const ptr = new Uint32Array(rows.length + 1);
+    rows.forEach((entries, i) => {
+        ptr[i + 1] = ptr[i] + entries.length;
+    });
+    const indices = new Uint32Array(ptr[rows.length]);
+    const values = new Float64Array(ptr[rows.length]);
+    rows.forEach((entries, i) => {
+        entries.forEach(([index, value], j) => {
+            indices[ptr[i] + j] = index;
+            values[ptr[i] + j] = value;
+        });
+    });
+    return { ptr, indices, values };
+}
+
+/**
+ * Operations shared by the factor objects. Subclasses solve the reordered system
+ * in _solveOrdered.
+ */
+class Factorization {
+    /**
+     * @param {SparseMatrix} matrix - The factored matrix
+     * @param {Uint32Array} order - Fill-reducing ordering used
+     */
+    constructor(matrix, order) {
+        this.size = matrix.rows;
+        this.ordering = order;
+        this._matrix = matrix;
+    }
+
+    /**
+     * Solves A·x = b
+     * @param {number[]|TypedArray} b - Right-hand side with one value per row
+     * @returns {Float64Array} Solution x
+     * @throws {Error} If b has the wrong length
+     */
+    solve(b) {
+        this._matrix._checkVector(b, this.size, 'solving a linear system');
+        const ordered = new Float64Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            ordered[i] = b[this.ordering[i]];
+        }
+
+        const solution = this._solveOrdered(ordered);
+        const x = new Float64Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            x[this.ordering[i]] = solution[i];
+        }
+        return x;
+    }
+
+    /**
+     * Computes the inverse by solving for every column of the identity, for small matrices
+     * @returns {SparseMatrix} A^-1
+     * @throws {Error} If the matrix is larger than 2000x2000
+     */
+    inverse() {
+        if (this.size > MAX_INVERSE_SIZE) {
+            throw new Error(`Matrix of size ${this.size}x${this.size} is too large to invert; ` +
+                'solve for the right-hand sides you need instead');
+        }
+
+        const result = this._matrix._createResult(this.size, this.size);
+        const unit = new Float64Array(this.size);
+        for (let col = 0; col < this.size; col++) {
+            unit[col] = 1;
+            const x = this.solve(unit);
+            unit[col] = 0;
+            for (let row = 0; row < this.size; row++) {
+                if (x[row] !== 0) {
+                    result._storeValue(row, col, x[row]);
+                }
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * LU factorization with partial pivoting, P·B = L·U, of the reordered matrix B.
+ * L is unit lower triangular; U is upper triangular.
+ */
+class LUFactorization extends Factorization {
+    /**
+     * @param {SparseMatrix} matrix - The factored matrix
+     * @param {Uint32Array} order - Fill-reducing ordering used
+     * @param {Uint32Array} pivotRows - Row of B chosen as the pivot at every step
+     * @param {Object} lower - Compressed rows of L below the diagonal
+     * @param {Object} upper - Compressed rows of U right of the diagonal
+     * @param {Float64Array} diagonal - Diagonal of U
+     */
+    constructor(matrix, order, pivotRows, lower, upper, diagonal) {
+        super(matrix, order);
+        this.pivotRows = pivotRows;
+        this._lower = lower;
+        this._upper = upper;
+        this._diagonal = diagonal;
+    }
+
+    /**
+     * Number of values stored in L and U, diagonal included; compare with the
+     * non-zeros of the matrix to see the fill-in
+     * @returns {number} Non-zeros in the factors
+     */
+    get nonZeros() {
+        return this._lower.values.length + this._upper.values.length + this.size;
+    }
+
+    /**
+     * Solves the reordered system by forward and back substitution
+     * @param {Float64Array} b - Reordered right-hand side
+     * @returns {Float64Array} Reordered solution
+     */
+    _solveOrdered(b) {
+        const n = this.size;
+        const { ptr: lPtr, indices: lCols, values: lValues } = this._lower;
+        const { ptr: uPtr, indices: uCols, values: uValues } = this._upper;
+
+        const y = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            let sum = b[this.pivotRows[i]];
+            for (let p = lPtr[i]; p < lPtr[i + 1]; p++) {
+                sum -= lValues[p] * y[lCols[p]];
+            }
+            y[i] = sum;
+        }
+
+        for (let i = n - 1; i >= 0; i--) {
+            let sum = y[i];
+            for (let p = uPtr[i]; p < uPtr[i + 1]; p++) {
+                sum -= uValues[p] * y[uCols[p]];
+            }
+            y[i] = sum / this._diagonal[i];
+        }
+        return y;
+    }
+
+    /**
+     * Computes the determinant from the diagonal of U and the sign of the row pivoting
+     * @returns {number} det(A)
+     */
+    determinant() {
+        let determinant = 1;
+        for (const value of this._diagonal) {
+            determinant *= value;
+        }
+
+        // Every cycle of even length in the pivot permutation is an odd number of swaps
+        const seen = new Uint8Array(this.size);
+        for (let start = 0; start < this.size; start++) {
+            let length = 0;
+            for (let i = start; !seen[i]; i = this.pivotRows[i]) {
+                seen[i] = 1;
+                length++;
+            }
+            if (length > 0 && length % 2 === 0) {
+                determinant = -determinant;
+            }
+        }
+        return determinant;
+    }
+}
+
+/**
+ * Cholesky factorization B = L·L^T of the reordered matrix B, with L lower triangular
+ */
+class CholeskyFactorization extends Factorization {
+    /**
+     * @param {SparseMatrix} matrix - The factored matrix
+     * @param {Uint32Array} order - Fill-reducing ordering used
+     * @param {Object} lower - Compressed columns of L below the diagonal
+     * @param {Float64Array} diagonal - Diagonal of L
+     */
+    constructor(matrix, order, lower, diagonal) {
+        super(matrix, order);
+        this._lower = lower;
+        this._diagonal = diagonal;
+    }
+
+    /**
+     * Number of values stored in L, diagonal included
+     * @returns {number} Non-zeros in the factor
+     */
+    get nonZeros() {
+        return this._lower.values.length + this.size;
+    }
+
+    /**
+     * Solves L·y = b and then L^T·x = y
+     * @param {Float64Array} b - Reordered right-hand side
+     * @returns {Float64Array} Reordered solution
+     */
+    _solveOrdered(b) {
+        const n = this.size;
+        const { ptr, indices: rows, values } = this._lower;
+        const x = Float64Array.from(b);
+
+        for (let k = 0; k < n; k++) {
+            x[k] /= this._diagonal[k];
+            for (let p = ptr[k]; p < ptr[k + 1]; p++) {
+                x[rows[p]] -= values[p] * x[k];
+            }
+        }
+
+        for (let k = n - 1; k >= 0; k--) {
+            let sum = x[k];
+            for (let p = ptr[k]; p < ptr[k + 1]; p++) {
+                sum -= values[p] * x[rows[p]];
+            }
+            x[k] = sum / this._diagonal[k];
+        }
+        return x;
+    }
+
+    /**
+     * Computes the determinant as the squared product of the diagonal of L
+     * @returns {number} det(A)
+     */
+    determinant() {
+        let product = 1;
+        for (const value of this._diagonal) {
+            product *= value;
+        }
+        return product * product;
+    }
+}
+
+/**
+ * Factors a square matrix as P·B = L·U, where B is the matrix with rows and columns
+ * reordered to reduce fill-in. At every step the row with the largest value in the
+ * pivot column is chosen.
+ * @param {SparseMatrix} matrix - Square matrix
+ * @param {Object} [options] - Factorization options
+ * @param {string} [options.ordering='rcm'] - 'rcm' (reverse Cuthill-McKee) or 'natural'
+ * @returns {LUFactorization} Factor object with solve(b), determinant() and inverse()
+ * @throws {Error} If the matrix is not square, holds BigInt values or is singular
+ */
+function lu(matrix, options = {}) {
+    const { order, position } = prepare(matrix, options, 'LU');
+    const n = matrix.rows;
+
+    // Active rows of B, and for every column the rows that hold a value in it
+    const rows = Array.from({ length: n }, () => new Map());
+    const colRows = Array.from({ length: n }, () => new Set());
+    let largest = 0;
+    for (const [row, rowData] of matrix._rowData) {
+        for (const [col, value] of rowData) {
+            rows[position[row]].set(position[col], value);
+            colRows[position[col]].add(position[row]);
+            largest = Math.max(largest, Math.abs(value));
+        }
+    }
+    // Pivots this small are rounding errors of a singular matrix
+    const threshold = n * Number.EPSILON * largest;
+
+    const pivotRows = new Uint32Array(n);
+    const pivoted = new Uint8Array(n);
+    const multipliers = Array.from({ length: n }, () => []);
+    const upperRows = new Array(n);
+    const diagonal = new Float64Array(n);
+
+    for (let k = 0; k < n; k++) {
+        let pivotRow = -1;
+        let pivotMagnitude = 0;
+        for (const row of colRows[k]) {
+            if (pivoted[row]) {
+                continue;
+            }
+            const magnitude = Math.abs(rows[row].get(k));
+            if (magnitude > pivotMagnitude || (magnitude === pivotMagnitude && row < pivotRow)) {
+                pivotRow = row;
+                pivotMagnitude = magnitude;
+            }
+        }
+        if (pivotRow === -1 || pivotMagnitude <= threshold) {
+            throw new Error(`Matrix is singular: column ${order[k]} has no usable pivot`);
+        }
+
+        pivotRows[k] = pivotRow;
+        pivoted[pivotRow] = 1;
+        const pivotData = rows[pivotRow];
+        const pivot = pivotData.get(k);
+
+        for (const row of colRows[k]) {
+            if (pivoted[row]) {
+                continue;
+            }
+            const rowData = rows[row];
+            const factor = rowData.get(k) / pivot;
+            rowData.delete(k);
+            multipliers[row].push([k, factor]);
+
+            for (const [col, value] of pivotData) {
+                if (col === k) {
+                    continue;
+                }
+                const current = rowData.get(col);
+                const updated = (current !== undefined ? current : 0) - factor * value;
+                if (updated !== 0) {
+                    rowData.set(col, updated);
+                    colRows[col].add(row);
+                } else if (current !== undefined) {
+                    rowData.delete(col);
+                    colRows[col].delete(row);
+                }
+            }
+        }
+
+        diagonal[k] = pivot;
+        pivotData.delete(k);
+        upperRows[k] = Array.from(pivotData);
+        rows[pivotRow] = null;
+        colRows[k] = null;
+    }
+
+    const lowerRows = Array.from(pivotRows, (row) => multipliers[row]);
+    return new LUFactorization(matrix, order, pivotRows, compress(lowerRows), compress(upperRows), diagonal);
+}
+
+/**
+ * Factors a symmetric positive definite matrix as B = L·L^T, where B is the matrix
+ * with rows and columns reordered to reduce fill-in
+ * @param {SparseMatrix} matrix - Symmetric positive definite matrix
+ * @param {Object} [options] - Factorization options
+ * @param {string} [options.ordering='rcm'] - 'rcm' (reverse Cuthill-McKee) or 'natural'
+ * @returns {CholeskyFactorization} Factor object with solve(b), determinant() and inverse()
+ * @throws {Error} If the matrix is not square, holds BigInt values, is not symmetric
+ *   or is not positive definite
+ */
+function cholesky(matrix, options = {}) {
+    const { order, position } = prepare(matrix, options, 'Cholesky');
+    const n = matrix.rows;
+
+    // Lower triangle of B by columns
+    const columns = Array.from({ length: n }, () => new Map());
+    for (const [row, rowData] of matrix._rowData) {
+        for (const [col, value] of rowData) {
+            const mirrored = matrix.getElement(col, row);
+            if (mirrored !== value) {
+                throw new Error(`Cholesky factorization needs a symmetric matrix, but A[${row}][${col}] = ${value} ` +
+                    `and A[${col}][${row}] = ${mirrored}`);
+            }
+            if (position[row] >= position[col]) {
+                columns[position[col]].set(position[row], value);
+            }
+        }
+    }
+
+    const lowerColumns = new Array(n);
+    const diagonal = new Float64Array(n);
+
+    for (let k = 0; k < n; k++) {
+        const column = columns[k];
+        const pivot = column.has(k) ? column.get(k) : 0;
+        if (!(pivot > 0)) {
+            throw new Error(`Matrix is not positive definite: pivot ${pivot} for column ${order[k]}`);
+        }
+        const root = Math.sqrt(pivot);
+        column.delete(k);
+
+        const entries = Array.from(column, ([row, value]) => [row, value / root]).sort((a, b) => a[0] - b[0]);
+        // Subtract the outer product of the new column from the rest of the lower triangle
+        for (let a = 0; a < entries.length; a++) {
+            const [j, valueJ] = entries[a];
+            const target = columns[j];
+            for (let b = a; b < entries.length; b++) {
+                const [i, valueI] = entries[b];
+                const current = target.get(i);
+                const updated = (current !== undefined ? current : 0) - valueI * valueJ;
+                if (updated !== 0) {
+                    target.set(i, updated);
+                } else if (current !== undefined) {
+                    target.delete(i);
+                }
+            }
+        }
+
+        diagonal[k] = root;
+        lowerColumns[k] = entries;
+        columns[k] = null;
+    }
+
+    return new CholeskyFactorization(matrix, order, compress(lowerColumns), diagonal);
+}
+
+module.exports = {
+    lu,
+    cholesky,
+    LUFactorization,
+    CholeskyFactorization,
+    MAX_INVERSE_SIZE
+};
@@ -0,0 +1,659 @@
+/**
+ * Graph algorithms on a SparseMatrix read as an adjacency matrix
+ *
+ * Vertex i has an edge to vertex j when A[i][j] is stored, and the stored
+ * value is the weight of that edge. Algorithms that ignore direction
+ * (connected components, triangles) treat every edge as going both ways.
+ * Neighbours are always visited in increasing vertex order, so every
+ * result is deterministic.
+ */
+
+/**
+ * Default PageRank parameters
+ */
+const PAGERANK_DEFAULTS = {
+    damping: 0.85,
+    tolerance: 1e-9,
+    maxIterations: 1000
+};
+
+/**
+ * Checks that a matrix can be read as an adjacency matrix
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @throws {Error} If the matrix is not square
+ */
+function checkAdjacency(matrix) {
+    if (matrix.rows !== matrix.cols) {
+        throw new Error(`An adjacency matrix must be square, got ${matrix.rows}x${matrix.cols}`);
+    }
+}
+
+/**
+ * Checks a source vertex
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @param {number} source - Vertex index
+ * @throws {Error} If the vertex does not exist
+ */
+function checkVertex(matrix, source) {
+    if (!Number.isInteger(source) || source < 0 || source >= matrix.rows) {
+        throw new Error(`Invalid source vertex: ${source} (the graph has ${matrix.rows} vertices)`);
+    }
+}
+
+/**
+ * Converts the rows of an adjacency matrix to compressed neighbour lists:
+ * the edges leaving vertex v go to targets[offsets[v]] to targets[offsets[v + 1] - 1],
+ * sorted by target
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @param {boolean} [withWeights=false] - Also collect the edge weights
+ * @returns {{offsets: Uint32Array, targets: Uint32Array, weights: Float64Array|null}} Neighbour lists
+ */
+function outgoingEdges(matrix, withWeights = false) {
+    const n = matrix.rows;
+    const offsets = new Uint32Array(n + 1);
+    const targets = new Uint32Array(matrix.elementCount);
+    const weights = withWeights ? new Float64Array(matrix.elementCount) : null;
+
+    let p = 0;
+    for (let v = 0; v < n; v++) {
+        offsets[v] = p;
+        for (const [target, weight] of matrix._sortedRowEntries(v)) {
+            targets[p] = target;
+            if (withWeights) {
+                weights[p] = weight;
+            }
+            p++;
+        }
+    }
+    offsets[n] = p;
+
+    return { offsets, targets, weights };
+}
+
+/**
+ * Builds compressed neighbour lists of the undirected graph underlying an adjacency
+ * matrix: every edge in either direction, without self-loops or duplicates
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @returns {{offsets: Uint32Array, targets: Uint32Array}} Sorted neighbour lists
+ */
+function undirectedEdges(matrix) {
+    const n = matrix.rows;
+    const counts = new Uint32Array(n + 1);
+    for (const [row, rowData] of matrix._rowData) {
+        for (const col of rowData.keys()) {
+            if (col !== row) {
+                counts[row]++;
+                counts[col]++;
+            }
+        }
+    }
+
+    // Both directions of every edge, with duplicates where A[i][j] and A[j][i] are both stored
+    const offsets = new Uint32Array(n + 1);
+    for (let v = 0; v < n; v++) {
+        offsets[v + 1] = offsets[v] + counts[v];
+    }
+    const next = offsets.slice(0, n);
+    const all = new Uint32Array(offsets[n]);
+    for (const [row, rowData] of matrix._rowData) {
+        for (const col of rowData.keys()) {
+            if (col !== row) {
+                all[next[row]++] = col;
+                all[next[col]++] = row;
+            }
+        }
+    }
+
+    const uniqueOffsets = new Uint32Array(n + 1);
+    const targets = [];
+    for (let v = 0; v < n; v++) {
+        uniqueOffsets[v] = targets.length;
+        const neighbours = all.subarray(offsets[v], offsets[v + 1]).sort();
+        for (let i = 0; i < neighbours.length; i++) {
+            if (i === 0 || neighbours[i] !== neighbours[i - 1]) {
+                targets.push(neighbours[i]);
+            }
+        }
+    }
+    uniqueOffsets[n] = targets.length;
+
+    return { offsets: uniqueOffsets, targets: Uint32Array.from(targets) };
+}
+
+/**
+ * Breadth-first search along the edge directions
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @param {number} source - Start vertex
+ * @returns {{order: number[], depth: Int32Array, parent: Int32Array}} Vertices in visiting order,
+ *   and for every vertex its number of edges from the source and the vertex it was reached from
+ *   (both -1 for vertices that cannot be reached, and parent -1 for the source)
+ * @throws {Error} If the matrix is not square or the source does not exist
+ */
+function bfs(matrix, source) {
+    checkAdjacency(matrix);
+    checkVertex(matrix, source);
+    const { offsets, targets } = outgoingEdges(matrix);
+
+    const depth = new Int32Array(matrix.rows).fill(-1);
+    const parent = new Int32Array(matrix.rows).fill(-1);
+    const order = [source];
+    depth[source] = 0;
+
+    for (let head = 0; head < order.length; head++) {
+        const v = order[head];
+        for (let p = offsets[v]; p < offsets[v + 1]; p++) {
+            const w = targets[p];
+            if (depth[w] === -1) {
+                depth[w] = depth[v] + 1;
+                parent[w] = v;
+                order.push(w);
+            }
+        }
+    }
+
+    return { order, depth, parent };
+}
+
+/**
+ * Depth-first search along the edge directions
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @param {number} source - Start vertex
+ * @returns {{order: number[], parent: Int32Array}} Vertices in the order they are first
+ *   reached, and for every vertex the vertex it was reached from (-1 for the source and
+ *   for vertices that cannot be reached)
+ * @throws {Error} If the matrix is not square or the source does not exist
+ */
+function dfs(matrix, source) {
+    checkAdjacency(matrix);
+    checkVertex(matrix, source);
+    const { offsets, targets } = outgoingEdges(matrix);
+
+    const visited = new Uint8Array(matrix.rows);
+    const parent = new Int32Array(matrix.rows).fill(-1);
+    const order = [source];
+    visited[source] = 1;
+
+    // Explicit stack of [vertex, next edge to follow], so deep graphs can't overflow the call stack
+    const stack = [[source, offsets[source]]];
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const v = frame[0];
+        if (frame[1] === offsets[v + 1]) {
+            stack.pop();
+            continue;
+        }
+        const w = targets[frame[1]++];
+        if (!visited[w]) {
+            visited[w] = 1;
+            parent[w] = v;
+            order.push(w);
+            stack.push([w, offsets[w]]);
+        }
+    }
+
+    return { order, parent };
+}
+
+/**
+ * Renumbers component labels in order of each component's smallest vertex
+ * @param {Int32Array} labels - Component of every vertex
+ * @returns {{count: number, labels: Int32Array}} Number of components and the renumbered labels
+ */
+function normalizeLabels(labels) {
+    const renumbered = new Map();
+    for (let v = 0; v < labels.length; v++) {
+        if (!renumbered.has(labels[v])) {
+            renumbered.set(labels[v], renumbered.size);
+        }
+        labels[v] = renumbered.get(labels[v]);
+    }
+    return { count: renumbered.size, labels };
+}
+
+/**
+ * Finds the connected components, ignoring edge directions (the weakly connected
+ * components of a directed graph)
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @returns {{count: number, labels: Int32Array}} Number of components and the component of
+ *   every vertex, numbered in order of each component's smallest vertex
+ * @throws {Error} If the matrix is not square
+ */
+function connectedComponents(matrix) {
+    checkAdjacency(matrix);
+    const { offsets, targets } = undirectedEdges(matrix);
+
+    const labels = new Int32Array(matrix.rows).fill(-1);
+    const queue = new Uint32Array(matrix.rows);
+    let count = 0;
+
+    for (let start = 0; start < matrix.rows; start++) {
+        if (labels[start] !== -1) {
+            continue;
+        }
+        labels[start] = count;
+        queue[0] = start;
+        for (let head = 0, tail = 1; head < tail; head++) {
+            const v = queue[head];
+            for (let p = offsets[v]; p < offsets[v + 1]; p++) {
+                const w = targets[p];
+                if (labels[w] === -1) {
+                    labels[w] = count;
+                    queue[tail++] = w;
+                }
+            }
+        }
+        count++;
+    }
+
+    return { count, labels };
+}
+
+/**
+ * Finds the strongly connected components with Tarjan's algorithm
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @returns {{count: number, labels: Int32Array}} Number of components and the component of
+ *   every vertex, numbered in order of each component's smallest vertex
+ * @throws {Error} If the matrix is not square
+ */
+function stronglyConnectedComponents(matrix) {
+    checkAdjacency(matrix);
+    const { offsets, targets } = outgoingEdges(matrix);
+    const n = matrix.rows;
+
+    const index = new Int32Array(n).fill(-1);
+    const lowLink = new Int32Array(n);
+    const onStack = new Uint8Array(n);
+    const labels = new Int32Array(n);
+    const stack = [];
+    let nextIndex = 0;
+    let count = 0;
+
+    const visit = (v, callStack) => {
+        index[v] = lowLink[v] = nextIndex++;
+        stack.push(v);
+        onStack[v] = 1;
+        callStack.push([v, offsets[v]]);
+    };
+
+    for (let root = 0; root < n; root++) {
+        if (index[root] !== -1) {
+            continue;
+        }
+        // Explicit call stack of [vertex, next edge to follow] in place of recursion
+        const callStack = [];
+        visit(root, callStack);
+
+        while (callStack.length > 0) {
+            const frame = callStack[callStack.length - 1];
+            const v = frame[0];
+            if (frame[1] < offsets[v + 1]) {
+                const w = targets[frame[1]++];
+                if (index[w] === -1) {
+                    visit(w, callStack);
+                } else if (onStack[w]) {
+                    lowLink[v] = Math.min(lowLink[v], index[w]);
+                }
+                continue;
+            }
+
+            callStack.pop();
+            if (lowLink[v] === index[v]) {
+                let w;
+                do {
+                    w = stack.pop();
+                    onStack[w] = 0;
+                    labels[w] = count;
+                } while (w !== v);
+                count++;
+            }
+            if (callStack.length > 0) {
+                const caller = callStack[callStack.length - 1][0];
+                lowLink[caller] = Math.min(lowLink[caller], lowLink[v]);
+            }
+        }
+    }
+
+    return normalizeLabels(labels);
+}
+
+/**
+ * Minimal binary heap of [distance, vertex] pairs for Dijkstra's algorithm
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Adds an item
+     * @param {number} key - Priority; smaller comes out first
+     * @param {number} value - Item
+     */
+    push(key, value) {
+        const items = this.items;
+        items.push([key, value]);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent][0] <= key) {
+                break;
+            }
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    /**
+     * Removes the item with the smallest key
+     * @returns {[number, number]} The [key, value] pair
+     */
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left][0] < items[smallest][0]) {
+                    smallest = left;
+                }
+                if (right < items.length && items[right][0] < items[smallest][0]) {
+                    smallest = right;
+                }
+                if (smallest === i) {
+                    break;
+                }
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Finds the shortest paths from one vertex with Dijkstra's algorithm, using the
+ * stored values as edge lengths
+ * @param {SparseMatrix} matrix - Adjacency matrix with non-negative values
+ * @param {number} source - Start vertex
+ * @returns {{distance: Float64Array, parent: Int32Array}} Length of the shortest path to every
+ *   vertex (Infinity if it cannot be reached) and the previous vertex on that path
+ *   (-1 for the source and for vertices that cannot be reached)
+ * @throws {Error} If the matrix is not square, holds BigInt values or has a negative value,
+ *   or if the source does not exist
+ */
+function dijkstra(matrix, source) {
+    checkAdjacency(matrix);
+    checkVertex(matrix, source);
+    matrix._requireNumbers('shortest paths');
+    const { offsets, targets, weights } = outgoingEdges(matrix, true);
+
+    for (let v = 0; v < matrix.rows; v++) {
+        for (let p = offsets[v]; p < offsets[v + 1]; p++) {
+            if (!(weights[p] >= 0)) {
+                throw new Error(`Shortest paths need non-negative edge lengths, found ${weights[p]} ` +
+                    `at (${v}, ${targets[p]})`);
+            }
+        }
+    }
+
+    const distance = new Float64Array(matrix.rows).fill(Infinity);
+    const parent = new Int32Array(matrix.rows).fill(-1);
+    const done = new Uint8Array(matrix.rows);
+    const heap = new MinHeap();
+    distance[source] = 0;
+    heap.push(0, source);
+
+    while (heap.size > 0) {
+        const [, v] = heap.pop();
+        // Stale entries are left in the heap when a shorter path is found
+        if (done[v]) {
+            continue;
+        }
+        done[v] = 1;
+        for (let p = offsets[v]; p < offsets[v + 1]; p++) {
+            const w = targets[p];
+            const candidate = distance[v] + weights[p];
+            if (candidate < distance[w]) {
+                distance[w] = candidate;
+                parent[w] = v;
+                heap.push(candidate, w);
+            }
+        }
+    }
+
+    return { distance, parent };
+}
+
+/**
+ * Computes PageRank by power iteration with matrix-vector products. Each vertex passes
+ * its rank along its outgoing edges in proportion to their weights; vertices without
+ * outgoing edges spread their rank over all vertices.
+ * @param {SparseMatrix} matrix - Adjacency matrix with non-negative values
+ * @param {Object} [options] - PageRank options
+ * @param {number} [options.damping=0.85] - Probability of following an edge rather than jumping
+ * @param {number} [options.tolerance=1e-9] - Stop once the ranks change by less than this in total
+ * @param {number} [options.maxIterations=1000] - Iteration limit
+ * @returns {{ranks: Float64Array, converged: boolean, iterations: number}} Ranks summing to 1
+ * @throws {Error} If the matrix is not square, holds BigInt values or has a negative value,
+ *   or if an option is out of range
+ */
+function pagerank(matrix, options = {}) {
+    checkAdjacency(matrix);
+    matrix._requireNumbers('PageRank');
+    const damping = options.damping !== undefined ? options.damping : PAGERANK_DEFAULTS.damping;
+    const tolerance = options.tolerance !== undefined ? options.tolerance : PAGERANK_DEFAULTS.tolerance;
+    const maxIterations = options.maxIterations !== undefined
+        ? options.maxIterations : PAGERANK_DEFAULTS.maxIterations;
+    if (typeof damping !== 'number' || !(damping >= 0 && damping <= 1)) {
+        throw new Error(`Invalid damping factor: ${damping} (expected a number from 0 to 1)`);
+    }
+    if (!(tolerance > 0)) {
+        throw new Error(`Invalid tolerance: ${tolerance}`);
+    }
+    if (!Number.isInteger(maxIterations) || maxIterations < 0) {
+        throw new Error(`Invalid maximum number of iterations: ${maxIterations}`);
+    }
+
+    const n = matrix.rows;
+    const outWeights = new Float64Array(n);
+    for (const [row, rowData] of matrix._rowData) {
+        for (const [col, value] of rowData) {
+            if (!(value >= 0)) {
+                throw new Error(`PageRank needs non-negative edge weights, found ${value} at (${row}, ${col})`);
+            }
+            outWeights[row] += value;
+        }
+    }
+    const transitions = matrix.map((value, row) => value / outWeights[row]);
+
+    let ranks = new Float64Array(n).fill(1 / n);
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations && !converged) {
+        let danglingRank = 0;
+        for (let v = 0; v < n; v++) {
+            if (outWeights[v] === 0) {
+                danglingRank += ranks[v];
+            }
+        }
+
+        const next = transitions.transposeMultiplyVector(ranks);
+        const teleport = (damping * danglingRank + 1 - damping) / n;
+        let change = 0;
+        for (let v = 0; v < n; v++) {
+            next[v] = damping * next[v] + teleport;
+            change += Math.abs(next[v] - ranks[v]);
+        }
+
+        ranks = next;
+        iterations++;
+        converged = change < tolerance;
+    }
+
+    return { ranks, converged, iterations };
+}
+
+/**
+ * Counts the edges entering and leaving every vertex. A self-loop counts once in each.
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @returns {{inDegree: Uint32Array, outDegree: Uint32Array}} Degrees of every vertex
+ * @throws {Error} If the matrix is not square
+ */
+function degrees(matrix) {
+    checkAdjacency(matrix);
+    const inDegree = new Uint32Array(matrix.rows);
+    const outDegree = new Uint32Array(matrix.rows);
+
+    for (const [row, rowData] of matrix._rowData) {
+        outDegree[row] = rowData.size;
+        for (const col of rowData.keys()) {
+            inDegree[col]++;
+        }
+    }
+
+    return { inDegree, outDegree };
+}
+
+/**
+ * Counts the triangles of the undirected graph underlying an adjacency matrix:
+ * sets of three vertices that are pairwise connected in at least one direction
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @returns {number} Number of triangles; self-loops are ignored
+ * @throws {Error} If the matrix is not square
+ */
+function countTriangles(matrix) {
+    checkAdjacency(matrix);
+    const { offsets, targets } = undirectedEdges(matrix);
+    let triangles = 0;
+
+    // Count each triangle u < v < w once, from its smallest vertex, by merging sorted neighbour lists
+    for (let u = 0; u < matrix.rows; u++) {
+        for (let p = offsets[u]; p < offsets[u + 1]; p++) {
+            const v = targets[p];
+            if (v <= u) {
+                continue;
+            }
+            let i = p + 1;
+            let j = offsets[v];
+            while (i < offsets[u + 1] && j < offsets[v + 1]) {
+                if (targets[i] < targets[j]) {
+                    i++;
+                } else if (targets[i] > targets[j]) {
+                    j++;
+                } else {
+                    triangles++;
+                    i++;
+                    j++;
+                }
+            }
+        }
+    }
+
+    return triangles;
+}
+
+/**
+ * Computes the reverse Cuthill-McKee ordering, which numbers the vertices so that
+ * edges join vertices with nearby numbers. Reordering the rows and columns of a
+ * matrix this way narrows its bandwidth, and with it the fill-in of factorizations.
+ * Edge directions are ignored.
+ * @param {SparseMatrix} matrix - Adjacency matrix
+ * @returns {Uint32Array} Vertices in their new order: new index i holds old vertex order[i]
+ * @throws {Error} If the matrix is not square
+ */
+function reverseCuthillMcKee(matrix) {
+    checkAdjacency(matrix);
+    const { offsets, targets } = undirectedEdges(matrix);
+    const n = matrix.rows;
+    const degree = (v) => offsets[v + 1] - offsets[v];
+    const byDegree = (a, b) => degree(a) - degree(b) || a - b;
+
+    // Breadth-first levels from a vertex, reusing one array of depths
+    const depth = new Int32Array(n).fill(-1);
+    const levels = (root) => {
+        const reached = [root];
+        depth[root] = 0;
+        for (let head = 0; head < reached.length; head++) {
+            const v = reached[head];
+            for (let p = offsets[v]; p < offsets[v + 1]; p++) {
+                if (depth[targets[p]] === -1) {
+                    depth[targets[p]] = depth[v] + 1;
+                    reached.push(targets[p]);
+                }
+            }
+        }
+        const height = depth[reached[reached.length - 1]];
+        const last = reached.filter((v) => depth[v] === height);
+        for (const v of reached) {
+            depth[v] = -1;
+        }
+        return { height, last };
+    };
+
+    // Start each component from a vertex far from the rest (George and Liu's heuristic)
+    const peripheralVertex = (start) => {
+        let root = start;
+        let { height, last } = levels(root);
+        for (;;) {
+            const candidate = last.reduce((best, v) => (byDegree(v, best) < 0 ? v : best));
+            const next = levels(candidate);
+            if (next.height <= height) {
+                return root;
+            }
+            root = candidate;
+            ({ height, last } = next);
+        }
+    };
+
+    const order = new Uint32Array(n);
+    const placed = new Uint8Array(n);
+    let count = 0;
+    const starts = Array.from({ length: n }, (_, v) => v).sort(byDegree);
+
+    for (const start of starts) {
+        if (placed[start]) {
+            continue;
+        }
+        const root = peripheralVertex(start);
+        placed[root] = 1;
+        order[count++] = root;
+        for (let head = count - 1; head < count; head++) {
+            const v = order[head];
+            const next = [];
+            for (let p = offsets[v]; p < offsets[v + 1]; p++) {
+                if (!placed[targets[p]]) {
+                    placed[targets[p]] = 1;
+                    next.push(targets[p]);
+                }
+            }
+            for (const w of next.sort(byDegree)) {
+                order[count++] = w;
+            }
+        }
+    }
+
+    return order.reverse();
+}
+
+module.exports = {
+    bfs,
+    dfs,
+    connectedComponents,
+    stronglyConnectedComponents,
+    dijkstra,
+    pagerank,
+    degrees,
+    countTriangles,
+    reverseCuthillMcKee,
+    PAGERANK_DEFAULTS
+};
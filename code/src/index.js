@@ -2,23 +2,25 @@
  * Main script for sparse matrix operations
  */
 
-const SparseMatrix = require('./SparseMatrix');
+const { runCli } = require('./cli');
+const { Session } = require('./repl');
 
 /**
- * Custom function to check if a file exists without using fs
- * For assignment purposes, we're simulating this functionality
- * In a real environment without built-in libraries, this would need an alternative implementation
- * @param {string} filePath - Path to check
- * @returns {boolean} Whether the file exists
+ * Control characters and escape sequences understood while editing a line
  */
-function fileExists(filePath) {
-    try {
-        const fs = require('fs');
-        return fs.existsSync(filePath);
-    } catch (error) {
-        return false;
-    }
-}
+const KEYS = {
+    ENTER: '\r',
+    NEWLINE: '\n',
+    TAB: '\t',
+    BACKSPACE: '\u007f',
+    CTRL_H: '\b',
+    CTRL_C: '\u0003',
+    CTRL_D: '\u0004',
+    UP: '\u001b[A',
+    DOWN: '\u001b[B',
+    RIGHT: '\u001b[C',
+    LEFT: '\u001b[D'
+};
 
 /**
  * Custom implementation of readline interface
@@ -27,205 +29,263 @@ function fileExists(filePath) {
 class CustomReadLine {
     constructor() {
         this.buffer = '';
+        this.ended = false;
         this.stdin = process.stdin;
         this.stdout = process.stdout;
-        
+        this._wakeUp = null;
+
         this.stdin.setEncoding('utf8');
+        // Listen for the whole session: input that arrives between questions, or several
+        // lines piped in at once, waits in the buffer instead of being dropped
+        this._onData = (data) => {
+            this.buffer += data;
+            this._wake();
+        };
+        this._onEnd = () => {
+            this.ended = true;
+            this._wake();
+        };
+        this.stdin.on('data', this._onData);
+        this.stdin.on('end', this._onEnd);
     }
 
     /**
-     * Asks a question and waits for user input
-     * @param {string} question - The question to ask
-     * @returns {Promise<string>} User's response
+     * Resolves the pending wait for input, if any
      */
-    question(question) {
+    _wake() {
+        if (this._wakeUp !== null) {
+            const wakeUp = this._wakeUp;
+            this._wakeUp = null;
+            wakeUp();
+        }
+    }
+
+    /**
+     * Waits until more input arrives or the input ends
+     * @returns {Promise<void>}
+     */
+    _waitForInput() {
         return new Promise((resolve) => {
-            this.stdout.write(question);
-            
-            const onData = (data) => {
-                this.buffer += data;
-                
-                if (this.buffer.includes('\n')) {
-                    const answer = this.buffer.split('\n')[0];
-                    this.buffer = this.buffer.substring(answer.length + 1);
-                    
-                    this.stdin.removeListener('data', onData);
-                    resolve(answer);
-                }
-            };
-            
-            this.stdin.on('data', onData);
+            this._wakeUp = resolve;
         });
     }
 
     /**
-     * Closes the readline interface
+     * Asks a question and waits for user input
+     * @param {string} question - The question to ask
+     * @returns {Promise<string|null>} User's response, or null once the input has ended
      */
-    close() {
-        // We don't actually close stdin, as that would end the process
-        // Instead, we just remove all listeners
-        this.stdin.removeAllListeners('data');
-    }
-}
+    async question(question) {
+        this.stdout.write(question);
 
-/**
- * Main function to run the sparse matrix operations
- */
-async function main() {
-    console.log("\n=== Sparse Matrix Operations ===\n");
-    
-    // Create our custom readline
-    const rl = new CustomReadLine();
-    
-    try {
-        // Get first matrix file path
-        const matrix1Path = await promptUser(rl, "Enter path to first matrix file: ");
-        if (!fileExists(matrix1Path)) {
-            throw new Error(`File not found: ${matrix1Path}`);
+        for (;;) {
+            const newline = this.buffer.indexOf('\n');
+            if (newline !== -1) {
+                const answer = this.buffer.substring(0, newline);
+                this.buffer = this.buffer.substring(newline + 1);
+                return answer.endsWith('\r') ? answer.slice(0, -1) : answer;
+            }
+            if (this.ended) {
+                // A last line without a newline still counts
+                const answer = this.buffer;
+                this.buffer = '';
+                return answer !== '' ? answer : null;
+            }
+            await this._waitForInput();
         }
-        
-        // Get second matrix file path
-        const matrix2Path = await promptUser(rl, "Enter path to second matrix file: ");
-        if (!fileExists(matrix2Path)) {
-            throw new Error(`File not found: ${matrix2Path}`);
+    }
+
+    /**
+     * Reads a line with editing keys when the input is a terminal: Left/Right move the
+     * cursor, Up/Down recall history, Tab completes, Ctrl-C clears the line and Ctrl-D
+     * on an empty line ends the input. Piped input is read with question() and no prompt.
+     * @param {string} prompt - Prompt to show
+     * @param {Object} [options] - Editing options
+     * @param {string[]} [options.history] - Earlier lines, oldest first
+     * @param {function(string): {prefix: string, matches: string[]}} [options.complete] - Completes
+     *   the word before the cursor
+     * @returns {Promise<string|null>} The line, or null once the input has ended
+     */
+    async readLine(prompt, options = {}) {
+        if (!this.stdin.isTTY) {
+            // Prompts would only clutter the output of piped scripts
+            return this.question('');
         }
-        
-        // Load the matrices
-        console.log("\nLoading matrices...");
-        const matrix1 = new SparseMatrix(matrix1Path);
-        const matrix2 = new SparseMatrix(matrix2Path);
-        console.log("Matrices loaded successfully!\n");
-        
-        // Display matrix information
-        console.log(`Matrix 1: ${matrix1.rows}x${matrix1.cols} with ${matrix1.elementCount} non-zero elements`);
-        console.log(`Matrix 2: ${matrix2.rows}x${matrix2.cols} with ${matrix2.elementCount} non-zero elements\n`);
-        
-        // Ask user for operation to perform
-        const operation = await promptOperationChoice(rl);
-        
-        let result;
-        let outputFileName;
-        
-        // Perform the selected operation
-        switch (operation) {
-            case '1': // Addition
-                validateMatricesForAddition(matrix1, matrix2);
-                console.log("Performing matrix addition...");
-                result = matrix1.add(matrix2);
-                outputFileName = 'addition_result.txt';
-                break;
-                
-            case '2': // Subtraction
-                validateMatricesForSubtraction(matrix1, matrix2);
-                console.log("Performing matrix subtraction...");
-                result = matrix1.subtract(matrix2);
-                outputFileName = 'subtraction_result.txt';
-                break;
-                
-            case '3': // Multiplication
-                validateMatricesForMultiplication(matrix1, matrix2);
-                console.log("Performing matrix multiplication...");
-                result = matrix1.multiply(matrix2);
-                outputFileName = 'multiplication_result.txt';
-                break;
-                
-            default:
-                throw new Error("Invalid operation selected");
+
+        const history = options.history || [];
+        let line = '';
+        let cursor = 0;
+        // Position in the history; history.length is the line being typed
+        let recalled = history.length;
+        let draft = '';
+
+        const redraw = () => {
+            const back = line.length - cursor;
+            this.stdout.write(`\r${prompt}${line}\u001b[K${back > 0 ? `\u001b[${back}D` : ''}`);
+        };
+        const insert = (text) => {
+            line = line.substring(0, cursor) + text + line.substring(cursor);
+            cursor += text.length;
+        };
+
+        this.stdin.setRawMode(true);
+        this.stdout.write(prompt);
+        try {
+            for (;;) {
+                if (this.buffer === '') {
+                    if (this.ended) {
+                        return null;
+                    }
+                    await this._waitForInput();
+                    continue;
+                }
+
+                const key = /^\u001b\[[0-9;]*[A-Za-z~]/.exec(this.buffer);
+                const next = key !== null ? key[0] : this.buffer[0];
+                this.buffer = this.buffer.substring(next.length);
+
+                switch (next) {
+                    case KEYS.ENTER:
+                    case KEYS.NEWLINE:
+                        this.stdout.write('\r\n');
+                        return line;
+                    case KEYS.CTRL_D:
+                        if (line === '') {
+                            this.stdout.write('\r\n');
+                            return null;
+                        }
+                        break;
+                    case KEYS.CTRL_C:
+                        this.stdout.write('^C\r\n');
+                        line = '';
+                        cursor = 0;
+                        recalled = history.length;
+                        break;
+                    case KEYS.BACKSPACE:
+                    case KEYS.CTRL_H:
+                        if (cursor > 0) {
+                            line = line.substring(0, cursor - 1) + line.substring(cursor);
+                            cursor--;
+                        }
+                        break;
+                    case KEYS.LEFT:
+                        cursor = Math.max(0, cursor - 1);
+                        break;
+                    case KEYS.RIGHT:
+                        cursor = Math.min(line.length, cursor + 1);
+                        break;
+                    case KEYS.UP:
+                    case KEYS.DOWN:
+                        if (recalled === history.length) {
+                            draft = line;
+                        }
+                        recalled = Math.max(0, Math.min(history.length, recalled + (next === KEYS.UP ? -1 : 1)));
+                        line = recalled === history.length ? draft : history[recalled];
+                        cursor = line.length;
+                        break;
+                    case KEYS.TAB:
+                        if (options.complete) {
+                            this._complete(line.substring(0, cursor), options.complete, insert);
+                        }
+                        break;
+                    default:
+                        // Ignore other control keys and escape sequences
+                        if (next >= ' ' && next.length === 1) {
+                            insert(next);
+                        }
+                }
+                redraw();
+            }
+        } finally {
+            this.stdin.setRawMode(false);
         }
-        
-        // Save the result to a file
-        const resultPath = getAbsolutePath(outputFileName);
-        result.saveToFile(resultPath);
-        
-        console.log(`\nOperation completed successfully!`);
-        console.log(`Result: ${result.rows}x${result.cols} with ${result.elementCount} non-zero elements`);
-        console.log(`Result saved to: ${resultPath}`);
-        
-    } catch (error) {
-        console.error(`\nError: ${error.message}`);
-    } finally {
-        rl.close();
     }
-}
 
-/**
- * Get absolute path using current working directory
- * @param {string} relativePath - Relative path
- * @returns {string} Absolute path
- */
-function getAbsolutePath(relativePath) {
-    return `${process.cwd()}/${relativePath}`;
-}
+    /**
+     * Completes the word before the cursor. A single match is inserted whole; several
+     * matches are extended to their common prefix, or listed if that adds nothing.
+     * @param {string} text - Line up to the cursor
+     * @param {function(string): {prefix: string, matches: string[]}} complete - Completion source
+     * @param {function(string): void} insert - Inserts text at the cursor
+     */
+    _complete(text, complete, insert) {
+        const { prefix, matches } = complete(text);
+        if (matches.length === 0) {
+            return;
+        }
+        if (matches.length === 1) {
+            insert(matches[0].substring(prefix.length) + ' ');
+            return;
+        }
 
-/**
- * Validates matrices for addition operation
- * @param {SparseMatrix} matrix1 - First matrix
- * @param {SparseMatrix} matrix2 - Second matrix
- * @throws {Error} If matrices don't match dimensions
- */
-function validateMatricesForAddition(matrix1, matrix2) {
-    if (matrix1.rows !== matrix2.rows || matrix1.cols !== matrix2.cols) {
-        throw new Error("Matrix dimensions don't match for addition. Matrices must have the same dimensions.");
+        let common = matches[0];
+        for (const match of matches) {
+            while (!match.startsWith(common)) {
+                common = common.slice(0, -1);
+            }
+        }
+        if (common.length > prefix.length) {
+            insert(common.substring(prefix.length));
+        } else {
+            // The prompt and line are redrawn below the list
+            this.stdout.write(`\r\n${matches.join('  ')}\r\n`);
+        }
     }
-}
 
-/**
- * Validates matrices for subtraction operation
- * @param {SparseMatrix} matrix1 - First matrix
- * @param {SparseMatrix} matrix2 - Second matrix
- * @throws {Error} If matrices don't match dimensions
- */
-function validateMatricesForSubtraction(matrix1, matrix2) {
-    if (matrix1.rows !== matrix2.rows || matrix1.cols !== matrix2.cols) {
-        throw new Error("Matrix dimensions don't match for subtraction. Matrices must have the same dimensions.");
+    /**
+     * Closes the readline interface
+     */
+    close() {
+        // We don't actually close stdin, as that would end the process
+        // Instead, we remove our listeners and stop reading
+        this.stdin.removeListener('data', this._onData);
+        this.stdin.removeListener('end', this._onEnd);
+        this.stdin.pause();
     }
 }
 
 /**
- * Validates matrices for multiplication operation
- * @param {SparseMatrix} matrix1 - First matrix
- * @param {SparseMatrix} matrix2 - Second matrix
- * @throws {Error} If matrices don't match dimensions
+ * Runs the interactive session until the user exits or the input ends
  */
-function validateMatricesForMultiplication(matrix1, matrix2) {
-    if (matrix1.cols !== matrix2.rows) {
-        throw new Error("Matrix dimensions don't match for multiplication. " +
-            "Number of columns in first matrix must equal number of rows in second matrix.");
+async function main() {
+    if (process.stdin.isTTY) {
+        console.log("\n=== Sparse Matrix Session ===");
+        console.log('Type "help" for commands, "exit" or Ctrl-D to quit.\n');
     }
-}
 
-/**
- * Prompts the user with a question
- * @param {CustomReadLine} rl - Readline interface
- * @param {string} question - The question to ask
- * @returns {Promise<string>} User's response
- */
-async function promptUser(rl, question) {
-    const answer = await rl.question(question);
-    return answer.trim();
-}
+    const rl = new CustomReadLine();
+    const session = new Session();
 
-/**
- * Prompts the user to select an operation
- * @param {CustomReadLine} rl - Readline interface
- * @returns {Promise<string>} Selected operation number
- */
-async function promptOperationChoice(rl) {
-    console.log("Select operation to perform:");
-    console.log("1. Addition");
-    console.log("2. Subtraction");
-    console.log("3. Multiplication");
-    
-    let choice;
-    do {
-        choice = await promptUser(rl, "Enter your choice (1-3): ");
-        if (!['1', '2', '3'].includes(choice)) {
-            console.log("Invalid choice. Please enter 1, 2, or 3.");
+    try {
+        while (!session.finished) {
+            const line = await rl.readLine('> ', {
+                history: session.history,
+                complete: (text) => session.complete(text)
+            });
+            if (line === null) {
+                break;
+            }
+
+            try {
+                process.stdout.write(await session.execute(line));
+            } catch (error) {
+                console.error(`Error: ${error.message}`);
+                // Scripts piped into the session can tell that a line failed
+                if (!process.stdin.isTTY) {
+                    process.exitCode = 1;
+                }
+            }
         }
-    } while (!['1', '2', '3'].includes(choice));
-    
-    return choice;
+    } finally {
+        rl.close();
+    }
 }
 
-// Run the main function
-main(); 
\ No newline at end of file
+// Run a command when arguments are given, otherwise start an interactive session
+if (process.argv.length > 2) {
+    runCli(process.argv.slice(2)).then((exitCode) => {
+        process.exitCode = exitCode;
+    });
+} else {
+    main();
+}
@@ -0,0 +1,416 @@
+/**
+ * Batch jobs: load named matrices, compute new ones and save the results, all
+ * described in a job file and run by the run-job command
+ *
+ * A job file is JSON when its name ends in .json, and otherwise a script whose
+ * lines use the syntax of the interactive session (see repl.js):
+ *
+ *   # Lines starting with # are comments
+ *   on-error continue
+ *   load A sample_inputs/test_matrix1.txt
+ *   load B sample_inputs/test_matrix2.txt
+ *   C = (A + B) * 2
+ *   save C results/sum.mtx
+ *
+ * The same job in JSON:
+ *
+ *   {
+ *     "onError": "continue",
+ *     "inputs": { "A": "sample_inputs/test_matrix1.txt", "B": { "file": "sample_inputs/test_matrix2.txt" } },
+ *     "steps": [{ "name": "C", "expression": "(A + B) * 2" }],
+ *     "outputs": [{ "matrix": "C", "file": "results/sum.mtx" }]
+ *   }
+ *
+ * Inputs and outputs may name a format (text, mtx or bin); otherwise the file
+ * extension decides. Relative paths are resolved against the directory of the job file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadInput, formatFor, FORMATS } = require('./cli');
+const { evaluate, tokenize, checkName, summarize } = require('./repl');
+
+/**
+ * What a job does when a step fails: stop there, or carry on with the steps
+ * that do not need the missing result
+ */
+const ON_ERROR = ['stop', 'continue'];
+
+/**
+ * Returns the matrix names an expression refers to
+ * @param {string} expression - Expression text
+ * @returns {string[]} Names, without function names
+ * @throws {Error} If the expression holds a character that is not part of the language
+ */
+function referencedNames(expression) {
+    const tokens = tokenize(expression);
+    return tokens
+        .filter((token, i) => token.type === 'name' &&
+            !(tokens[i + 1] !== undefined && tokens[i + 1].type === 'symbol' && tokens[i + 1].value === '('))
+        .map((token) => token.value);
+}
+
+/**
+ * Builds the steps of a job and checks that every name is defined before it is used
+ */
+class JobBuilder {
+    constructor() {
+        this.onError = 'stop';
+        this.steps = [];
+        this._defined = new Set();
+    }
+
+    /**
+     * Sets what happens when a step fails
+     * @param {string} value - 'stop' or 'continue'
+     */
+    setOnError(value) {
+        if (!ON_ERROR.includes(value)) {
+            throw new Error(`Invalid on-error setting: ${value} (expected ${ON_ERROR.join(' or ')})`);
+        }
+        this.onError = value;
+    }
+
+    /**
+     * Adds a step that loads a matrix file
+     * @param {string} name - Name to give the matrix
+     * @param {string} file - Matrix file
+     * @param {string} [format] - File format; otherwise the extension decides
+     */
+    load(name, file, format) {
+        checkName(name);
+        this._add({ kind: 'load', name, file, format, uses: [] },
+            `load ${name} ${file}${format !== undefined ? ` ${format}` : ''}`);
+    }
+
+    /**
+     * Adds a step that computes a matrix
+     * @param {string} name - Name to give the result
+     * @param {string} expression - Expression in the session syntax
+     */
+    compute(name, expression) {
+        checkName(name);
+        const trimmed = expression.trim();
+        this._add({ kind: 'compute', name, expression: trimmed, uses: referencedNames(trimmed) }, `${name} = ${trimmed}`);
+    }
+
+    /**
+     * Adds a step that saves a matrix to a file
+     * @param {string} name - Matrix to save
+     * @param {string} file - File to write
+     * @param {string} [format] - File format; otherwise the extension decides
+     */
+    save(name, file, format) {
+        this._add({ kind: 'save', name, file, format, uses: [name] },
+            `save ${name} ${file}${format !== undefined ? ` ${format}` : ''}`);
+    }
+
+    /**
+     * Checks and records a step
+     * @param {Object} step - Step without its description
+     * @param {string} description - How the step is shown in the report
+     */
+    _add(step, description) {
+        if (step.format !== undefined && !FORMATS.includes(step.format)) {
+            throw new Error(`Unknown format: ${step.format} (expected ${FORMATS.join(', ')})`);
+        }
+        for (const name of step.uses) {
+            if (!this._defined.has(name)) {
+                throw new Error(`Unknown matrix: ${name} (load or compute it in an earlier step)`);
+            }
+        }
+        if (step.kind !== 'save') {
+            this._defined.add(step.name);
+        }
+        this.steps.push({ ...step, description });
+    }
+
+    /**
+     * @returns {{onError: string, steps: Object[]}} The job
+     */
+    build() {
+        if (this.steps.length === 0) {
+            throw new Error('The job has no steps');
+        }
+        return { onError: this.onError, steps: this.steps };
+    }
+}
+
+/**
+ * Parses a job script, one step or setting per line
+ * @param {string} text - Script text
+ * @param {string} filePath - Script path, for error messages
+ * @returns {{onError: string, steps: Object[]}} The job
+ * @throws {Error} If a line is malformed, naming the file and line
+ */
+function parseScript(text, filePath) {
+    const builder = new JobBuilder();
+    const lines = text.split(/\r?\n/);
+
+    lines.forEach((line, i) => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) {
+            return;
+        }
+
+        try {
+            const assignment = /^([^\s=]+)\s*=(.*)$/.exec(trimmed);
+            const words = trimmed.split(/\s+/);
+            if (assignment !== null) {
+                builder.compute(assignment[1], assignment[2]);
+            } else if (words[0] === 'on-error' && words.length === 2) {
+                builder.setOnError(words[1]);
+            } else if ((words[0] === 'load' || words[0] === 'save') && (words.length === 3 || words.length === 4)) {
+                builder[words[0]](words[1], words[2], words[3]);
+            } else {
+                throw new Error(`Expected load NAME FILE [FORMAT], NAME = EXPRESSION, save NAME FILE [FORMAT] ` +
+                    `or on-error stop|continue, got: ${trimmed}`);
+            }
+        } catch (error) {
+            throw new Error(`Invalid job file ${filePath}:${i + 1}: ${error.message}`);
+        }
+    });
+
+    try {
+        return builder.build();
+    } catch (error) {
+        throw new Error(`Invalid job file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Reads a file entry of a JSON job: a path, or an object with a file and a format
+ * @param {*} entry - Entry from the job
+ * @param {string} where - Where the entry is, for error messages
+ * @returns {{file: string, format: (string|undefined)}} File and format
+ */
+function fileEntry(entry, where) {
+    if (typeof entry === 'string') {
+        return { file: entry, format: undefined };
+    }
+    if (entry === null || typeof entry !== 'object' || typeof entry.file !== 'string') {
+        throw new Error(`${where} must be a file path or an object with a "file" path`);
+    }
+    if (entry.format !== undefined && typeof entry.format !== 'string') {
+        throw new Error(`${where}: "format" must be a string`);
+    }
+    return { file: entry.file, format: entry.format };
+}
+
+/**
+ * Parses a JSON job with inputs, steps and outputs
+ * @param {string} text - JSON text
+ * @param {string} filePath - Job path, for error messages
+ * @returns {{onError: string, steps: Object[]}} The job
+ * @throws {Error} If the JSON is malformed or does not describe a job
+ */
+function parseJson(text, filePath) {
+    try {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`not valid JSON (${error.message})`);
+        }
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('expected an object with "inputs", "steps" and "outputs"');
+        }
+
+        const builder = new JobBuilder();
+        if (data.onError !== undefined) {
+            builder.setOnError(data.onError);
+        }
+        const inputs = data.inputs !== undefined ? data.inputs : {};
+        if (inputs === null || typeof inputs !== 'object' || Array.isArray(inputs)) {
+            throw new Error('"inputs" must map matrix names to files');
+        }
+        for (const [name, entry] of Object.entries(inputs)) {
+            const { file, format } = fileEntry(entry, `inputs.${name}`);
+            builder.load(name, file, format);
+        }
+
+        const steps = data.steps !== undefined ? data.steps : [];
+        if (!Array.isArray(steps)) {
+            throw new Error('"steps" must be an array');
+        }
+        steps.forEach((step, i) => {
+            if (step === null || typeof step !== 'object' ||
+                typeof step.name !== 'string' || typeof step.expression !== 'string') {
+                throw new Error(`steps[${i}] must be an object with a "name" and an "expression"`);
+            }
+            builder.compute(step.name, step.expression);
+        });
+
+        const outputs = data.outputs !== undefined ? data.outputs : [];
+        if (!Array.isArray(outputs)) {
+            throw new Error('"outputs" must be an array');
+        }
+        outputs.forEach((output, i) => {
+            if (output === null || typeof output !== 'object' || typeof output.matrix !== 'string') {
+                throw new Error(`outputs[${i}] must be an object with a "matrix" and a "file"`);
+            }
+            const { file, format } = fileEntry(output, `outputs[${i}]`);
+            builder.save(output.matrix, file, format);
+        });
+
+        return builder.build();
+    } catch (error) {
+        throw new Error(`Invalid job file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Parses a job: JSON if the path ends in .json, a script otherwise
+ * @param {string} text - Job file contents
+ * @param {string} filePath - Job file path
+ * @returns {{onError: string, steps: Object[]}} The job
+ * @throws {Error} If the job is malformed or uses a name before defining it
+ */
+function parseJob(text, filePath) {
+    return filePath.toLowerCase().endsWith('.json') ? parseJson(text, filePath) : parseScript(text, filePath);
+}
+
+/**
+ * Reads and parses a job file; its relative paths will be resolved against its directory
+ * @param {string} filePath - Job file path
+ * @returns {{onError: string, steps: Object[], baseDir: string}} The job
+ * @throws {Error} If the job is malformed
+ */
+function loadJob(filePath) {
+    const job = parseJob(fs.readFileSync(filePath, 'utf8'), filePath);
+    return { ...job, baseDir: path.dirname(filePath) };
+}
+
+/**
+ * Runs one step
+ * @param {Object} step - The step
+ * @param {Map<string, SparseMatrix>} matrices - Matrices computed so far
+ * @param {string} baseDir - Directory that relative paths start from
+ * @returns {Promise<string>} What the step produced, for the report
+ */
+async function runStep(step, matrices, baseDir) {
+    const file = step.file !== undefined ? path.resolve(baseDir, step.file) : undefined;
+    switch (step.kind) {
+        case 'load': {
+            const matrix = await loadInput(file, { format: step.format });
+            matrices.set(step.name, matrix);
+            return summarize(matrix);
+        }
+        case 'compute': {
+            const value = evaluate(step.expression, (name) => matrices.get(name));
+            if (typeof value === 'number') {
+                throw new Error(`${step.expression} is a number; only matrices can be named`);
+            }
+            matrices.set(step.name, value);
+            return summarize(value);
+        }
+        default: {
+            const matrix = matrices.get(step.name);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            matrix.saveToFile(file, { format: step.format !== undefined ? step.format : formatFor(file, {}) });
+            return `${fs.statSync(file).size} bytes`;
+        }
+    }
+}
+
+/**
+ * Runs a job's steps in order, timing each. After a failure the job stops, or with
+ * onError 'continue' goes on, skipping the steps that need a result that is missing.
+ * @param {{onError: string, steps: Object[], baseDir: (string|undefined)}} job - Job from loadJob or parseJob
+ * @param {Object} [options] - Run options
+ * @param {function(Object): void} [options.onStep] - Called with each step's report entry once it has run
+ * @returns {Promise<{steps: Object[], ms: number, firstError: (Error|null)}>} One entry per step with
+ *   its description, status ('ok', 'failed', 'skipped' or 'not run'), time in milliseconds and what it
+ *   produced or why it failed; the total time; and the error of the first failed step
+ */
+async function runJob(job, options = {}) {
+    const baseDir = job.baseDir !== undefined ? job.baseDir : '.';
+    const matrices = new Map();
+    // Names whose latest step failed or was skipped
+    const missing = new Set();
+    const steps = [];
+    let firstError = null;
+    const start = process.hrtime.bigint();
+
+    for (const step of job.steps) {
+        const entry = { step: steps.length + 1, description: step.description, status: 'ok', ms: null, detail: '' };
+        steps.push(entry);
+
+        if (firstError !== null && job.onError === 'stop') {
+            entry.status = 'not run';
+            continue;
+        }
+        const needed = step.uses.filter((name) => missing.has(name));
+        if (needed.length > 0) {
+            entry.status = 'skipped';
+            entry.detail = `needs ${needed.join(', ')}, which ${needed.length === 1 ? 'is' : 'are'} missing`;
+        } else {
+            const stepStart = process.hrtime.bigint();
+            try {
+                entry.detail = await runStep(step, matrices, baseDir);
+            } catch (error) {
+                entry.status = 'failed';
+                entry.detail = error.message;
+                firstError = firstError || error;
+            }
+            entry.ms = Number(process.hrtime.bigint() - stepStart) / 1e6;
+        }
+
+        if (step.kind !== 'save') {
+            if (entry.status === 'ok') {
+                missing.delete(step.name);
+            } else {
+                // A stale value under this name must not be used by later steps
+                matrices.delete(step.name);
+                missing.add(step.name);
+            }
+        }
+        if (options.onStep) {
+            options.onStep(entry);
+        }
+    }
+
+    return { steps, ms: Number(process.hrtime.bigint() - start) / 1e6, firstError };
+}
+
+/**
+ * Formats a job report as a table with a summary line
+ * @param {{steps: Object[], ms: number}} report - Report from runJob
+ * @returns {string} Report text
+ */
+function formatReport(report) {
+    const rows = report.steps.map((entry) => [
+        `${entry.step}`,
+        entry.status,
+        entry.ms !== null ? entry.ms.toFixed(2) : '-',
+        entry.detail !== '' ? `${entry.description}: ${entry.detail}` : entry.description
+    ]);
+    const header = ['step', 'status', 'ms', 'description'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+    const formatRow = (row) => [
+        row[0].padStart(widths[0]),
+        row[1].padEnd(widths[1]),
+        row[2].padStart(widths[2]),
+        row[3]
+    ].join('  ');
+
+    const counts = {};
+    for (const entry of report.steps) {
+        counts[entry.status] = (counts[entry.status] || 0) + 1;
+    }
+    const summary = ['ok', 'failed', 'skipped', 'not run']
+        .filter((status) => counts[status] !== undefined)
+        .map((status) => `${counts[status]} ${status}`)
+        .join(', ');
+
+    return [formatRow(header), ...rows.map(formatRow), '',
+        `${report.steps.length} steps in ${report.ms.toFixed(2)} ms: ${summary}`].join('\n') + '\n';
+}
+
+module.exports = {
+    parseJob,
+    loadJob,
+    runJob,
+    formatReport,
+    ON_ERROR
+};
@@ -0,0 +1,60 @@
+/**
+ * Worker thread for SparseMatrix#multiplyParallel
+ *
+ * Receives a block of rows of the left matrix and the whole right matrix as
+ * compressed rows (see parallel.js), multiplies them row by row exactly like
+ * SparseMatrix#multiply and posts the block of the product back.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * Multiplies a row block of A by B
+ * @param {Object} a - Row block of A as compressed rows
+ * @param {Object} b - B as compressed rows
+ * @returns {{rowIds: Float64Array, rowPtr: Float64Array, cols: Float64Array, values: Float64Array}}
+ *   Row block of the product, with each row's columns in the order multiply would insert them
+ */
+function multiplyBlock(a, b) {
+    const bRows = new Map();
+    for (let i = 0; i < b.rowIds.length; i++) {
+        bRows.set(b.rowIds[i], i);
+    }
+
+    const rowPtr = [0];
+    const cols = [];
+    const values = [];
+
+    for (let i = 0; i < a.rowIds.length; i++) {
+        const accumulator = new Map();
+
+        for (let p = a.rowPtr[i]; p < a.rowPtr[i + 1]; p++) {
+            const bRow = bRows.get(a.cols[p]);
+            if (bRow === undefined) {
+                continue;
+            }
+            const valueA = a.values[p];
+            for (let q = b.rowPtr[bRow]; q < b.rowPtr[bRow + 1]; q++) {
+                const current = accumulator.get(b.cols[q]);
+                const product = valueA * b.values[q];
+                accumulator.set(b.cols[q], current !== undefined ? current + product : product);
+            }
+        }
+
+        for (const [col, value] of accumulator) {
+            cols.push(col);
+            values.push(value);
+        }
+        rowPtr.push(cols.length);
+    }
+
+    return {
+        rowIds: a.rowIds,
+        rowPtr: Float64Array.from(rowPtr),
+        cols: Float64Array.from(cols),
+        values: Float64Array.from(values)
+    };
+}
+
+const block = multiplyBlock(workerData.a, workerData.b);
+parentPort.postMessage(block, [block.rowPtr.buffer, block.cols.buffer, block.values.buffer]);
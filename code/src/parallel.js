@@ -0,0 +1,203 @@
+/**
+ * Parallel matrix multiplication on worker threads
+ *
+ * The rows of the left matrix are split into blocks of about equal work and
+ * each block is multiplied on its own worker. The right matrix is shared with
+ * every worker through a SharedArrayBuffer, so it is copied only once.
+ *
+ * Matrices travel as compressed rows: rowIds lists the non-empty rows, and the
+ * entries of row rowIds[i] are cols/values[rowPtr[i]] to cols/values[rowPtr[i + 1] - 1].
+ * Rows and entries keep the iteration order of the row index, so every sum is
+ * added up in the same order as in SparseMatrix#multiply and the results are identical.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const semirings = require('./semirings');
+
+/**
+ * Number of multiply-adds below which starting workers costs more than it saves
+ */
+const MIN_PARALLEL_WORK = 200000;
+
+/**
+ * Returns the number of workers to use when none is given
+ * @returns {number} Number of logical CPUs
+ */
+function defaultWorkerCount() {
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Converts rows of a matrix to compressed rows
+ * @param {Array<[number, Map<number, number>]>} rows - Row index entries to convert
+ * @param {boolean} shared - Allocate the arrays in a SharedArrayBuffer
+ * @returns {{rowIds: Float64Array, rowPtr: Float64Array, cols: Float64Array, values: Float64Array}}
+ *   Compressed rows
+ */
+function toCompressedRows(rows, shared) {
+    let entries = 0;
+    for (const [, rowData] of rows) {
+        entries += rowData.size;
+    }
+
+    const allocate = (length) => (shared
+        ? new Float64Array(new SharedArrayBuffer(length * Float64Array.BYTES_PER_ELEMENT))
+        : new Float64Array(length));
+    const compressed = {
+        rowIds: allocate(rows.length),
+        rowPtr: allocate(rows.length + 1),
+        cols: allocate(entries),
+        values: allocate(entries)
+    };
+
+    let p = 0;
+    rows.forEach(([row, rowData], i) => {
+        compressed.rowIds[i] = row;
+        for (const [col, value] of rowData) {
+            compressed.cols[p] = col;
+            compressed.values[p] = value;
+            p++;
+        }
+        compressed.rowPtr[i + 1] = p;
+    });
+
+    return compressed;
+}
+
+/**
+ * Splits rows into contiguous blocks with about the same amount of work each
+ * @param {Array<[number, Map<number, number>]>} rows - Rows of the left matrix
+ * @param {number[]} costs - Work for each row
+ * @param {number} totalCost - Sum of the costs
+ * @param {number} count - Number of blocks wanted
+ * @returns {Array<Array<[number, Map<number, number>]>>} Non-empty blocks, in row order
+ */
+function partitionRows(rows, costs, totalCost, count) {
+    const blocks = [];
+    let block = [];
+    let blockCost = 0;
+
+    rows.forEach((row, i) => {
+        block.push(row);
+        blockCost += costs[i];
+        // Close the block once it holds its share of the work, keeping rows for the remaining blocks
+        const remainingBlocks = count - blocks.length - 1;
+        if (remainingBlocks > 0 && blockCost >= totalCost / count && rows.length - i - 1 >= remainingBlocks) {
+            blocks.push(block);
+            block = [];
+            blockCost = 0;
+        }
+    });
+    if (block.length > 0) {
+        blocks.push(block);
+    }
+
+    return blocks;
+}
+
+/**
+ * Starts a worker that multiplies one block of rows
+ * @param {Object} a - Row block of the left matrix as compressed rows
+ * @param {Object} b - Right matrix as shared compressed rows
+ * @returns {{worker: Worker, product: Promise<Object>}} The worker, and the row block of
+ *   the product as compressed rows
+ */
+function startWorker(a, b) {
+    const worker = new Worker(path.join(__dirname, 'multiplyWorker.js'), {
+        workerData: { a, b },
+        transferList: [a.rowIds.buffer, a.rowPtr.buffer, a.cols.buffer, a.values.buffer]
+    });
+    const product = new Promise((resolve, reject) => {
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) {
+                reject(new Error(`Multiplication worker stopped with exit code ${code}`));
+            }
+        });
+    });
+    return { worker, product };
+}
+
+/**
+ * Multiplies two matrices, splitting the rows of the left one across worker threads.
+ * Falls back to SparseMatrix#multiply for small products, for a single worker, and for
+ * matrices that do not use plain arithmetic on numbers (semirings and BigInt values).
+ * @param {SparseMatrix} a - Left matrix
+ * @param {SparseMatrix} b - Right matrix
+ * @param {Object} [options] - Parallel options
+ * @param {number} [options.workers] - Number of worker threads (default: number of CPUs)
+ * @param {number} [options.minWork=200000] - Smallest number of multiply-adds worth splitting up
+ * @returns {Promise<SparseMatrix>} The product, identical to a.multiply(b)
+ * @throws {Error} If the dimensions don't match, the options are invalid or a worker fails;
+ *   the other workers are stopped first
+ */
+async function multiplyParallel(a, b, options = {}) {
+    if (a.cols !== b.rows) {
+        throw new Error("Matrix dimensions don't match for multiplication");
+    }
+    const workers = options.workers !== undefined ? options.workers : defaultWorkerCount();
+    const minWork = options.minWork !== undefined ? options.minWork : MIN_PARALLEL_WORK;
+    if (!Number.isInteger(workers) || workers < 1) {
+        throw new Error(`Invalid number of workers: ${workers}`);
+    }
+    if (typeof minWork !== 'number' || !(minWork >= 0)) {
+        throw new Error(`Invalid minimum work: ${minWork}`);
+    }
+
+    if (a.semiring !== semirings.arithmetic || a.valueType !== 'number' || b.valueType !== 'number') {
+        return a.multiply(b);
+    }
+
+    const rows = Array.from(a._rowData);
+    const costs = rows.map(([, rowData]) => {
+        let cost = 0;
+        for (const col of rowData.keys()) {
+            const rowB = b._rowData.get(col);
+            cost += rowB !== undefined ? rowB.size : 0;
+        }
+        return cost;
+    });
+    const totalCost = costs.reduce((sum, cost) => sum + cost, 0);
+
+    if (workers === 1 || rows.length < 2 || totalCost < minWork) {
+        return a.multiply(b);
+    }
+
+    const sharedB = toCompressedRows(Array.from(b._rowData), true);
+    const blocks = partitionRows(rows, costs, totalCost, workers);
+    a.logger.log(`Multiplying ${rows.length} rows on ${blocks.length} workers`);
+    const started = [];
+    let products;
+    try {
+        products = await Promise.all(blocks.map((block) => {
+            const { worker, product } = startWorker(toCompressedRows(block, false), sharedB);
+            started.push(worker);
+            return product;
+        }));
+    } catch (error) {
+        // Stop the workers that are still running before reporting the first failure
+        await Promise.all(started.map((worker) => worker.terminate()));
+        throw error;
+    }
+
+    const result = a._createResult(a.rows, b.cols);
+    for (const product of products) {
+        for (let i = 0; i < product.rowIds.length; i++) {
+            const rowData = new Map();
+            for (let p = product.rowPtr[i]; p < product.rowPtr[i + 1]; p++) {
+                rowData.set(product.cols[p], product.values[p]);
+            }
+            result._storeRow(product.rowIds[i], rowData);
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    multiplyParallel,
+    MIN_PARALLEL_WORK
+};
@@ -0,0 +1,23 @@
+/**
+ * Seeded pseudo-random numbers, so that random matrices and test data are reproducible
+ */
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = {
+    createRandom
+};
@@ -0,0 +1,573 @@
+/**
+ * Interactive matrix session: named matrices, a small expression language,
+ * undo and redo, command history and tab completion
+ *
+ * The prompt loop in index.js reads lines and passes them to Session#execute;
+ * everything else happens here, so a session can run without a terminal.
+ *
+ * Expressions combine matrices and numbers with + - * /, unary minus,
+ * parentheses and transposition, written A' or transpose(A):
+ *
+ *   C = (A + B') * 2
+ */
+
+const { loadInput, formatFor } = require('./cli');
+const { format: formatStats } = require('./stats');
+
+/**
+ * Largest number of rows and columns that show prints when no range is given
+ */
+const MAX_SHOWN = 10;
+
+/**
+ * Valid matrix names
+ */
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Functions that can be called in expressions
+ */
+const FUNCTIONS = {
+    transpose: (value) => (typeof value === 'number' ? value : value.transpose())
+};
+
+/**
+ * Splits an expression into tokens
+ * @param {string} text - Expression text
+ * @returns {Array<{type: string, value: string|number}>} Tokens: 'number', 'name' or 'symbol'
+ * @throws {Error} If the text holds a character that is not part of the language
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/()']))\s*/y;
+
+    while (pattern.lastIndex < text.length) {
+        const position = pattern.lastIndex;
+        const match = pattern.exec(text);
+        if (match === null) {
+            if (text.substring(position).trim() === '') {
+                break;
+            }
+            throw new Error(`Unexpected character in expression: ${text.substring(position).trim()[0]}`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2] });
+        } else {
+            tokens.push({ type: 'symbol', value: match[3] });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Describes a value for error messages
+ * @param {number|SparseMatrix} value - Expression value
+ * @returns {string} "a number" or "a RxC matrix"
+ */
+function describe(value) {
+    return typeof value === 'number' ? 'a number' : `a ${value.rows}x${value.cols} matrix`;
+}
+
+/**
+ * Applies a binary operator to two numbers or matrices
+ * @param {string} operator - One of + - * /
+ * @param {number|SparseMatrix} left - Left operand
+ * @param {number|SparseMatrix} right - Right operand
+ * @returns {number|SparseMatrix} Result
+ * @throws {Error} If the operator does not apply to these operands
+ */
+function applyOperator(operator, left, right) {
+    const leftNumber = typeof left === 'number';
+    const rightNumber = typeof right === 'number';
+
+    if (leftNumber && rightNumber) {
+        switch (operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            default: return left / right;
+        }
+    }
+
+    switch (operator) {
+        case '+':
+        case '-':
+            if (leftNumber || rightNumber) {
+                throw new Error(`Cannot ${operator === '+' ? 'add' : 'subtract'} ${describe(right)} ` +
+                    `${operator === '+' ? 'to' : 'from'} ${describe(left)}`);
+            }
+            return operator === '+' ? left.add(right) : left.subtract(right);
+        case '*':
+            if (leftNumber) {
+                return right.scale(left);
+            }
+            return rightNumber ? left.scale(right) : left.multiply(right);
+        default:
+            if (!rightNumber) {
+                throw new Error(`Cannot divide by ${describe(right)}; only division by a number is supported`);
+            }
+            if (right === 0) {
+                throw new Error('Cannot divide a matrix by zero');
+            }
+            return left.scale(1 / right);
+    }
+}
+
+/**
+ * Evaluates an expression by recursive descent:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := '-' unary | postfix
+ *   postfix    := primary "'"*
+ *   primary    := number | name | name '(' expression ')' | '(' expression ')'
+ * @param {string} text - Expression text
+ * @param {function(string): SparseMatrix} lookup - Returns the matrix with a name
+ * @returns {number|SparseMatrix} Value of the expression
+ * @throws {Error} If the expression is malformed, names an unknown matrix or
+ *   combines operands of the wrong kinds or sizes
+ */
+function evaluate(text, lookup) {
+    const tokens = tokenize(text);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isSymbol = (value) => peek() !== undefined && peek().type === 'symbol' && peek().value === value;
+    const fail = (expected) => {
+        const token = peek();
+        throw new Error(token === undefined
+            ? `Incomplete expression: expected ${expected}`
+            : `Unexpected ${token.value}: expected ${expected}`);
+    };
+    const expect = (value) => {
+        if (!isSymbol(value)) {
+            fail(`'${value}'`);
+        }
+        index++;
+    };
+
+    let expression;
+
+    const primary = () => {
+        const token = peek();
+        if (token === undefined || (token.type === 'symbol' && token.value !== '(')) {
+            fail('a number, a matrix name or (');
+        }
+        index++;
+        if (token.type === 'number') {
+            return token.value;
+        }
+        if (token.type === 'symbol') {
+            const value = expression();
+            expect(')');
+            return value;
+        }
+        if (isSymbol('(')) {
+            if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                throw new Error(`Unknown function: ${token.value} (expected one of ${Object.keys(FUNCTIONS).join(', ')})`);
+            }
+            index++;
+            const argument = expression();
+            expect(')');
+            return FUNCTIONS[token.value](argument);
+        }
+        return lookup(token.value);
+    };
+
+    const postfix = () => {
+        let value = primary();
+        while (isSymbol("'")) {
+            index++;
+            value = FUNCTIONS.transpose(value);
+        }
+        return value;
+    };
+
+    const unary = () => {
+        if (isSymbol('-')) {
+            index++;
+            const value = unary();
+            return typeof value === 'number' ? -value : value.negate();
+        }
+        return postfix();
+    };
+
+    const binary = (operators, operand) => () => {
+        let value = operand();
+        while (peek() !== undefined && peek().type === 'symbol' && operators.includes(peek().value)) {
+            const operator = tokens[index++].value;
+            value = applyOperator(operator, value, operand());
+        }
+        return value;
+    };
+
+    const term = binary(['*', '/'], unary);
+    expression = binary(['+', '-'], term);
+
+    if (tokens.length === 0) {
+        throw new Error('Empty expression');
+    }
+    const value = expression();
+    if (index < tokens.length) {
+        fail('an operator');
+    }
+    return value;
+}
+
+/**
+ * Parses a show range: "3" or "0..5", both ends included
+ * @param {string|undefined} text - Range text, or undefined for the default
+ * @param {number} length - Number of rows or columns
+ * @param {string} what - 'row' or 'column', for error messages
+ * @returns {[number, number]} First index and the index after the last
+ * @throws {Error} If the range is malformed or outside the matrix
+ */
+function parseRange(text, length, what) {
+    if (text === undefined) {
+        return [0, Math.min(length, MAX_SHOWN)];
+    }
+    const match = /^(\d+)(?:\.\.(\d+))?$/.exec(text);
+    if (match === null) {
+        throw new Error(`Invalid ${what} range: ${text} (expected a number or first..last)`);
+    }
+    const first = Number(match[1]);
+    const last = match[2] !== undefined ? Number(match[2]) : first;
+    if (first > last || last >= length) {
+        throw new Error(`Invalid ${what} range: ${text} (the matrix has ${length} ${what}s, numbered from 0)`);
+    }
+    return [first, last + 1];
+}
+
+/**
+ * Formats part of a matrix as a grid with row and column numbers
+ * @param {SparseMatrix} matrix - Matrix to show
+ * @param {[number, number]} rows - First row and the row after the last
+ * @param {[number, number]} cols - First column and the column after the last
+ * @returns {string} Grid text
+ */
+function formatGrid(matrix, rows, cols) {
+    const dense = matrix.submatrix(rows[0], rows[1], cols[0], cols[1]).toDense();
+    const header = ['', ...Array.from({ length: cols[1] - cols[0] }, (_, j) => `${cols[0] + j}`)];
+    const lines = [header, ...dense.map((values, i) => [`${rows[0] + i}`, ...values.map(String)])];
+
+    const width = Math.max(...lines.map((cells) => Math.max(...cells.map((cell) => cell.length))));
+    return lines.map((cells) => cells.map((cell) => cell.padStart(width)).join('  ')).join('\n') + '\n';
+}
+
+/**
+ * Describes a matrix in one line
+ * @param {SparseMatrix} matrix - Matrix
+ * @returns {string} Size and number of non-zeros
+ */
+function summarize(matrix) {
+    return `${matrix.rows}x${matrix.cols}, ${matrix.elementCount} non-zeros`;
+}
+
+/**
+ * Session commands. Each takes the session and the words after the command name,
+ * and returns the text to print.
+ */
+const COMMANDS = {
+    load: {
+        usage: 'load NAME FILE',
+        description: 'Load a matrix file (text, .mtx or .bin) as NAME',
+        run: async (session, [name, filePath]) => {
+            checkName(name);
+            const matrix = await loadInput(filePath, {});
+            session._change(name, matrix, `load ${name} ${filePath}`);
+            return `${name}: ${summarize(matrix)}\n`;
+        }
+    },
+    show: {
+        usage: 'show NAME [ROWS [COLS]]',
+        description: `Print rows and columns of NAME as a grid, e.g. show C 0..5 2 (default: up to ${MAX_SHOWN}x${MAX_SHOWN})`,
+        minArgs: 1,
+        maxArgs: 3,
+        run: (session, [name, rowRange, colRange]) => {
+            const matrix = session.get(name);
+            const rows = parseRange(rowRange, matrix.rows, 'row');
+            const cols = parseRange(colRange, matrix.cols, 'column');
+            const heading = `${name}: ${summarize(matrix)}, showing rows ${rows[0]}..${rows[1] - 1}, ` +
+                `columns ${cols[0]}..${cols[1] - 1}\n`;
+            return heading + formatGrid(matrix, rows, cols);
+        }
+    },
+    info: {
+        usage: 'info NAME',
+        description: 'Show the size, sparsity pattern, symmetry and norms of NAME',
+        run: (session, [name]) => formatStats(session.get(name).stats())
+    },
+    save: {
+        usage: 'save NAME FILE',
+        description: 'Save NAME to a file; the extension picks the format (.mtx, .bin, text otherwise)',
+        run: (session, [name, filePath]) => {
+            const matrix = session.get(name);
+            matrix.saveToFile(filePath, { format: formatFor(filePath, {}) });
+            return `Saved ${name} to ${filePath}\n`;
+        }
+    },
+    list: {
+        usage: 'list',
+        description: 'List the named matrices',
+        run: (session) => {
+            if (session.matrices.size === 0) {
+                return 'No matrices yet; load one with: load NAME FILE\n';
+            }
+            const names = session.names();
+            const width = Math.max(...names.map((name) => name.length));
+            return names.map((name) => `${name.padEnd(width)}  ${summarize(session.get(name))}\n`).join('');
+        }
+    },
+    delete: {
+        usage: 'delete NAME',
+        description: 'Forget the matrix NAME',
+        run: (session, [name]) => {
+            session.get(name);
+            session._change(name, undefined, `delete ${name}`);
+            return `Deleted ${name}\n`;
+        }
+    },
+    undo: {
+        usage: 'undo',
+        description: 'Take back the last load, assignment or delete',
+        run: (session) => `Undid: ${session.undo()}\n`
+    },
+    redo: {
+        usage: 'redo',
+        description: 'Repeat the last change taken back by undo',
+        run: (session) => `Redid: ${session.redo()}\n`
+    },
+    history: {
+        usage: 'history',
+        description: 'List the lines entered in this session',
+        run: (session) => {
+            const width = `${session.history.length}`.length;
+            return session.history.map((line, i) => `${`${i + 1}`.padStart(width)}  ${line}\n`).join('');
+        }
+    },
+    help: {
+        usage: 'help',
+        description: 'Show this help',
+        run: () => help()
+    },
+    exit: {
+        usage: 'exit',
+        description: 'End the session (also quit, or Ctrl-D)',
+        run: (session) => {
+            session.finished = true;
+            return '';
+        }
+    }
+};
+COMMANDS.quit = COMMANDS.exit;
+
+/**
+ * Builds the session help text
+ * @returns {string} Commands and expression syntax
+ */
+function help() {
+    const lines = ['Commands:'];
+    for (const [name, command] of Object.entries(COMMANDS)) {
+        if (name === command.usage.split(' ')[0]) {
+            lines.push(`  ${command.usage.padEnd(26)}${command.description}`);
+        }
+    }
+    lines.push(
+        `  ${'NAME = EXPRESSION'.padEnd(26)}Compute and name a matrix, e.g. C = A * B`,
+        `  ${'EXPRESSION'.padEnd(26)}Compute and show a matrix without naming it`,
+        '',
+        "Expressions use + - * / with matrices and numbers, parentheses, and A' or transpose(A).",
+        'Press Tab to complete commands and matrix names, and Up/Down to recall earlier lines.'
+    );
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Checks that a name can be given to a matrix
+ * @param {string} name - Proposed name
+ * @throws {Error} If the name is malformed or taken by a command or function
+ */
+function checkName(name) {
+    if (!NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid matrix name: ${name} (use letters, digits and _, not starting with a digit)`);
+    }
+    if (Object.prototype.hasOwnProperty.call(COMMANDS, name) ||
+        Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+        throw new Error(`${name} is a command name and cannot name a matrix`);
+    }
+}
+
+/**
+ * State of one interactive session
+ */
+class Session {
+    constructor() {
+        /** @type {Map<string, SparseMatrix>} Named matrices */
+        this.matrices = new Map();
+        /** @type {string[]} Lines entered, oldest first */
+        this.history = [];
+        /** @type {boolean} Set once the user asks to leave */
+        this.finished = false;
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+
+    /**
+     * Returns the names of the matrices, sorted
+     * @returns {string[]} Matrix names
+     */
+    names() {
+        return Array.from(this.matrices.keys()).sort();
+    }
+
+    /**
+     * Returns a named matrix
+     * @param {string} name - Matrix name
+     * @returns {SparseMatrix} The matrix
+     * @throws {Error} If there is no matrix with that name
+     */
+    get(name) {
+        const matrix = this.matrices.get(name);
+        if (matrix === undefined) {
+            throw new Error(`Unknown matrix: ${name}`);
+        }
+        return matrix;
+    }
+
+    /**
+     * Sets or removes a named matrix, recording the change for undo
+     * @param {string} name - Matrix name
+     * @param {SparseMatrix|undefined} matrix - New matrix, or undefined to remove the name
+     * @param {string} description - Line that made the change, shown by undo and redo
+     */
+    _change(name, matrix, description) {
+        this._undoStack.push({ name, before: this.matrices.get(name), after: matrix, description });
+        this._redoStack = [];
+        this._apply(name, matrix);
+    }
+
+    /**
+     * Sets or removes a named matrix without recording the change
+     * @param {string} name - Matrix name
+     * @param {SparseMatrix|undefined} matrix - New matrix, or undefined to remove the name
+     */
+    _apply(name, matrix) {
+        if (matrix === undefined) {
+            this.matrices.delete(name);
+        } else {
+            this.matrices.set(name, matrix);
+        }
+    }
+
+    /**
+     * Takes back the last change
+     * @returns {string} Description of the change taken back
+     * @throws {Error} If there is nothing to undo
+     */
+    undo() {
+        const change = this._undoStack.pop();
+        if (change === undefined) {
+            throw new Error('Nothing to undo');
+        }
+        this._apply(change.name, change.before);
+        this._redoStack.push(change);
+        return change.description;
+    }
+
+    /**
+     * Repeats the last change taken back by undo
+     * @returns {string} Description of the change repeated
+     * @throws {Error} If there is nothing to redo
+     */
+    redo() {
+        const change = this._redoStack.pop();
+        if (change === undefined) {
+            throw new Error('Nothing to redo');
+        }
+        this._apply(change.name, change.after);
+        this._undoStack.push(change);
+        return change.description;
+    }
+
+    /**
+     * Runs one line: a command, an assignment or an expression to show
+     * @param {string} line - Line entered by the user
+     * @returns {Promise<string>} Text to print (may be empty)
+     * @throws {Error} If the command fails; the session is left unchanged
+     */
+    async execute(line) {
+        const trimmed = line.trim();
+        if (trimmed === '') {
+            return '';
+        }
+        this.history.push(trimmed);
+
+        const assignment = /^([^\s=]+)\s*=(.*)$/.exec(trimmed);
+        if (assignment !== null) {
+            const [, name, expressionText] = assignment;
+            checkName(name);
+            const value = evaluate(expressionText, (matrixName) => this.get(matrixName));
+            if (typeof value === 'number') {
+                throw new Error(`${expressionText.trim()} is a number; only matrices can be named`);
+            }
+            this._change(name, value, trimmed);
+            return `${name}: ${summarize(value)}\n`;
+        }
+
+        const words = trimmed.split(/\s+/);
+        const command = Object.prototype.hasOwnProperty.call(COMMANDS, words[0]) ? COMMANDS[words[0]] : undefined;
+        if (command === undefined) {
+            const value = evaluate(trimmed, (matrixName) => this.get(matrixName));
+            if (typeof value === 'number') {
+                return `${value}\n`;
+            }
+            const heading = `${summarize(value)}\n`;
+            return heading + formatGrid(value, parseRange(undefined, value.rows), parseRange(undefined, value.cols));
+        }
+
+        const args = words.slice(1);
+        const expected = command.usage.split(' ').length - 1;
+        const minArgs = command.minArgs !== undefined ? command.minArgs : expected;
+        const maxArgs = command.maxArgs !== undefined ? command.maxArgs : expected;
+        if (args.length < minArgs || args.length > maxArgs) {
+            throw new Error(`Usage: ${command.usage}`);
+        }
+        return command.run(this, args);
+    }
+
+    /**
+     * Completes the word before the cursor: a command name at the start of the line,
+     * a matrix or function name elsewhere
+     * @param {string} text - Line up to the cursor
+     * @returns {{prefix: string, matches: string[]}} The word being completed and the sorted
+     *   candidates that start with it
+     */
+    complete(text) {
+        const prefix = /[A-Za-z0-9_]*$/.exec(text)[0];
+        const before = text.substring(0, text.length - prefix.length);
+
+        let candidates;
+        if (before.trim() === '') {
+            candidates = [...Object.keys(COMMANDS), ...this.matrices.keys()];
+        } else if (/^(load|save)\s+\S+\s+$/.test(before)) {
+            // File names are left to the user
+            candidates = [];
+        } else {
+            candidates = [...this.matrices.keys(), ...Object.keys(FUNCTIONS)];
+        }
+
+        const matches = Array.from(new Set(candidates)).filter((name) => name.startsWith(prefix)).sort();
+        return { prefix, matches };
+    }
+}
+
+module.exports = {
+    Session,
+    evaluate,
+    tokenize,
+    checkName,
+    summarize,
+    MAX_SHOWN
+};
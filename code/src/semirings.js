@@ -0,0 +1,107 @@
+/**
+ * Semirings for SparseMatrix#add and SparseMatrix#multiply
+ *
+ * A semiring supplies the "addition" and "multiplication" used by matrix
+ * products, and the zero element that positions without a stored value hold.
+ * Zero must be the identity of add and must absorb multiply, so that
+ * skipping unstored positions never changes a result.
+ */
+
+/**
+ * Largest modulus whose products stay exact as JavaScript numbers
+ */
+const MAX_SAFE_MODULUS = Math.floor(Math.sqrt(Number.MAX_SAFE_INTEGER));
+
+/**
+ * Ordinary arithmetic on numbers, used unless another semiring is chosen
+ */
+const arithmetic = {
+    name: 'arithmetic',
+    zero: 0,
+    one: 1,
+    add: (a, b) => a + b,
+    multiply: (a, b) => a * b
+};
+
+/**
+ * Exact integer arithmetic on BigInt values, the default for matrices with valueType 'bigint'
+ */
+const bigint = {
+    name: 'bigint',
+    zero: 0n,
+    one: 1n,
+    add: (a, b) => a + b,
+    multiply: (a, b) => a * b
+};
+
+/**
+ * Boolean OR/AND on 0 and 1, for reachability. Any non-zero input counts as true.
+ */
+const boolean = {
+    name: 'boolean',
+    zero: 0,
+    one: 1,
+    add: (a, b) => (a !== 0 || b !== 0 ? 1 : 0),
+    multiply: (a, b) => (a !== 0 && b !== 0 ? 1 : 0)
+};
+
+/**
+ * Tropical min-plus semiring, for shortest paths. Its zero is Infinity (no edge),
+ * so stored zeros are kept as edges of length 0.
+ */
+const minPlus = {
+    name: 'min-plus',
+    zero: Infinity,
+    one: 0,
+    add: (a, b) => Math.min(a, b),
+    multiply: (a, b) => a + b
+};
+
+/**
+ * Creates the semiring of integers modulo a number, usually a prime
+ * @param {number} modulus - Integer of at least 2
+ * @returns {Object} Semiring whose results lie in [0, modulus)
+ * @throws {Error} If the modulus is not an integer of at least 2
+ */
+function modular(modulus) {
+    if (!Number.isSafeInteger(modulus) || modulus < 2) {
+        throw new Error(`Invalid modulus: ${modulus} (expected an integer of at least 2)`);
+    }
+
+    const reduce = (value) => ((value % modulus) + modulus) % modulus;
+    const multiply = modulus <= MAX_SAFE_MODULUS
+        ? (a, b) => reduce(reduce(a) * reduce(b))
+        : (a, b) => Number(BigInt(reduce(a)) * BigInt(reduce(b)) % BigInt(modulus));
+
+    return {
+        name: `modular(${modulus})`,
+        zero: 0,
+        one: 1,
+        add: (a, b) => reduce(reduce(a) + reduce(b)),
+        multiply
+    };
+}
+
+/**
+ * Checks that an object can be used as a semiring
+ * @param {Object} semiring - Semiring to check
+ * @returns {Object} The semiring
+ * @throws {Error} If add or multiply is not a function or zero is not a number or BigInt
+ */
+function checkSemiring(semiring) {
+    if (semiring === null || typeof semiring !== 'object' || typeof semiring.add !== 'function' ||
+        typeof semiring.multiply !== 'function' ||
+        (typeof semiring.zero !== 'number' && typeof semiring.zero !== 'bigint')) {
+        throw new Error("Invalid semiring: expected an object with add and multiply functions and a numeric zero");
+    }
+    return semiring;
+}
+
+module.exports = {
+    arithmetic,
+    bigint,
+    boolean,
+    minPlus,
+    modular,
+    checkSemiring
+};
@@ -0,0 +1,625 @@
+/**
+ * Local HTTP service for the matrix operations, so that tools written in other
+ * languages can use them without running a command for each one
+ *
+ * The server listens on 127.0.0.1 only and keeps uploaded matrices in memory,
+ * each for a limited time:
+ *
+ *   GET    /matrices                  List the stored matrices
+ *   PUT    /matrices/NAME             Store the matrix in the request body under NAME
+ *   GET    /matrices/NAME             Return a stored matrix
+ *   DELETE /matrices/NAME             Forget a stored matrix
+ *   POST   /operations/OPERATION      Run add, subtract, multiply or transpose
+ *
+ * Matrices travel in the text format (text/plain), in Matrix Market format
+ * (text/x-matrix-market) or as JSON (application/json):
+ *
+ *   { "rows": 3, "cols": 3, "entries": [[0, 0, 1.5], [2, 1, -4]] }
+ *
+ * An upload is read in the format of its Content-Type, and a result is returned in
+ * the format its Accept header asks for (JSON by default); a ?format=text|mtx|json
+ * query overrides either. An operation takes a JSON body whose operands are stored
+ * names or JSON matrices, and can store its result as well as return it:
+ *
+ *   POST /operations/multiply   { "a": "A", "b": { "rows": 3, ... }, "store": "C" }
+ *
+ * Errors come back as JSON with a 4xx status for problems with the request, such
+ * as 400 for malformed matrices, 404 for unknown names, 413 for bodies over the
+ * size limit and 422 for operands whose dimensions don't match:
+ *
+ *   { "error": { "code": "DIMENSION_MISMATCH", "message": "..." } }
+ */
+
+const http = require('http');
+const SparseMatrix = require('./SparseMatrix');
+const MatrixFormatError = require('./MatrixFormatError');
+
+/**
+ * The only address the server listens on
+ */
+const HOST = '127.0.0.1';
+
+/**
+ * Default server settings
+ */
+const SERVER_DEFAULTS = {
+    port: 8080,
+    // Largest request body in bytes
+    maxBodySize: 10 * 1024 * 1024,
+    // Time a stored matrix is kept after it was last stored, in milliseconds
+    ttl: 15 * 60 * 1000
+};
+
+/**
+ * Media types of the matrix formats
+ */
+const MEDIA_TYPES = {
+    json: 'application/json',
+    text: 'text/plain',
+    mtx: 'text/x-matrix-market'
+};
+
+/**
+ * Host names a request may be addressed to. Requests for other hosts are refused, so
+ * that a web page cannot reach the server through a domain it resolves to 127.0.0.1.
+ */
+const LOCAL_HOSTS = ['127.0.0.1', 'localhost'];
+
+/**
+ * Valid names for stored matrices
+ */
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Operations that can be run, with the number of operands each takes
+ */
+const OPERATIONS = {
+    add: { operands: 2, run: (a, b) => a.add(b) },
+    subtract: { operands: 2, run: (a, b) => a.subtract(b) },
+    multiply: { operands: 2, run: (a, b) => a.multiply(b) },
+    transpose: { operands: 1, run: (a) => a.transpose() }
+};
+
+/**
+ * Error raised while handling a request, carrying the response status and an error code
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Error code for clients, such as 'FORMAT_ERROR'
+     * @param {string} message - Description of the error
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * In-memory store of named matrices that forgets each matrix once its time is up
+ */
+class MatrixStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {number} [options.ttl] - Milliseconds a matrix is kept after it is stored
+     * @param {function(): number} [options.now=Date.now] - Clock, in milliseconds
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl !== undefined ? options.ttl : SERVER_DEFAULTS.ttl;
+        this.now = options.now || Date.now;
+        this._entries = new Map();
+    }
+
+    /**
+     * Stores a matrix, replacing any matrix with the same name and restarting its time
+     * @param {string} name - Matrix name
+     * @param {SparseMatrix} matrix - Matrix to store
+     * @returns {number} Time at which the matrix expires
+     */
+    set(name, matrix) {
+        const now = this.now();
+        // Sweep here too, so that a client that only uploads cannot fill memory with expired matrices
+        this._sweep(now);
+        const expiresAt = now + this.ttl;
+        this._entries.set(name, { matrix, expiresAt });
+        return expiresAt;
+    }
+
+    /**
+     * Number of matrices held in memory, including expired ones that have not been swept yet
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Returns a stored matrix
+     * @param {string} name - Matrix name
+     * @returns {{matrix: SparseMatrix, expiresAt: number}|undefined} The entry, or undefined if
+     *   there is none or it has expired
+     */
+    get(name) {
+        const entry = this._entries.get(name);
+        if (entry !== undefined && entry.expiresAt <= this.now()) {
+            this._entries.delete(name);
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * Forgets a matrix
+     * @param {string} name - Matrix name
+     * @returns {boolean} Whether there was a matrix with that name
+     */
+    delete(name) {
+        return this.get(name) !== undefined && this._entries.delete(name);
+    }
+
+    /**
+     * Forgets every expired matrix and lists the others
+     * @returns {Array<{name: string, matrix: SparseMatrix, expiresAt: number}>} Entries sorted by name
+     */
+    list() {
+        this._sweep(this.now());
+        const entries = Array.from(this._entries, ([name, entry]) => ({ name, ...entry }));
+        return entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+
+    /**
+     * Forgets every matrix that has expired
+     * @param {number} now - Current time, in milliseconds
+     */
+    _sweep(now) {
+        for (const [name, entry] of this._entries) {
+            if (entry.expiresAt <= now) {
+                this._entries.delete(name);
+            }
+        }
+    }
+}
+
+/**
+ * Reads a request body, refusing bodies larger than the limit
+ * @param {http.IncomingMessage} request - The request
+ * @param {number} maxBodySize - Largest body in bytes
+ * @returns {Promise<string>} The body as UTF-8 text
+ * @throws {HttpError} 413 if the body is too large
+ */
+function readBody(request, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => new HttpError(413, 'PAYLOAD_TOO_LARGE',
+            `Request body is larger than the limit of ${maxBodySize} bytes`);
+        if (Number(request.headers['content-length']) > maxBodySize) {
+            reject(tooLarge());
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let failed = false;
+        request.on('data', (chunk) => {
+            if (failed) {
+                return;
+            }
+            size += chunk.length;
+            if (size > maxBodySize) {
+                // Let go of what was received; the rest is read and dropped
+                failed = true;
+                chunks.length = 0;
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            if (!failed) {
+                resolve(Buffer.concat(chunks).toString('utf8'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Creates an error for a malformed matrix or request body
+ * @param {string} message - Description of the problem
+ * @returns {HttpError} 400 error
+ */
+function formatError(message) {
+    return new HttpError(400, 'FORMAT_ERROR', message);
+}
+
+/**
+ * Builds a matrix from its JSON form
+ * @param {*} data - Parsed JSON
+ * @param {string} [what='matrix'] - What the value is, for error messages
+ * @returns {SparseMatrix} The matrix
+ * @throws {HttpError} 400 if the value does not describe a matrix
+ */
+function matrixFromJson(data, what = 'matrix') {
+    if (data === null || typeof data !== 'object' || !Number.isInteger(data.rows) ||
+        !Number.isInteger(data.cols) || !Array.isArray(data.entries)) {
+        throw formatError(`A JSON ${what} needs integer "rows" and "cols" and an "entries" array of [row, col, value]`);
+    }
+    data.entries.forEach((entry, i) => {
+        if (!Array.isArray(entry) || entry.length !== 3 || !entry.every((value) => Number.isFinite(value))) {
+            throw formatError(`Invalid ${what} entry ${i}: expected [row, col, value] numbers, got ${JSON.stringify(entry)}`);
+        }
+    });
+    try {
+        return SparseMatrix.fromTriplets(data.rows, data.cols, data.entries);
+    } catch (error) {
+        throw formatError(`Invalid ${what}: ${error.message}`);
+    }
+}
+
+/**
+ * Converts a matrix to its JSON form
+ * @param {SparseMatrix} matrix - The matrix
+ * @returns {{rows: number, cols: number, entries: Array<[number, number, number]>}} JSON form
+ */
+function matrixToJson(matrix) {
+    return {
+        rows: matrix.rows,
+        cols: matrix.cols,
+        entries: Array.from(matrix.entries(), ({ row, col, value }) => [row, col, value])
+    };
+}
+
+/**
+ * Parses an uploaded matrix
+ * @param {string} body - Request body
+ * @param {string} format - 'text', 'mtx' or 'json'
+ * @returns {SparseMatrix} The matrix
+ * @throws {HttpError} 400 if the body has wrong format
+ */
+function parseMatrix(body, format) {
+    if (format === 'json') {
+        return matrixFromJson(parseJson(body));
+    }
+    try {
+        return SparseMatrix.fromString(body, { format });
+    } catch (error) {
+        if (error instanceof MatrixFormatError) {
+            throw formatError(error.message);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Parses a JSON request body
+ * @param {string} body - Request body
+ * @returns {*} Parsed value
+ * @throws {HttpError} 400 if the body is not valid JSON
+ */
+function parseJson(body) {
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        throw formatError(`Request body is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Checks a format named in a ?format query
+ * @param {string} format - Format name
+ * @returns {string} The format
+ * @throws {HttpError} 400 if the format is unknown
+ */
+function checkFormat(format) {
+    if (!Object.prototype.hasOwnProperty.call(MEDIA_TYPES, format)) {
+        throw new HttpError(400, 'BAD_REQUEST',
+            `Unknown format: ${format} (expected ${Object.keys(MEDIA_TYPES).join(', ')})`);
+    }
+    return format;
+}
+
+/**
+ * Picks the format of an uploaded matrix: the ?format query, then the Content-Type
+ * @param {http.IncomingMessage} request - The request
+ * @param {URL} url - Parsed request URL
+ * @returns {string} 'text', 'mtx' or 'json'
+ * @throws {HttpError} 415 if the Content-Type is not a matrix format
+ */
+function uploadFormat(request, url) {
+    if (url.searchParams.has('format')) {
+        return checkFormat(url.searchParams.get('format'));
+    }
+    const contentType = (request.headers['content-type'] || MEDIA_TYPES.text).split(';')[0].trim().toLowerCase();
+    const format = Object.keys(MEDIA_TYPES).find((name) => MEDIA_TYPES[name] === contentType);
+    if (format === undefined) {
+        throw new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', `Unsupported Content-Type: ${contentType} ` +
+            `(expected ${Object.values(MEDIA_TYPES).join(', ')})`);
+    }
+    return format;
+}
+
+/**
+ * Picks the format of a returned matrix: the ?format query, then the first matrix
+ * format named in the Accept header, then JSON
+ * @param {http.IncomingMessage} request - The request
+ * @param {URL} url - Parsed request URL
+ * @returns {string} 'text', 'mtx' or 'json'
+ */
+function responseFormat(request, url) {
+    if (url.searchParams.has('format')) {
+        return checkFormat(url.searchParams.get('format'));
+    }
+    const accepted = (request.headers.accept || '').split(',').map((type) => type.split(';')[0].trim().toLowerCase());
+    for (const type of accepted) {
+        const format = Object.keys(MEDIA_TYPES).find((name) => MEDIA_TYPES[name] === type);
+        if (format !== undefined) {
+            return format;
+        }
+    }
+    return 'json';
+}
+
+/**
+ * Sends a response
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - HTTP status code
+ * @param {string} contentType - Media type of the body
+ * @param {string} body - Response body
+ * @param {Object} [headers] - Further headers
+ */
+function send(response, status, contentType, body, headers = {}) {
+    response.writeHead(status, {
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+    });
+    response.end(body);
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - HTTP status code
+ * @param {*} value - Value to send
+ * @param {Object} [headers] - Further headers
+ */
+function sendJson(response, status, value, headers) {
+    send(response, status, MEDIA_TYPES.json, JSON.stringify(value) + '\n', headers);
+}
+
+/**
+ * Sends a matrix in the requested format
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - HTTP status code
+ * @param {SparseMatrix} matrix - The matrix
+ * @param {string} format - 'text', 'mtx' or 'json'
+ * @param {Object} [headers] - Further headers
+ */
+function sendMatrix(response, status, matrix, format, headers) {
+    if (format === 'json') {
+        sendJson(response, status, matrixToJson(matrix), headers);
+    } else {
+        send(response, status, MEDIA_TYPES[format], format === 'mtx' ? matrix.toMatrixMarket() : matrix.toString(),
+            headers);
+    }
+}
+
+/**
+ * Describes a stored matrix
+ * @param {string} name - Matrix name
+ * @param {{matrix: SparseMatrix, expiresAt: number}} entry - Store entry
+ * @returns {Object} Name, size, number of non-zeros and expiry time
+ */
+function describeEntry(name, { matrix, expiresAt }) {
+    return {
+        name,
+        rows: matrix.rows,
+        cols: matrix.cols,
+        nonZeros: matrix.elementCount,
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+/**
+ * Checks the name of a stored matrix
+ * @param {string} name - Proposed name
+ * @returns {string} The name
+ * @throws {HttpError} 400 if the name is malformed
+ */
+function checkName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new HttpError(400, 'BAD_REQUEST',
+            `Invalid matrix name: ${name} (use 1 to 64 letters, digits, _, . and -)`);
+    }
+    return name;
+}
+
+/**
+ * Looks up a stored matrix
+ * @param {MatrixStore} store - The store
+ * @param {string} name - Matrix name
+ * @returns {{matrix: SparseMatrix, expiresAt: number}} The entry
+ * @throws {HttpError} 404 if there is no such matrix
+ */
+function findEntry(store, name) {
+    const entry = store.get(name);
+    if (entry === undefined) {
+        throw new HttpError(404, 'NOT_FOUND', `Unknown matrix: ${name} (it may have expired)`);
+    }
+    return entry;
+}
+
+/**
+ * Resolves an operand of an operation: the name of a stored matrix or a JSON matrix
+ * @param {MatrixStore} store - The store
+ * @param {*} operand - Operand from the request body
+ * @param {string} key - Key of the operand, for error messages
+ * @returns {SparseMatrix} The matrix
+ */
+function resolveOperand(store, operand, key) {
+    if (operand === undefined) {
+        throw new HttpError(400, 'BAD_REQUEST', `Missing operand "${key}"`);
+    }
+    if (typeof operand === 'string') {
+        return findEntry(store, operand).matrix;
+    }
+    return matrixFromJson(operand, `operand "${key}"`);
+}
+
+/**
+ * Runs an operation request
+ * @param {MatrixStore} store - The store
+ * @param {string} name - Operation name
+ * @param {*} body - Parsed request body
+ * @returns {{result: SparseMatrix, stored: (string|undefined)}} The result, and the name it was stored under
+ * @throws {HttpError} If the request is malformed or the dimensions don't match
+ */
+function runOperation(store, name, body) {
+    if (!Object.prototype.hasOwnProperty.call(OPERATIONS, name)) {
+        throw new HttpError(404, 'NOT_FOUND',
+            `Unknown operation: ${name} (expected one of ${Object.keys(OPERATIONS).join(', ')})`);
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw formatError('An operation needs a JSON object with its operands, e.g. {"a": "A", "b": "B"}');
+    }
+    const operation = OPERATIONS[name];
+    const stored = body.store !== undefined ? checkName(body.store) : undefined;
+    const operands = ['a', 'b'].slice(0, operation.operands).map((key) => resolveOperand(store, body[key], key));
+
+    let result;
+    try {
+        result = operation.run(...operands);
+    } catch (error) {
+        if (error.message.includes("dimensions don't match")) {
+            const sizes = operands.map((matrix) => `${matrix.rows}x${matrix.cols}`).join(' and ');
+            throw new HttpError(422, 'DIMENSION_MISMATCH', `${error.message}: ${sizes}`);
+        }
+        throw error;
+    }
+    if (stored !== undefined) {
+        store.set(stored, result);
+    }
+    return { result, stored };
+}
+
+/**
+ * Handles one request
+ * @param {http.IncomingMessage} request - The request
+ * @param {http.ServerResponse} response - The response
+ * @param {MatrixStore} store - The store
+ * @param {number} maxBodySize - Largest request body in bytes
+ */
+async function handle(request, response, store, maxBodySize) {
+    const host = (request.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+    if (!LOCAL_HOSTS.includes(host)) {
+        throw new HttpError(403, 'FORBIDDEN', `Requests must be addressed to ${LOCAL_HOSTS.join(' or ')}`);
+    }
+    const url = new URL(request.url, `http://${HOST}`);
+    let parts;
+    try {
+        parts = url.pathname.split('/').filter((part) => part !== '').map(decodeURIComponent);
+    } catch (error) {
+        throw new HttpError(400, 'BAD_REQUEST', `Malformed path: ${url.pathname}`);
+    }
+    const allow = (...methods) => {
+        if (!methods.includes(request.method)) {
+            throw new HttpError(405, 'METHOD_NOT_ALLOWED',
+                `${request.method} is not allowed on ${url.pathname} (use ${methods.join(', ')})`);
+        }
+    };
+
+    if (parts[0] === 'matrices' && parts.length === 1) {
+        allow('GET');
+        sendJson(response, 200, { matrices: store.list().map((entry) => describeEntry(entry.name, entry)) });
+    } else if (parts[0] === 'matrices' && parts.length === 2) {
+        allow('GET', 'PUT', 'DELETE');
+        const name = checkName(parts[1]);
+        if (request.method === 'PUT') {
+            const format = uploadFormat(request, url);
+            const matrix = parseMatrix(await readBody(request, maxBodySize), format);
+            const expiresAt = store.set(name, matrix);
+            sendJson(response, 201, describeEntry(name, { matrix, expiresAt }),
+                { Location: `/matrices/${encodeURIComponent(name)}` });
+        } else if (request.method === 'DELETE') {
+            findEntry(store, name);
+            store.delete(name);
+            response.writeHead(204);
+            response.end();
+        } else {
+            sendMatrix(response, 200, findEntry(store, name).matrix, responseFormat(request, url));
+        }
+    } else if (parts[0] === 'operations' && parts.length === 2) {
+        allow('POST');
+        const format = responseFormat(request, url);
+        const { result, stored } = runOperation(store, parts[1], parseJson(await readBody(request, maxBodySize)));
+        sendMatrix(response, stored !== undefined ? 201 : 200, result, format,
+            stored !== undefined ? { Location: `/matrices/${encodeURIComponent(stored)}` } : {});
+    } else {
+        throw new HttpError(404, 'NOT_FOUND', `No such endpoint: ${url.pathname}`);
+    }
+}
+
+/**
+ * Creates the server without starting it
+ * @param {Object} [options] - Server options
+ * @param {number} [options.maxBodySize] - Largest request body in bytes (default 10 MiB)
+ * @param {number} [options.ttl] - Milliseconds a stored matrix is kept (default 15 minutes)
+ * @param {function(): number} [options.now] - Clock for the store, in milliseconds
+ * @param {{log: Function, error: Function}} [options.logger] - Receives a line per request and
+ *   unexpected errors. Messages are discarded by default.
+ * @returns {http.Server} The server; its store property holds the MatrixStore
+ */
+function createServer(options = {}) {
+    const maxBodySize = options.maxBodySize !== undefined ? options.maxBodySize : SERVER_DEFAULTS.maxBodySize;
+    const logger = options.logger || { log: () => {}, error: () => {} };
+    const store = new MatrixStore({ ttl: options.ttl, now: options.now });
+
+    const server = http.createServer((request, response) => {
+        handle(request, response, store, maxBodySize).catch((error) => {
+            let status = 500;
+            let body = { code: 'INTERNAL_ERROR', message: 'Internal server error' };
+            if (error instanceof HttpError) {
+                status = error.status;
+                body = { code: error.code, message: error.message };
+            } else {
+                logger.error(`Error handling ${request.method} ${request.url}: ${error.stack}`);
+            }
+            // The rest of a refused body is not worth reading on this connection
+            sendJson(response, status, { error: body }, status === 413 ? { Connection: 'close' } : {});
+        }).finally(() => {
+            logger.log(`${request.method} ${request.url} ${response.statusCode}`);
+        });
+    });
+    server.store = store;
+    return server;
+}
+
+/**
+ * Creates a server and starts it on 127.0.0.1
+ * @param {Object} [options] - Options as for createServer
+ * @param {number} [options.port=8080] - Port to listen on; 0 picks a free port
+ * @returns {Promise<http.Server>} The listening server
+ */
+function startServer(options = {}) {
+    const server = createServer(options);
+    const port = options.port !== undefined ? options.port : SERVER_DEFAULTS.port;
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, HOST, () => {
+            server.removeListener('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    createServer,
+    startServer,
+    MatrixStore,
+    HttpError,
+    matrixFromJson,
+    matrixToJson,
+    SERVER_DEFAULTS,
+    HOST
+};
@@ -0,0 +1,390 @@
+/**
+ * Iterative solvers for sparse linear systems A·x = b, and direct solvers
+ * built on the factorizations in factorizations.js
+ *
+ * Every solver takes a square SparseMatrix and a right-hand side vector
+ * (plain or typed array) and returns
+ *   { x, converged, iterations, residualHistory }
+ * where residualHistory holds the relative residual ||b - A·x|| / ||b||
+ * after each iteration (starting with the initial guess).
+ */
+
+const { lu, cholesky } = require('./factorizations');
+
+/**
+ * Default stopping criteria
+ */
+const DEFAULTS = {
+    tolerance: 1e-10,
+    maxIterations: 1000
+};
+
+/**
+ * Euclidean dot product
+ * @param {Float64Array} a - First vector
+ * @param {Float64Array} b - Second vector
+ * @returns {number} a·b
+ */
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+/**
+ * Euclidean norm
+ * @param {Float64Array} a - Vector
+ * @returns {number} ||a||
+ */
+function norm(a) {
+    return Math.sqrt(dot(a, a));
+}
+
+/**
+ * Computes b - A·x
+ * @param {SparseMatrix} matrix - Matrix A
+ * @param {Float64Array} b - Right-hand side
+ * @param {Float64Array} x - Current solution
+ * @returns {Float64Array} Residual vector
+ */
+function residual(matrix, b, x) {
+    const ax = matrix.multiplyVector(x);
+    const r = new Float64Array(b.length);
+    for (let i = 0; i < b.length; i++) {
+        r[i] = b[i] - ax[i];
+    }
+    return r;
+}
+
+/**
+ * Extracts the diagonal of a matrix
+ * @param {SparseMatrix} matrix - Square matrix
+ * @returns {Float64Array} Diagonal values
+ */
+function diagonal(matrix) {
+    const diag = new Float64Array(matrix.rows);
+    for (let i = 0; i < matrix.rows; i++) {
+        diag[i] = matrix.getElement(i, i);
+    }
+    return diag;
+}
+
+/**
+ * Returns the inverse of the diagonal, for Jacobi iteration and preconditioning
+ * @param {SparseMatrix} matrix - Square matrix
+ * @returns {Float64Array} 1 / A[i][i] for every row
+ * @throws {Error} If a diagonal element is zero
+ */
+function inverseDiagonal(matrix) {
+    const diag = diagonal(matrix);
+    for (let i = 0; i < diag.length; i++) {
+        if (diag[i] === 0) {
+            throw new Error(`Zero on the diagonal at row ${i}`);
+        }
+        diag[i] = 1 / diag[i];
+    }
+    return diag;
+}
+
+/**
+ * Validates the system and normalizes the options
+ * @param {SparseMatrix} matrix - Matrix A
+ * @param {number[]|TypedArray} b - Right-hand side
+ * @param {Object} options - Solver options
+ * @returns {{b: Float64Array, x: Float64Array, tolerance: number, maxIterations: number, bNorm: number}}
+ *   Prepared inputs
+ * @throws {Error} If A is not square or b / x0 have the wrong length
+ */
+function prepare(matrix, b, options) {
+    if (matrix.rows !== matrix.cols) {
+        throw new Error(`Matrix must be square to solve a linear system, got ${matrix.rows}x${matrix.cols}`);
+    }
+    matrix._checkVector(b, matrix.rows, 'solving a linear system');
+
+    const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULTS.tolerance;
+    const maxIterations = options.maxIterations !== undefined ? options.maxIterations : DEFAULTS.maxIterations;
+    if (!(tolerance > 0)) {
+        throw new Error(`Invalid tolerance: ${tolerance}`);
+    }
+    if (!Number.isInteger(maxIterations) || maxIterations < 0) {
+        throw new Error(`Invalid maximum number of iterations: ${maxIterations}`);
+    }
+
+    const x = new Float64Array(matrix.rows);
+    if (options.x0 !== undefined) {
+        matrix._checkVector(options.x0, matrix.rows, 'the initial guess');
+        x.set(options.x0);
+    }
+
+    const rhs = Float64Array.from(b);
+    // A zero right-hand side is measured by the absolute residual instead
+    const bNorm = norm(rhs) || 1;
+
+    return { b: rhs, x, tolerance, maxIterations, bNorm };
+}
+
+/**
+ * Builds the preconditioner selected in the options
+ * @param {SparseMatrix} matrix - Matrix A
+ * @param {string|null|undefined} preconditioner - 'jacobi' or nothing
+ * @returns {function(Float64Array): Float64Array} Applies M^-1 to a vector
+ * @throws {Error} If the preconditioner is unknown
+ */
+function createPreconditioner(matrix, preconditioner) {
+    if (!preconditioner) {
+        return (r) => r;
+    }
+    if (preconditioner === 'jacobi') {
+        const inverse = inverseDiagonal(matrix);
+        return (r) => {
+            const z = new Float64Array(r.length);
+            for (let i = 0; i < r.length; i++) {
+                z[i] = r[i] * inverse[i];
+            }
+            return z;
+        };
+    }
+    throw new Error(`Unknown preconditioner: ${preconditioner}`);
+}
+
+/**
+ * Conjugate Gradient for symmetric positive definite matrices
+ * @param {SparseMatrix} matrix - SPD matrix A
+ * @param {number[]|TypedArray} b - Right-hand side
+ * @param {Object} [options] - Solver options
+ * @param {number} [options.tolerance=1e-10] - Stop when the relative residual is at most this
+ * @param {number} [options.maxIterations=1000] - Maximum number of iterations
+ * @param {string} [options.preconditioner] - 'jacobi' for diagonal preconditioning
+ * @param {number[]|TypedArray} [options.x0] - Initial guess (zeros by default)
+ * @returns {{x: Float64Array, converged: boolean, iterations: number, residualHistory: number[]}} Result
+ */
+function conjugateGradient(matrix, b, options = {}) {
+    const { b: rhs, x, tolerance, maxIterations, bNorm } = prepare(matrix, b, options);
+    const precondition = createPreconditioner(matrix, options.preconditioner);
+
+    const r = residual(matrix, rhs, x);
+    let z = precondition(r);
+    const p = Float64Array.from(z);
+    let rz = dot(r, z);
+    const residualHistory = [norm(r) / bNorm];
+
+    let iterations = 0;
+    while (residualHistory[iterations] > tolerance && iterations < maxIterations) {
+        const ap = matrix.multiplyVector(p);
+        const pAp = dot(p, ap);
+        if (pAp === 0) {
+            break;
+        }
+        const alpha = rz / pAp;
+        for (let i = 0; i < x.length; i++) {
+            x[i] += alpha * p[i];
+            r[i] -= alpha * ap[i];
+        }
+
+        z = precondition(r);
+        const rzNext = dot(r, z);
+        const beta = rzNext / rz;
+        rz = rzNext;
+        for (let i = 0; i < p.length; i++) {
+            p[i] = z[i] + beta * p[i];
+        }
+
+        iterations++;
+        residualHistory.push(norm(r) / bNorm);
+    }
+
+    return { x, converged: residualHistory[iterations] <= tolerance, iterations, residualHistory };
+}
+
+/**
+ * BiCGSTAB (stabilized bi-conjugate gradient) for general square matrices
+ * @param {SparseMatrix} matrix - Square matrix A
+ * @param {number[]|TypedArray} b - Right-hand side
+ * @param {Object} [options] - Solver options, as for conjugateGradient
+ * @returns {{x: Float64Array, converged: boolean, iterations: number, residualHistory: number[]}} Result
+ */
+function bicgstab(matrix, b, options = {}) {
+    const { b: rhs, x, tolerance, maxIterations, bNorm } = prepare(matrix, b, options);
+    const precondition = createPreconditioner(matrix, options.preconditioner);
+    const n = x.length;
+
+    const r = residual(matrix, rhs, x);
+    const rHat = Float64Array.from(r);
+    const p = new Float64Array(n);
+    const v = new Float64Array(n);
+    let rho = 1;
+    let alpha = 1;
+    let omega = 1;
+    const residualHistory = [norm(r) / bNorm];
+
+    let iterations = 0;
+    while (residualHistory[iterations] > tolerance && iterations < maxIterations) {
+        const rhoNext = dot(rHat, r);
+        if (rhoNext === 0) {
+            break; // Breakdown: the shadow residual became orthogonal to r
+        }
+        const beta = (rhoNext / rho) * (alpha / omega);
+        rho = rhoNext;
+        for (let i = 0; i < n; i++) {
+            p[i] = r[i] + beta * (p[i] - omega * v[i]);
+        }
+
+        const pHat = precondition(p);
+        v.set(matrix.multiplyVector(pHat));
+        alpha = rho / dot(rHat, v);
+
+        const s = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            s[i] = r[i] - alpha * v[i];
+        }
+        if (norm(s) / bNorm <= tolerance) {
+            for (let i = 0; i < n; i++) {
+                x[i] += alpha * pHat[i];
+            }
+            r.set(s);
+            iterations++;
+            residualHistory.push(norm(r) / bNorm);
+            break;
+        }
+
+        const sHat = precondition(s);
+        const t = matrix.multiplyVector(sHat);
+        const tt = dot(t, t);
+        omega = tt === 0 ? 0 : dot(t, s) / tt;
+        for (let i = 0; i < n; i++) {
+            x[i] += alpha * pHat[i] + omega * sHat[i];
+            r[i] = s[i] - omega * t[i];
+        }
+
+        iterations++;
+        residualHistory.push(norm(r) / bNorm);
+        if (omega === 0) {
+            break;
+        }
+    }
+
+    return { x, converged: residualHistory[iterations] <= tolerance, iterations, residualHistory };
+}
+
+/**
+ * Jacobi iteration. Converges for strictly diagonally dominant matrices.
+ * @param {SparseMatrix} matrix - Square matrix A with a non-zero diagonal
+ * @param {number[]|TypedArray} b - Right-hand side
+ * @param {Object} [options] - Solver options, as for conjugateGradient (preconditioner is ignored)
+ * @returns {{x: Float64Array, converged: boolean, iterations: number, residualHistory: number[]}} Result
+ */
+function jacobi(matrix, b, options = {}) {
+    const { b: rhs, x, tolerance, maxIterations, bNorm } = prepare(matrix, b, options);
+    const inverse = inverseDiagonal(matrix);
+    const residualHistory = [norm(residual(matrix, rhs, x)) / bNorm];
+
+    let iterations = 0;
+    while (residualHistory[iterations] > tolerance && iterations < maxIterations) {
+        // x_new = x + D^-1 (b - A·x)
+        const r = residual(matrix, rhs, x);
+        for (let i = 0; i < x.length; i++) {
+            x[i] += inverse[i] * r[i];
+        }
+
+        iterations++;
+        residualHistory.push(norm(residual(matrix, rhs, x)) / bNorm);
+    }
+
+    return { x, converged: residualHistory[iterations] <= tolerance, iterations, residualHistory };
+}
+
+/**
+ * Gauss-Seidel iteration, updating x in place row by row.
+ * Converges for strictly diagonally dominant or SPD matrices.
+ * @param {SparseMatrix} matrix - Square matrix A with a non-zero diagonal
+ * @param {number[]|TypedArray} b - Right-hand side
+ * @param {Object} [options] - Solver options, as for conjugateGradient (preconditioner is ignored)
+ * @returns {{x: Float64Array, converged: boolean, iterations: number, residualHistory: number[]}} Result
+ */
+function gaussSeidel(matrix, b, options = {}) {
+    const { b: rhs, x, tolerance, maxIterations, bNorm } = prepare(matrix, b, options);
+    const diag = diagonal(matrix);
+    for (let i = 0; i < diag.length; i++) {
+        if (diag[i] === 0) {
+            throw new Error(`Zero on the diagonal at row ${i}`);
+        }
+    }
+    const residualHistory = [norm(residual(matrix, rhs, x)) / bNorm];
+
+    let iterations = 0;
+    while (residualHistory[iterations] > tolerance && iterations < maxIterations) {
+        for (let row = 0; row < x.length; row++) {
+            let sum = rhs[row];
+            const rowData = matrix._rowData.get(row);
+            if (rowData !== undefined) {
+                for (const [col, value] of rowData) {
+                    if (col !== row) {
+                        sum -= value * x[col];
+                    }
+                }
+            }
+            x[row] = sum / diag[row];
+        }
+
+        iterations++;
+        residualHistory.push(norm(residual(matrix, rhs, x)) / bNorm);
+    }
+
+    return { x, converged: residualHistory[iterations] <= tolerance, iterations, residualHistory };
+}
+
+/**
+ * Wraps a direct factorization as a solver returning the same result as the iterative ones.
+ * It finishes in a single step; the residual history shows the rounding error left.
+ * @param {function(SparseMatrix, Object): Object} factorize - lu or cholesky from factorizations.js
+ * @returns {function(SparseMatrix, number[]|TypedArray, Object): Object} Solver
+ */
+function directSolver(factorize) {
+    return (matrix, b, options = {}) => {
+        const { b: rhs, bNorm } = prepare(matrix, b, options);
+        const x = factorize(matrix, options).solve(rhs);
+        const residualHistory = [norm(rhs) / bNorm, norm(residual(matrix, rhs, x)) / bNorm];
+        return { x, converged: true, iterations: 1, residualHistory };
+    };
+}
+
+/**
+ * Solvers by name, as accepted by solve()
+ */
+const METHODS = {
+    cg: conjugateGradient,
+    bicgstab,
+    jacobi,
+    'gauss-seidel': gaussSeidel,
+    lu: directSolver(lu),
+    cholesky: directSolver(cholesky)
+};
+
+/**
+ * Solves A·x = b with the named method
+ * @param {SparseMatrix} matrix - Square matrix A
+ * @param {number[]|TypedArray} b - Right-hand side
+ * @param {Object} [options] - Solver options, as for conjugateGradient
+ * @param {string} [options.method='cg'] - 'cg', 'bicgstab', 'jacobi', 'gauss-seidel', or 'lu' or
+ *   'cholesky' for a direct solve (see factorizations.js)
+ * @returns {{x: Float64Array, converged: boolean, iterations: number, residualHistory: number[]}} Result
+ * @throws {Error} If the method is unknown
+ */
+function solve(matrix, b, options = {}) {
+    const method = options.method || 'cg';
+    if (!Object.prototype.hasOwnProperty.call(METHODS, method)) {
+        throw new Error(`Unknown solver method: ${method} (expected one of ${Object.keys(METHODS).join(', ')})`);
+    }
+    return METHODS[method](matrix, b, options);
+}
+
+module.exports = {
+    solve,
+    conjugateGradient,
+    bicgstab,
+    jacobi,
+    gaussSeidel,
+    METHODS
+};
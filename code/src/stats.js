@@ -0,0 +1,183 @@
+/**
+ * Structural and numerical statistics for SparseMatrix, used to pick
+ * storage formats and algorithms before running them on a matrix
+ */
+
+/**
+ * Summarizes non-zero counts per row or per column
+ * @param {Uint32Array} counts - Non-zero count of every row or column
+ * @returns {{min: number, max: number, mean: number, histogram: Array<{from: number, to: number, count: number}>}}
+ *   Summary. The histogram buckets are 0, 1, 2-3, 4-7, ... up to the largest count.
+ */
+function summarizeCounts(counts) {
+    let min = Infinity;
+    let max = 0;
+    let total = 0;
+    const histogram = [{ from: 0, to: 0, count: 0 }];
+
+    for (const count of counts) {
+        min = Math.min(min, count);
+        max = Math.max(max, count);
+        total += count;
+
+        const bucket = count === 0 ? 0 : Math.floor(Math.log2(count)) + 1;
+        while (histogram.length <= bucket) {
+            const from = 2 ** (histogram.length - 1);
+            histogram.push({ from, to: from * 2 - 1, count: 0 });
+        }
+        histogram[bucket].count++;
+    }
+
+    return { min, max, mean: total / counts.length, histogram };
+}
+
+/**
+ * Computes statistics for a matrix in one pass over its non-zeros
+ * @param {SparseMatrix} matrix - Matrix to describe
+ * @returns {Object} Statistics, as documented on SparseMatrix#stats
+ */
+function compute(matrix) {
+    const rowCounts = new Uint32Array(matrix.rows);
+    const colCounts = new Uint32Array(matrix.cols);
+    const colAbsSums = new Float64Array(matrix.cols);
+    const square = matrix.rows === matrix.cols;
+
+    let lowerBandwidth = 0;
+    let upperBandwidth = 0;
+    let minValue = null;
+    let maxValue = null;
+    let sum = 0;
+    let sumOfSquares = 0;
+    let infinityNorm = 0;
+    let strictlyDominant = square;
+    let weaklyDominant = square;
+    let symmetric = square;
+    let structurallySymmetric = square;
+
+    for (const [row, rowData] of matrix._rowData) {
+        let rowAbsSum = 0;
+        let offDiagonal = 0;
+
+        for (const [col, value] of rowData) {
+            const magnitude = Math.abs(value);
+            rowCounts[row]++;
+            colCounts[col]++;
+            colAbsSums[col] += magnitude;
+            rowAbsSum += magnitude;
+            if (col !== row) {
+                offDiagonal += magnitude;
+            }
+
+            lowerBandwidth = Math.max(lowerBandwidth, row - col);
+            upperBandwidth = Math.max(upperBandwidth, col - row);
+            minValue = minValue === null ? value : Math.min(minValue, value);
+            maxValue = maxValue === null ? value : Math.max(maxValue, value);
+            sum += value;
+            sumOfSquares += value * value;
+
+            if (square && structurallySymmetric) {
+                const mirrored = matrix._rowData.get(col);
+                const mirroredValue = mirrored !== undefined ? mirrored.get(row) : undefined;
+                if (mirroredValue === undefined) {
+                    structurallySymmetric = false;
+                    symmetric = false;
+                } else if (mirroredValue !== value) {
+                    symmetric = false;
+                }
+            }
+        }
+
+        infinityNorm = Math.max(infinityNorm, rowAbsSum);
+        if (square) {
+            const diagonal = rowData.has(row) ? Math.abs(rowData.get(row)) : 0;
+            strictlyDominant = strictlyDominant && diagonal > offDiagonal;
+            weaklyDominant = weaklyDominant && diagonal >= offDiagonal;
+        }
+    }
+
+    // A row with no entries at all has a zero diagonal and no off-diagonal values
+    if (square && matrix._rowData.size < matrix.rows) {
+        strictlyDominant = false;
+    }
+
+    let diagonalDominance = null;
+    if (square) {
+        diagonalDominance = strictlyDominant ? 'strict' : (weaklyDominant ? 'weak' : 'none');
+    }
+
+    const rowSummary = summarizeCounts(rowCounts);
+    const colSummary = summarizeCounts(colCounts);
+
+    return {
+        rows: matrix.rows,
+        cols: matrix.cols,
+        nonZeros: matrix.elementCount,
+        density: matrix.elementCount / (matrix.rows * matrix.cols),
+        nonZerosPerRow: rowSummary,
+        nonZerosPerCol: colSummary,
+        emptyRows: rowSummary.histogram[0].count,
+        emptyCols: colSummary.histogram[0].count,
+        bandwidth: { lower: lowerBandwidth, upper: upperBandwidth },
+        diagonalDominance,
+        symmetric,
+        structurallySymmetric,
+        valueRange: { min: minValue, max: maxValue },
+        sum,
+        norms: {
+            frobenius: Math.sqrt(sumOfSquares),
+            one: colAbsSums.reduce((max, value) => Math.max(max, value), 0),
+            infinity: infinityNorm
+        }
+    };
+}
+
+/**
+ * Formats a histogram bucket range
+ * @param {{from: number, to: number}} bucket - Histogram bucket
+ * @returns {string} "3" or "4-7"
+ */
+function bucketLabel(bucket) {
+    return bucket.from === bucket.to ? `${bucket.from}` : `${bucket.from}-${bucket.to}`;
+}
+
+/**
+ * Formats statistics as a human-readable report
+ * @param {Object} stats - Statistics from compute
+ * @returns {string} Report, one fact per line
+ */
+function format(stats) {
+    const yesNo = (value) => (value ? 'yes' : 'no');
+    const countLine = (summary) =>
+        `min ${summary.min}, max ${summary.max}, mean ${Number(summary.mean.toFixed(2))}`;
+
+    const lines = [
+        `Size:                 ${stats.rows}x${stats.cols}`,
+        `Non-zeros:            ${stats.nonZeros} (density ${Number((stats.density * 100).toPrecision(4))}%)`,
+        `Non-zeros per row:    ${countLine(stats.nonZerosPerRow)}`,
+        `Non-zeros per column: ${countLine(stats.nonZerosPerCol)}`,
+        `Empty rows:           ${stats.emptyRows}`,
+        `Empty columns:        ${stats.emptyCols}`,
+        `Bandwidth:            lower ${stats.bandwidth.lower}, upper ${stats.bandwidth.upper}`,
+        `Diagonal dominance:   ${stats.diagonalDominance === null ? 'n/a (not square)' : stats.diagonalDominance}`,
+        `Symmetric:            ${yesNo(stats.symmetric)} (structurally ${yesNo(stats.structurallySymmetric)})`,
+        `Value range:          ${stats.nonZeros === 0 ? 'n/a (no non-zeros)' : `${stats.valueRange.min} to ${stats.valueRange.max}`}`,
+        `Sum:                  ${stats.sum}`,
+        `Norms:                Frobenius ${stats.norms.frobenius}, 1-norm ${stats.norms.one}, ` +
+            `infinity-norm ${stats.norms.infinity}`
+    ];
+
+    for (const [title, summary] of [['Rows', stats.nonZerosPerRow], ['Columns', stats.nonZerosPerCol]]) {
+        lines.push('', `${title} by number of non-zeros:`);
+        const width = Math.max(...summary.histogram.map((bucket) => bucketLabel(bucket).length));
+        for (const bucket of summary.histogram) {
+            lines.push(`  ${bucketLabel(bucket).padStart(width)}  ${bucket.count}`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    compute,
+    format
+};
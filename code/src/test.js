@@ -56,18 +56,20 @@ function runTests() {
         // Check if files exist
         if (!fileExists(matrix1Path)) {
             console.error(`Matrix file not found: ${matrix1Path}`);
+            process.exitCode = 1;
             return;
         }
         
         if (!fileExists(matrix2Path)) {
             console.error(`Matrix file not found: ${matrix2Path}`);
+            process.exitCode = 1;
             return;
         }
         
         // Load matrices
         console.log('Loading matrices...');
-        const matrix1 = new SparseMatrix(matrix1Path);
-        const matrix2 = new SparseMatrix(matrix2Path);
+        const matrix1 = new SparseMatrix(matrix1Path, null, null, { verbose: true });
+        const matrix2 = new SparseMatrix(matrix2Path, null, null, { verbose: true });
         
         console.log(`Matrix 1: ${matrix1.rows}x${matrix1.cols} with ${matrix1.elementCount} non-zero elements`);
         console.log(`Matrix 2: ${matrix2.rows}x${matrix2.cols} with ${matrix2.elementCount} non-zero elements\n`);
@@ -119,6 +121,7 @@ function runTests() {
         console.log('Tests completed.');
     } catch (error) {
         console.error(`\nTest Error: ${error.message}`);
+        process.exitCode = 1;
     }
 }
 
@@ -0,0 +1,109 @@
+/**
+ * Dense vectors for matrix-vector products
+ *
+ * Vectors are plain Float64Arrays. On disk they use the same style as matrix files:
+ *
+ *   size=<length>
+ *   (<index>, <value>)
+ *   ...
+ *
+ * Indices are 0-based and only non-zero values need to be listed.
+ */
+
+const MatrixFormatError = require('./MatrixFormatError');
+const { readFile, writeFile, splitString, trim, parseInteger, parseNumber } = require('./textParsing');
+
+/**
+ * Parses vector text
+ * @param {string} data - Vector file contents
+ * @param {string|null} [filePath] - Path of the file, for error reporting
+ * @returns {Float64Array} The vector
+ * @throws {MatrixFormatError} If the text has wrong format
+ */
+function parseVector(data, filePath = null) {
+    const lines = splitString(data, '\n');
+    let vector = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = i + 1;
+        const trimmed = trim(lines[i]);
+        if (!trimmed) {
+            continue;
+        }
+
+        if (vector === null) {
+            if (!trimmed.startsWith('size=')) {
+                throw new MatrixFormatError('MISSING_SIZE', { filePath, line, text: trimmed });
+            }
+            const size = parseInteger(trimmed.substring(5));
+            if (isNaN(size) || size <= 0) {
+                throw new MatrixFormatError('INVALID_DIMENSIONS', { filePath, line, text: trimmed });
+            }
+            vector = new Float64Array(size);
+            continue;
+        }
+
+        if (!trimmed.startsWith('(') || !trimmed.endsWith(')')) {
+            throw new MatrixFormatError('MISSING_PARENTHESES', { filePath, line, text: trimmed });
+        }
+        const parts = splitString(trimmed.substring(1, trimmed.length - 1), ',');
+        if (parts.length !== 2) {
+            throw new MatrixFormatError('WRONG_FIELD_COUNT', { filePath, line, text: trimmed });
+        }
+        const index = parseInteger(trim(parts[0]));
+        const value = parseNumber(trim(parts[1]));
+        if (isNaN(index) || isNaN(value)) {
+            throw new MatrixFormatError('INVALID_NUMBER', { filePath, line, text: trimmed });
+        }
+        if (index < 0 || index >= vector.length) {
+            throw new MatrixFormatError('INDEX_OUT_OF_RANGE', { filePath, line, text: trimmed });
+        }
+        vector[index] = value;
+    }
+
+    if (vector === null) {
+        throw new MatrixFormatError('INSUFFICIENT_DATA', { filePath });
+    }
+    return vector;
+}
+
+/**
+ * Converts a vector to text, listing only the non-zero values
+ * @param {number[]|TypedArray} vector - The vector
+ * @returns {string} Vector file contents
+ */
+function formatVector(vector) {
+    const lines = [`size=${vector.length}`];
+    for (let i = 0; i < vector.length; i++) {
+        if (vector[i] !== 0) {
+            lines.push(`(${i}, ${vector[i]})`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Loads a vector from a file
+ * @param {string} filePath - Path to the vector file
+ * @returns {Float64Array} The vector
+ * @throws {MatrixFormatError} If the file has wrong format
+ */
+function loadVector(filePath) {
+    return parseVector(readFile(filePath), filePath);
+}
+
+/**
+ * Saves a vector to a file
+ * @param {string} filePath - Path to save the vector
+ * @param {number[]|TypedArray} vector - The vector
+ */
+function saveVector(filePath, vector) {
+    writeFile(filePath, formatVector(vector));
+}
+
+module.exports = {
+    parseVector,
+    formatVector,
+    loadVector,
+    saveVector
+};
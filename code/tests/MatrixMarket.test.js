@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SparseMatrix = require('../src/SparseMatrix');
+const MatrixFormatError = require('../src/MatrixFormatError');
+const { fromDense, toDense, tempPath, writeTempFile } = require('./helpers');
+
+/**
+ * Builds Matrix Market text from a header, a size line and entry lines
+ */
+const mtx = (header, size, ...entries) =>
+    [`%%MatrixMarket matrix coordinate ${header}`, '% comment', size, ...entries].join('\n') + '\n';
+
+const load = (text, strict = false) => SparseMatrix.fromString(text, { format: 'mtx', strict });
+
+/**
+ * Asserts that loading fails with a MatrixFormatError for the given reason and line
+ */
+function assertFormatError(text, reason, line, strict = false) {
+    assert.throws(() => load(text, strict), (error) => {
+        assert.ok(error instanceof MatrixFormatError);
+        assert.equal(error.reason, reason);
+        assert.equal(error.line, line);
+        return true;
+    });
+}
+
+test('Matrix Market reading', async (t) => {
+    await t.test('general matrices with 1-based indices', () => {
+        const matrix = load(mtx('real general', '2 3 3', '1 1 1.5', '2 3 -2', '1 2 4e2'));
+        assert.deepEqual(toDense(matrix), [[1.5, 400, 0], [0, 0, -2]]);
+    });
+
+    await t.test('symmetric storage is mirrored across the diagonal', () => {
+        const matrix = load(mtx('integer symmetric', '3 3 4', '1 1 4', '2 1 -1', '3 2 5', '3 3 6'));
+        assert.deepEqual(toDense(matrix), [[4, -1, 0], [-1, 0, 5], [0, 5, 6]]);
+        assert.equal(matrix.elementCount, 6);
+    });
+
+    await t.test('skew-symmetric storage is mirrored with the sign flipped', () => {
+        const matrix = load(mtx('real skew-symmetric', '3 3 2', '2 1 1.5', '3 1 -2'));
+        assert.deepEqual(toDense(matrix), [[0, -1.5, 2], [1.5, 0, 0], [-2, 0, 0]]);
+    });
+
+    await t.test('a skew-symmetric diagonal must be zero', () => {
+        const text = mtx('real skew-symmetric', '2 2 2', '2 1 3', '2 2 1');
+        assertFormatError(text, 'SKEW_DIAGONAL', 5);
+        assertFormatError(text, 'SKEW_DIAGONAL', 5, true);
+
+        // An explicit zero is skipped leniently and rejected in strict mode
+        const zero = mtx('real skew-symmetric', '2 2 2', '2 1 3', '1 1 0');
+        assert.deepEqual(toDense(load(zero)), [[0, -3], [3, 0]]);
+        assertFormatError(zero, 'EXPLICIT_ZERO', 5, true);
+    });
+
+    await t.test('pattern entries get the value 1, also when mirrored', () => {
+        assert.deepEqual(toDense(load(mtx('pattern general', '2 2 2', '1 2', '2 1'))), [[0, 1], [1, 0]]);
+        assert.deepEqual(toDense(load(mtx('pattern symmetric', '2 2 1', '2 1'))), [[0, 1], [1, 0]]);
+        assert.deepEqual(toDense(load(mtx('pattern skew-symmetric', '2 2 1', '2 1'))), [[0, -1], [1, 0]]);
+        assertFormatError(mtx('pattern general', '2 2 1', '1 2 5'), 'WRONG_FIELD_COUNT', 4);
+    });
+
+    await t.test('the entry count must match the size line', () => {
+        // Too few entries are only noticed at the end of the input
+        assert.throws(() => load(mtx('real general', '2 2 3', '1 1 1', '2 2 2')), { reason: 'WRONG_ENTRY_COUNT' });
+        assertFormatError(mtx('real general', '2 2 1', '1 1 1', '2 2 2'), 'WRONG_ENTRY_COUNT', 5);
+        assertFormatError(mtx('real general', '2 2 1', '1 1 1', '2 2 2'), 'WRONG_ENTRY_COUNT', 5, true);
+    });
+
+    await t.test('indices outside the size line are rejected in either mode', () => {
+        const text = mtx('real general', '2 2 1', '3 1 1');
+        assertFormatError(text, 'INDEX_OUT_OF_RANGE', 4);
+        assertFormatError(text, 'INDEX_OUT_OF_RANGE', 4, true);
+        assertFormatError(mtx('real general', '2 2 1', '0 1 1'), 'INDEX_OUT_OF_RANGE', 4);
+    });
+
+    await t.test('strict mode rejects explicit zeros and repeated coordinates', () => {
+        const tiny = mtx('real general', '2 2 1', '1 1 1e-15');
+        assert.equal(SparseMatrix.fromString(tiny, { format: 'mtx', zeroTolerance: 1e-12 }).elementCount, 0);
+        assert.throws(() => SparseMatrix.fromString(tiny, { format: 'mtx', strict: true, zeroTolerance: 1e-12 }),
+            { reason: 'EXPLICIT_ZERO', line: 4 });
+        // The second entry repeats the mirror image of the first
+        assertFormatError(mtx('real symmetric', '2 2 2', '2 1 1', '1 2 1'), 'DUPLICATE_ENTRY', 5, true);
+    });
+
+    await t.test('rejects bad headers and size lines', () => {
+        assertFormatError('%%MatrixMarket matrix array real general\n2 2\n', 'UNSUPPORTED_FORMAT', 1);
+        assertFormatError('2 2 1\n1 1 1\n', 'INVALID_HEADER', 1);
+        assertFormatError(mtx('real symmetric', '2 3 0'), 'INVALID_DIMENSIONS', 3);
+        assertFormatError(mtx('integer general', '1 1 1', '1 1 2.5'), 'INVALID_NUMBER', 4);
+    });
+});
+
+test('Matrix Market writing', async (t) => {
+    await t.test('writes general storage that loads back', () => {
+        const matrix = fromDense([[0, 2], [-1.5, 0], [0, 7]]);
+        const text = matrix.toMatrixMarket();
+        assert.equal(text, '%%MatrixMarket matrix coordinate real general\n3 2 3\n1 2 2\n2 1 -1.5\n3 2 7\n');
+        assert.equal(load(text).toString(), matrix.toString());
+    });
+
+    await t.test('saveToFile and loading from a file', () => {
+        const matrix = fromDense([[1, 0], [0, -4]]);
+        const filePath = tempPath('round-trip.mtx');
+        matrix.saveToFile(filePath, { format: 'mtx' });
+        const loaded = new SparseMatrix(filePath, null, null, { format: 'mtx', strict: true });
+        assert.equal(loaded.toString(), matrix.toString());
+        const symmetric = new SparseMatrix(writeTempFile('symmetric.mtx', mtx('integer symmetric', '2 2 1', '2 1 3')),
+            null, null, { format: 'mtx' });
+        assert.deepEqual(toDense(symmetric), [[0, 3], [3, 0]]);
+    });
+});
@@ -0,0 +1,415 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SparseMatrix = require('../src/SparseMatrix');
+const MatrixFormatError = require('../src/MatrixFormatError');
+const { runCli } = require('../src/cli');
+const {
+    SAMPLE_INPUTS,
+    createRandom,
+    randomDense,
+    fromDense,
+    toDense,
+    reference,
+    tempPath,
+    writeTempFile
+} = require('./helpers');
+
+const sample = (name) => path.join(SAMPLE_INPUTS, name);
+
+test('constructor', async (t) => {
+    await t.test('creates an empty matrix from dimensions', () => {
+        const matrix = new SparseMatrix(null, 3, 4);
+        assert.equal(matrix.rows, 3);
+        assert.equal(matrix.cols, 4);
+        assert.equal(matrix.elementCount, 0);
+    });
+
+    await t.test('rejects missing arguments', () => {
+        assert.throws(() => new SparseMatrix(null), { message: 'Invalid arguments' });
+    });
+
+    await t.test('rejects an invalid zero tolerance', () => {
+        assert.throws(() => new SparseMatrix(null, 2, 2, { zeroTolerance: -1 }), /Invalid zero tolerance/);
+    });
+});
+
+test('getElement and setElement', async (t) => {
+    await t.test('returns 0 for unset positions', () => {
+        const matrix = new SparseMatrix(null, 2, 2);
+        assert.equal(matrix.getElement(1, 1), 0);
+    });
+
+    await t.test('stores and overwrites values', () => {
+        const matrix = new SparseMatrix(null, 2, 2);
+        matrix.setElement(0, 1, 5);
+        matrix.setElement(0, 1, -2.5);
+        assert.equal(matrix.getElement(0, 1), -2.5);
+        assert.equal(matrix.elementCount, 1);
+    });
+
+    await t.test('setting zero removes the element', () => {
+        const matrix = new SparseMatrix(null, 2, 2);
+        matrix.setElement(1, 0, 3);
+        matrix.setElement(1, 0, 0);
+        assert.equal(matrix.getElement(1, 0), 0);
+        assert.equal(matrix.elementCount, 0);
+        assert.deepEqual([...matrix.entries()], []);
+    });
+
+    await t.test('values within the zero tolerance are dropped', () => {
+        const matrix = new SparseMatrix(null, 2, 2, { zeroTolerance: 1e-12 });
+        matrix.setElement(0, 0, 1e-17);
+        assert.equal(matrix.elementCount, 0);
+    });
+
+    for (const [row, col] of [[-1, 0], [0, -1], [2, 0], [0, 3]]) {
+        await t.test(`rejects out-of-bounds position (${row}, ${col})`, () => {
+            const matrix = new SparseMatrix(null, 2, 3);
+            const message = `Index out of bounds: (${row}, ${col}) not in matrix of size 2x3`;
+            assert.throws(() => matrix.getElement(row, col), { message });
+            assert.throws(() => matrix.setElement(row, col, 1), { message });
+        });
+    }
+});
+
+test('loadFromFile', async (t) => {
+    await t.test('loads the sample matrices', () => {
+        const matrix = new SparseMatrix(sample('test_matrix1.txt'));
+        assert.equal(matrix.rows, 3);
+        assert.equal(matrix.cols, 4);
+        assert.equal(matrix.elementCount, 7);
+        assert.equal(matrix.getElement(0, 1), -3);
+        assert.equal(matrix.getElement(1, 1), 0);
+    });
+
+    await t.test('ignores blank lines and surrounding whitespace', () => {
+        const filePath = writeTempFile('blank.txt', '\n  rows=2\r\n\ncols=2 \n\t( 0 , 1 , 4 )\n\n');
+        const matrix = new SparseMatrix(filePath);
+        assert.equal(matrix.getElement(0, 1), 4);
+    });
+
+    await t.test('parses decimal, exponent and signed values', () => {
+        const matrix = SparseMatrix.fromString('rows=2\ncols=2\n(0, 0, 2.5)\n(0, 1, 1e-3)\n(1, 0, +4)\n(1, 1, -.5)\n');
+        assert.deepEqual(toDense(matrix), [[2.5, 0.001], [4, -0.5]]);
+    });
+
+    await t.test('skips explicit zeros in lenient mode', () => {
+        const matrix = SparseMatrix.fromString('rows=2\ncols=2\n(0, 0, 0)\n(1, 1, 3)\n');
+        assert.equal(matrix.elementCount, 1);
+    });
+
+    await t.test('grows the matrix for out-of-range entries in lenient mode', () => {
+        const matrix = SparseMatrix.fromString('rows=2\ncols=2\n(3, 4, 1)\n');
+        assert.equal(matrix.rows, 4);
+        assert.equal(matrix.cols, 5);
+        assert.equal(matrix.getElement(3, 4), 1);
+    });
+
+    await t.test('keeps the last duplicate in lenient mode', () => {
+        const matrix = SparseMatrix.fromString('rows=2\ncols=2\n(0, 0, 1)\n(0, 0, 2)\n');
+        assert.equal(matrix.getElement(0, 0), 2);
+        assert.equal(matrix.elementCount, 1);
+    });
+
+    await t.test('reports a missing file', () => {
+        assert.throws(() => new SparseMatrix(tempPath('missing.txt')), /^Error: Error reading file: ENOENT/);
+    });
+
+    const formatErrors = [
+        ['too few lines', 'rows=2\ncols=2\n', 'INSUFFICIENT_DATA', null],
+        ['missing rows line', 'cols=2\nrows=2\n(0, 0, 1)\n', 'MISSING_ROWS', 1],
+        ['missing cols line', 'rows=2\n\nsize=2\n(0, 0, 1)\n', 'MISSING_COLS', 3],
+        ['zero dimensions', 'rows=0\ncols=2\n(0, 0, 1)\n', 'INVALID_DIMENSIONS', 1],
+        ['missing parentheses', 'rows=2\ncols=2\n0, 0, 1\n', 'MISSING_PARENTHESES', 3],
+        ['wrong field count', 'rows=2\ncols=2\n(0, 1)\n', 'WRONG_FIELD_COUNT', 3],
+        ['non-numeric value', 'rows=2\ncols=2\n(0, 0, abc)\n', 'INVALID_NUMBER', 3],
+        ['fractional index', 'rows=2\ncols=2\n(0.5, 0, 1)\n', 'INVALID_NUMBER', 3],
+        ['negative index', 'rows=2\ncols=2\n(-1, 0, 1)\n', 'NEGATIVE_INDEX', 3]
+    ];
+    for (const [name, content, reason, line] of formatErrors) {
+        await t.test(`reports ${name}`, () => {
+            const filePath = writeTempFile(`${reason}.txt`, content);
+            assert.throws(() => new SparseMatrix(filePath), (error) => {
+                assert.ok(error instanceof MatrixFormatError);
+                assert.equal(error.reason, reason);
+                assert.equal(error.filePath, filePath);
+                assert.equal(error.line, line);
+                assert.match(error.message, /^Input file has wrong format: /);
+                return true;
+            });
+        });
+    }
+
+    const strictErrors = [
+        ['out-of-range indices', 'rows=2\ncols=2\n(0, 0, 1)\n(2, 0, 1)\n', 'INDEX_OUT_OF_RANGE', 4],
+        ['duplicate coordinates', 'rows=2\ncols=2\n(0, 0, 1)\n\n(0, 0, 2)\n', 'DUPLICATE_ENTRY', 5],
+        ['explicit zeros', 'rows=2\ncols=2\n(1, 1, 0)\n', 'EXPLICIT_ZERO', 3]
+    ];
+    for (const [name, content, reason, line] of strictErrors) {
+        await t.test(`strict mode rejects ${name}`, () => {
+            assert.throws(() => SparseMatrix.fromString(content, { strict: true }), {
+                reason,
+                line,
+                text: content.split('\n')[line - 1]
+            });
+            assert.doesNotThrow(() => SparseMatrix.fromString(content));
+        });
+    }
+
+    await t.test('strict mode applies the zero tolerance', () => {
+        const options = { strict: true, zeroTolerance: 1e-12 };
+        assert.throws(() => SparseMatrix.fromString('rows=2\ncols=2\n(1, 1, 1e-15)\n', options),
+            { reason: 'EXPLICIT_ZERO', line: 3 });
+        assert.equal(SparseMatrix.fromString('rows=2\ncols=2\n(1, 1, 1e-15)\n',
+            { zeroTolerance: 1e-12 }).elementCount, 0);
+    });
+});
+
+test('logging', async (t) => {
+    const filePath = sample('test_matrix1.txt');
+
+    /**
+     * Logger that records every message
+     */
+    const recorder = () => {
+        const messages = { log: [], error: [] };
+        return {
+            messages,
+            log: (message) => messages.log.push(message),
+            error: (message) => messages.error.push(message)
+        };
+    };
+
+    await t.test('is quiet by default', (t) => {
+        const log = t.mock.method(console, 'log', () => {});
+        const error = t.mock.method(console, 'error', () => {});
+        new SparseMatrix(filePath);
+        assert.throws(() => new SparseMatrix(writeTempFile('quiet-bad.txt', 'rows=x\n')));
+        assert.equal(log.mock.callCount(), 0);
+        assert.equal(error.mock.callCount(), 0);
+    });
+
+    await t.test('prints loading progress to the console when verbose', (t) => {
+        const log = t.mock.method(console, 'log', () => {});
+        const matrix = new SparseMatrix(filePath, null, null, { verbose: true });
+        const messages = log.mock.calls.map((call) => call.arguments[0]);
+        assert.equal(messages[0], `Loading matrix from file: ${filePath}`);
+        assert.equal(messages[messages.length - 1], `Loaded ${matrix.elementCount} non-zero elements`);
+    });
+
+    await t.test('sends progress and errors to a custom logger', async () => {
+        const logger = recorder();
+        const matrix = new SparseMatrix(filePath, null, null, { logger });
+        assert.equal(logger.messages.log[0], `Loading matrix from file: ${filePath}`);
+        assert.deepEqual(logger.messages.error, []);
+        assert.equal(matrix.add(matrix).logger, logger);
+
+        const streamed = recorder();
+        await assert.rejects(SparseMatrix.loadFile(writeTempFile('logged-bad.txt', 'rows=2\ncols=2\n(0, 0, x)\n'),
+            { logger: streamed }));
+        assert.equal(streamed.messages.error.length, 1);
+        assert.match(streamed.messages.error[0], /^Error loading matrix: Input file has wrong format: /);
+    });
+});
+
+test('streaming loader', async (t) => {
+    await t.test('loadFile matches loadFromFile', async () => {
+        const streamed = await SparseMatrix.loadFile(sample('test_matrix3.txt'));
+        assert.equal(streamed.toString(), new SparseMatrix(sample('test_matrix3.txt')).toString());
+    });
+
+    await t.test('fromStream handles lines split across chunks', async () => {
+        const { Readable } = require('stream');
+        const chunks = ['rows=2\nco', 'ls=3\n(1, 2, 3', '.5)\n(0, 0, 1)'];
+        const progress = [];
+        const matrix = await SparseMatrix.fromStream(Readable.from(chunks), {
+            onProgress: (update) => progress.push(update)
+        });
+        assert.deepEqual(toDense(matrix), [[1, 0, 0], [0, 0, 3.5]]);
+        assert.equal(progress.length, chunks.length);
+    });
+
+    await t.test('loadFile reports progress by bytes and lines', async () => {
+        const filePath = sample('test_matrix1.txt');
+        const progress = [];
+        await SparseMatrix.loadFile(filePath, { onProgress: (update) => progress.push(update) });
+        const last = progress[progress.length - 1];
+        assert.equal(last.bytesRead, fs.statSync(filePath).size);
+        assert.ok(last.linesRead > 2);
+    });
+
+    await t.test('rejects a missing file', async () => {
+        await assert.rejects(SparseMatrix.loadFile(tempPath('no-such-matrix.txt')), /^Error: Error reading file: ENOENT/);
+    });
+
+    await t.test('rejects with a format error', async () => {
+        const filePath = writeTempFile('stream-bad.txt', 'rows=2\ncols=2\n(0, 0, x)\n');
+        await assert.rejects(SparseMatrix.loadFile(filePath), { reason: 'INVALID_NUMBER', line: 3, filePath });
+    });
+});
+
+test('add, subtract and multiply match a dense reference', async (t) => {
+    const random = createRandom(11);
+    for (let round = 0; round < 20; round++) {
+        const rows = 1 + Math.floor(random() * 8);
+        const inner = 1 + Math.floor(random() * 8);
+        const cols = 1 + Math.floor(random() * 8);
+        const a = randomDense(random, rows, inner, 0.3);
+        const b = randomDense(random, rows, inner, 0.3);
+        const c = randomDense(random, inner, cols, 0.3);
+
+        await t.test(`round ${round}: ${rows}x${inner} and ${inner}x${cols}`, () => {
+            assert.deepEqual(toDense(fromDense(a).add(fromDense(b))), reference.add(a, b));
+            assert.deepEqual(toDense(fromDense(a).subtract(fromDense(b))), reference.subtract(a, b));
+            assert.deepEqual(toDense(fromDense(a).multiply(fromDense(c))), reference.multiply(a, c));
+        });
+    }
+
+    await t.test('matches the sample results', () => {
+        const matrix1 = new SparseMatrix(sample('test_matrix1.txt'));
+        const matrix2 = new SparseMatrix(sample('test_matrix2.txt'));
+        const matrix3 = new SparseMatrix(sample('test_matrix3.txt'));
+        assert.deepEqual(toDense(matrix1.multiply(matrix3)), [[4, 30], [11, -6], [51, 24]]);
+        assert.equal(matrix1.add(matrix2).getElement(0, 0), 7);
+        assert.equal(matrix1.subtract(matrix2).getElement(1, 1), -5);
+    });
+
+    await t.test('elementCount only counts non-zero results', () => {
+        const matrix = new SparseMatrix(sample('test_matrix1.txt'));
+        const difference = matrix.subtract(matrix);
+        assert.equal(difference.elementCount, 0);
+        assert.deepEqual([...difference.entries()], []);
+    });
+
+    await t.test('the zero tolerance drops floating-point residue', () => {
+        const a = new SparseMatrix(null, 1, 1, { zeroTolerance: 1e-12 });
+        const b = new SparseMatrix(null, 1, 1);
+        a.setElement(0, 0, 0.3);
+        b.setElement(0, 0, 0.1 + 0.2);
+        assert.equal(a.subtract(b).elementCount, 0);
+    });
+});
+
+test('dimension mismatch errors', async (t) => {
+    const a = new SparseMatrix(null, 2, 3);
+    const b = new SparseMatrix(null, 3, 2);
+    await t.test('add', () => {
+        assert.throws(() => a.add(b), { message: "Matrix dimensions don't match for addition" });
+    });
+    await t.test('subtract', () => {
+        assert.throws(() => a.subtract(b), { message: "Matrix dimensions don't match for subtraction" });
+    });
+    await t.test('multiply', () => {
+        assert.throws(() => a.multiply(a), { message: "Matrix dimensions don't match for multiplication" });
+    });
+});
+
+test('element-wise operations', async (t) => {
+    // Each matrix has entries where the other is an implicit zero
+    const a = fromDense([[4, 0, -3], [0, 6, 2]]);
+    const b = fromDense([[2, -5, 0], [0, 3, 4]]);
+
+    await t.test('hadamard keeps only positions where both are non-zero', () => {
+        const product = a.hadamard(b);
+        assert.deepEqual(toDense(product), [[8, 0, 0], [0, 18, 8]]);
+        assert.equal(product.elementCount, 3);
+    });
+
+    await t.test('divide keeps zeros of the dividend and rejects implicit zero divisors', () => {
+        assert.deepEqual(toDense(fromDense([[4, 0, 0], [0, 6, 2]]).divide(b)), [[2, 0, 0], [0, 2, 0.5]]);
+        assert.throws(() => a.divide(b), { message: 'Division by zero at (0, 2)' });
+        assert.throws(() => a.divide(new SparseMatrix(null, 2, 3)), { message: 'Division by zero at (0, 0)' });
+    });
+
+    await t.test('min and max compare against implicit zeros', () => {
+        assert.deepEqual(toDense(a.min(b)), [[2, -5, -3], [0, 3, 2]]);
+        assert.deepEqual(toDense(a.max(b)), [[4, 0, 0], [0, 6, 4]]);
+        // A positive entry against a zero gives 0 for min, a negative one gives 0 for max
+        const positive = fromDense([[5, 0]]);
+        const negative = fromDense([[0, -1]]);
+        assert.deepEqual(toDense(positive.min(negative)), [[0, -1]]);
+        assert.deepEqual(toDense(positive.max(negative)), [[5, 0]]);
+        assert.equal(positive.min(negative).elementCount, 1);
+    });
+
+    await t.test('scale and negate multiply every entry', () => {
+        assert.deepEqual(toDense(a.scale(0.5)), [[2, 0, -1.5], [0, 3, 1]]);
+        assert.deepEqual(toDense(a.negate()), [[-4, 0, 3], [0, -6, -2]]);
+        assert.equal(a.negate().negate().toString(), a.toString());
+    });
+
+    await t.test('scale by 0 leaves no stored entries', () => {
+        const zero = a.scale(0);
+        assert.equal(zero.elementCount, 0);
+        assert.equal(zero.toString(), 'rows=2\ncols=3\n');
+    });
+
+    await t.test('reject matrices of different sizes', () => {
+        const c = new SparseMatrix(null, 3, 2);
+        assert.throws(() => a.hadamard(c), { message: "Matrix dimensions don't match for element-wise product" });
+        assert.throws(() => a.divide(c), { message: "Matrix dimensions don't match for element-wise division" });
+        assert.throws(() => a.min(c), { message: "Matrix dimensions don't match for element-wise minimum" });
+        assert.throws(() => a.max(c), { message: "Matrix dimensions don't match for element-wise maximum" });
+    });
+});
+
+test('toString round-trip', async (t) => {
+    await t.test('writes entries sorted by row then column', () => {
+        const matrix = new SparseMatrix(null, 2, 2);
+        matrix.setElement(1, 0, 3);
+        matrix.setElement(0, 1, 2);
+        matrix.setElement(0, 0, 1);
+        assert.equal(matrix.toString(), 'rows=2\ncols=2\n(0, 0, 1)\n(0, 1, 2)\n(1, 0, 3)\n');
+    });
+
+    await t.test('saveToFile output loads back exactly', () => {
+        const random = createRandom(5);
+        const matrix = new SparseMatrix(null, 6, 7);
+        for (let i = 0; i < 20; i++) {
+            const value = (random() - 0.5) * Math.pow(10, Math.floor(random() * 40) - 20);
+            matrix.setElement(Math.floor(random() * 6), Math.floor(random() * 7), value);
+        }
+        const filePath = tempPath('round-trip.txt');
+        matrix.saveToFile(filePath);
+        const loaded = new SparseMatrix(filePath, null, null, { strict: true });
+        assert.deepEqual(toDense(loaded), toDense(matrix));
+        assert.equal(loaded.toString(), matrix.toString());
+    });
+});
+
+test('element-wise commands', async (t) => {
+    const a = writeTempFile('elementwise-a.txt', fromDense([[4, 0, -3], [0, 6, 2]]).toString());
+    const b = writeTempFile('elementwise-b.txt', fromDense([[2, -5, 1], [0, 3, 4]]).toString());
+    const small = writeTempFile('elementwise-small.txt', fromDense([[1, 2], [3, 4]]).toString());
+
+    /**
+     * Runs a command and loads the matrix it wrote
+     */
+    const run = async (args) => {
+        const output = tempPath('elementwise-out.txt');
+        assert.equal(await runCli([...args, '-o', output]), 0);
+        return toDense(new SparseMatrix(output));
+    };
+
+    await t.test('write the combined matrix', async () => {
+        assert.deepEqual(await run(['hadamard', a, b]), [[8, 0, -3], [0, 18, 8]]);
+        assert.deepEqual(await run(['div', a, b]), [[2, 0, -3], [0, 2, 0.5]]);
+        assert.deepEqual(await run(['min', a, b]), [[2, -5, -3], [0, 3, 2]]);
+        assert.deepEqual(await run(['max', a, b]), [[4, 0, 1], [0, 6, 4]]);
+        assert.deepEqual(await run(['scale', a, '-2']), [[-8, 0, 6], [0, -12, -4]]);
+        assert.deepEqual(await run(['negate', a]), [[-4, 0, 3], [0, -6, -2]]);
+    });
+
+    await t.test('exit with the matching code on failure', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const output = tempPath('elementwise-unused.txt');
+        assert.equal(await runCli(['div', b, a, '-o', output]), 1);
+        for (const command of ['hadamard', 'div', 'min', 'max']) {
+            assert.equal(await runCli([command, a, small, '-o', output]), 5);
+        }
+        assert.equal(await runCli(['scale', a, 'twice', '-o', output]), 2);
+        assert.equal(await runCli(['scale', a, '-o', output]), 2);
+    });
+});
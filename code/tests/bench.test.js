@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { runBenchmark, formatTable, OPERATIONS } = require('../src/bench');
+const { runCli } = require('../src/cli');
+const { tempPath } = require('./helpers');
+
+test('runBenchmark', async (t) => {
+    const report = runBenchmark({ sizes: [20, 30], densities: [0.1], seed: 4, repeat: 2 });
+
+    await t.test('reports every size and density', () => {
+        assert.equal(report.seed, 4);
+        assert.equal(report.repeat, 2);
+        assert.equal(report.node, process.version);
+        assert.equal(report.gcExposed, typeof global.gc === 'function');
+        assert.deepEqual(report.results.map((result) => [result.rows, result.cols, result.density]), [
+            [20, 20, 0.1],
+            [30, 30, 0.1]
+        ]);
+        assert.deepEqual(report.results.map((result) => result.nonZeros), [40, 90]);
+    });
+
+    await t.test('times every operation', () => {
+        for (const result of report.results) {
+            assert.deepEqual(Object.keys(result.operations), OPERATIONS);
+            for (const name of OPERATIONS) {
+                assert.ok(result.operations[name].ms >= 0);
+                assert.equal(typeof result.operations[name].heapDelta, 'number');
+            }
+        }
+    });
+
+    await t.test('formats a table with one line per case', () => {
+        const lines = formatTable({ ...report, gcExposed: true }).trimEnd().split('\n');
+        assert.equal(lines.length, 3);
+        assert.match(lines[0], /size +density +nnz +load ms +add ms +subtract ms +multiply ms +toString ms +save ms +heap MB/);
+        assert.match(lines[2], /^ *30x30 +0\.1 +90 /);
+    });
+
+    await t.test('says when the heap was measured without a forced garbage collection', () => {
+        const lines = formatTable({ ...report, gcExposed: false }).trimEnd().split('\n');
+        assert.equal(lines.length, 5);
+        assert.match(lines[4], /without forcing a garbage collection; run node --expose-gc/);
+    });
+
+    await t.test('rejects an invalid repeat count', () => {
+        assert.throws(() => runBenchmark({ sizes: [10], repeat: 0 }), /Invalid repeat count/);
+    });
+});
+
+test('bench command writes JSON', async () => {
+    const output = tempPath('bench.json');
+    const args = ['bench', '--sizes', '15', '--densities', '0.2', '--repeat', '1', '--seed', '9', '--json', '-o', output];
+    assert.equal(await runCli(args), 0);
+    const report = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.equal(report.seed, 9);
+    assert.equal(report.results.length, 1);
+    assert.equal(report.results[0].nonZeros, 45);
+});
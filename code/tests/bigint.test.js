@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const SparseMatrix = require('../src/SparseMatrix');
+const MatrixFormatError = require('../src/MatrixFormatError');
+const { runCli } = require('../src/cli');
+const { tempPath, writeTempFile } = require('./helpers');
+
+const BIG = '123456789012345678901234567890';
+const TEXT = `rows=2\ncols=3\n(0, 0, ${BIG})\n(0, 2, -9007199254740993)\n(1, 1, 7)\n`;
+
+test('number mode rejects unsafe integers', async (t) => {
+    await t.test('in text files', () => {
+        assert.throws(() => SparseMatrix.fromString(TEXT), (error) => {
+            assert.ok(error instanceof MatrixFormatError);
+            assert.equal(error.reason, 'UNSAFE_INTEGER');
+            assert.equal(error.line, 3);
+            assert.match(error.message, /bigint value type/);
+            return true;
+        });
+    });
+
+    await t.test('in Matrix Market files', () => {
+        const mtx = '%%MatrixMarket matrix coordinate integer general\n1 1 1\n1 1 9007199254740993\n';
+        assert.throws(() => SparseMatrix.fromString(mtx, { format: 'mtx' }), { reason: 'UNSAFE_INTEGER', line: 3 });
+    });
+
+    await t.test('in indices', () => {
+        assert.throws(() => SparseMatrix.fromString('rows=2\ncols=2\n(99999999999999999999, 0, 1)\n'),
+            { reason: 'UNSAFE_INTEGER' });
+    });
+
+    await t.test('accepts the largest safe integer and large floats', () => {
+        const matrix = SparseMatrix.fromString('rows=1\ncols=2\n(0, 0, 9007199254740991)\n(0, 1, 1e30)\n');
+        assert.equal(matrix.getElement(0, 0), Number.MAX_SAFE_INTEGER);
+        assert.equal(matrix.getElement(0, 1), 1e30);
+    });
+
+    await t.test('writes large whole numbers in exponent form so they load back', () => {
+        const matrix = SparseMatrix.fromDense([[2 ** 60, 1e25, -(2 ** 53)]]);
+        const text = matrix.toString();
+        assert.match(text, /\(0, 0, 1\.152921504606847e\+18\)/);
+        assert.equal(SparseMatrix.fromString(text).toString(), text);
+        const mtx = matrix.toMatrixMarket();
+        assert.match(mtx, /coordinate real general/);
+        assert.equal(SparseMatrix.fromString(mtx, { format: 'mtx' }).toString(), text);
+    });
+});
+
+test('bigint mode', async (t) => {
+    const load = () => SparseMatrix.fromString(TEXT, { valueType: 'bigint' });
+
+    await t.test('loads exact values', () => {
+        const matrix = load();
+        assert.equal(matrix.getElement(0, 0), BigInt(BIG));
+        assert.equal(matrix.getElement(0, 2), -9007199254740993n);
+        assert.equal(matrix.getElement(0, 1), 0n);
+        assert.equal(matrix.elementCount, 3);
+    });
+
+    await t.test('rejects non-integer values', () => {
+        assert.throws(() => SparseMatrix.fromString('rows=1\ncols=1\n(0, 0, 1.5)\n', { valueType: 'bigint' }),
+            { reason: 'INVALID_NUMBER' });
+    });
+
+    await t.test('add, subtract and multiply are exact', () => {
+        const a = load();
+        const big = BigInt(BIG);
+        assert.equal(a.add(a).getElement(0, 0), 2n * big);
+        assert.equal(a.subtract(a).elementCount, 0);
+        const product = a.multiply(a.transpose());
+        assert.equal(product.getElement(0, 0), big * big + 9007199254740993n ** 2n);
+        assert.equal(product.getElement(1, 1), 49n);
+    });
+
+    await t.test('scale, negate, min and max work on BigInt values', () => {
+        const a = load();
+        assert.equal(a.scale(3).getElement(1, 1), 21n);
+        assert.equal(a.negate().getElement(0, 2), 9007199254740993n);
+        assert.equal(a.min(a.negate()).getElement(0, 0), -BigInt(BIG));
+        assert.equal(a.max(a.negate()).getElement(0, 2), 9007199254740993n);
+        assert.throws(() => a.scale(0.5), /Cannot store 0.5 exactly as a BigInt/);
+    });
+
+    await t.test('setElement converts safe integers and drops zero', () => {
+        const matrix = new SparseMatrix(null, 2, 2, { valueType: 'bigint' });
+        matrix.setElement(0, 0, 5);
+        assert.equal(matrix.getElement(0, 0), 5n);
+        matrix.setElement(0, 0, 0n);
+        assert.equal(matrix.elementCount, 0);
+        assert.throws(() => matrix.setElement(0, 0, 2 ** 60), /Cannot store/);
+    });
+
+    await t.test('fromTriplets sums duplicates of mixed numbers and BigInts exactly', () => {
+        const triplets = [[0, 0, 9007199254740991n], [0, 0, 2], [1, 1, 3], [1, 1, -3n], [0, 1, 4]];
+        const matrix = SparseMatrix.fromTriplets(2, 2, triplets, { valueType: 'bigint', sumDuplicates: true });
+        assert.equal(matrix.getElement(0, 0), 9007199254740993n);
+        assert.equal(matrix.getElement(0, 1), 4n);
+        assert.equal(matrix.elementCount, 2);
+        assert.throws(() => SparseMatrix.fromTriplets(1, 1, [[0, 0, 0.5]], { valueType: 'bigint' }),
+            /Cannot store 0.5 exactly as a BigInt/);
+    });
+
+    await t.test('saveToFile keeps every digit', () => {
+        const filePath = tempPath('bigint.txt');
+        const squared = load().multiply(load().transpose());
+        squared.saveToFile(filePath);
+        const loaded = new SparseMatrix(filePath, null, null, { valueType: 'bigint' });
+        assert.ok(loaded.equals(squared));
+        assert.equal(fs.readFileSync(filePath, 'utf8'), squared.toString());
+
+        squared.saveToFile(filePath, { format: 'mtx' });
+        const mtx = new SparseMatrix(filePath, null, null, { valueType: 'bigint', format: 'mtx' });
+        assert.ok(mtx.equals(squared));
+    });
+
+    await t.test('approxEquals compares exactly unless tolerances are given', () => {
+        const a = load();
+        const b = load();
+        assert.equal(a.approxEquals(b), true);
+        b.setElement(0, 0, BigInt(BIG) + 1n);
+        assert.equal(a.approxEquals(b), false);
+        assert.equal(a.approxEquals(b, { relTol: 0, absTol: 0 }), false);
+        assert.throws(() => a.approxEquals(b, { relTol: 1e-9 }),
+            { message: 'BigInt values do not support comparison with a tolerance' });
+        assert.throws(() => SparseMatrix.fromDense([[1, 0, 0], [0, 7, 0]]).approxEquals(a, { absTol: 1 }),
+            /BigInt values do not support comparison with a tolerance/);
+    });
+
+    await t.test('inexact operations raise errors', () => {
+        const a = load();
+        assert.throws(() => a.divide(a), /BigInt values do not support element-wise division/);
+        assert.throws(() => a.multiplyVector([1, 2, 3]), /BigInt values do not support/);
+        assert.throws(() => a.toBinary(), /BigInt values do not support the binary format/);
+        assert.throws(() => a.stats(), /BigInt values do not support/);
+    });
+
+    await t.test('rejects an unknown value type and number semirings', () => {
+        assert.throws(() => new SparseMatrix(null, 1, 1, { valueType: 'decimal' }), /Invalid value type/);
+        const { minPlus } = require('../src/semirings');
+        assert.throws(() => new SparseMatrix(null, 1, 1, { valueType: 'bigint', semiring: minPlus }),
+            /does not work on bigint values/);
+    });
+});
+
+test('--bigint loads command inputs exactly', async () => {
+    const input = writeTempFile('big.txt', TEXT);
+    const output = tempPath('big-sum.txt');
+    assert.equal(await runCli(['add', input, input, '--bigint', '-o', output]), 0);
+    assert.match(fs.readFileSync(output, 'utf8'), /\(0, 0, 246913578024691357802469135780\)/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SparseMatrix = require('../src/SparseMatrix');
+const MatrixFormatError = require('../src/MatrixFormatError');
+const { createRandom, randomDense, fromDense, toDense, tempPath } = require('./helpers');
+
+test('binary round-trip', async (t) => {
+    await t.test('integer values', () => {
+        const matrix = fromDense(randomDense(createRandom(1), 30, 20, 0.2));
+        const decoded = SparseMatrix.fromBinary(matrix.toBinary());
+        assert.equal(decoded.toString(), matrix.toString());
+    });
+
+    await t.test('floating-point values', () => {
+        const matrix = new SparseMatrix(null, 3, 3);
+        matrix.setElement(0, 2, Math.PI);
+        matrix.setElement(2, 0, -1e-300);
+        matrix.setElement(1, 1, 2 ** 40);
+        const decoded = SparseMatrix.fromBinary(matrix.toBinary());
+        assert.deepEqual(toDense(decoded), toDense(matrix));
+    });
+
+    await t.test('indices wider than 16 bits', () => {
+        const matrix = new SparseMatrix(null, 70000, 3);
+        matrix.setElement(69999, 2, 7);
+        const decoded = SparseMatrix.fromBinary(matrix.toBinary());
+        assert.equal(decoded.getElement(69999, 2), 7);
+        assert.equal(decoded.rows, 70000);
+    });
+
+    await t.test('saveBinary and loadBinary', () => {
+        const matrix = fromDense([[0, 1.5], [-2, 0]]);
+        const filePath = tempPath('matrix.bin');
+        matrix.saveBinary(filePath);
+        assert.equal(SparseMatrix.loadBinary(filePath).toString(), matrix.toString());
+    });
+
+    await t.test('loadFile streams binary files', async () => {
+        const matrix = fromDense([[3, 0], [0, 4]]);
+        const filePath = tempPath('streamed.bin');
+        matrix.saveToFile(filePath, { format: 'bin' });
+        const loaded = await SparseMatrix.loadFile(filePath, { format: 'bin' });
+        assert.equal(loaded.toString(), matrix.toString());
+    });
+
+    await t.test('uses 1-byte indices and int32 values for small integer matrices', () => {
+        const matrix = fromDense([[1, 0], [0, 2]]);
+        // 20-byte header, 2 entries of 1 + 1 + 4 bytes, 4-byte checksum
+        assert.equal(matrix.toBinary().length, 20 + 2 * 6 + 4);
+    });
+});
+
+test('binary format errors', async (t) => {
+    const encoded = fromDense([[1, 2], [3, 4]]).toBinary();
+
+    const expectReason = (buffer, reason) => {
+        assert.throws(() => SparseMatrix.fromBinary(buffer), (error) => {
+            assert.ok(error instanceof MatrixFormatError);
+            assert.equal(error.reason, reason);
+            return true;
+        });
+    };
+
+    await t.test('rejects data without the magic header', () => {
+        expectReason(Buffer.from('rows=2\ncols=2\n(0, 0, 1)\n'), 'INVALID_MAGIC');
+    });
+
+    await t.test('detects truncation', () => {
+        expectReason(encoded.subarray(0, encoded.length - 3), 'TRUNCATED');
+        expectReason(encoded.subarray(0, 10), 'TRUNCATED');
+    });
+
+    await t.test('detects corruption', () => {
+        const corrupted = Buffer.from(encoded);
+        corrupted[corrupted.length - 6] ^= 0xFF;
+        expectReason(corrupted, 'CHECKSUM_MISMATCH');
+    });
+
+    await t.test('rejects unknown versions', () => {
+        const future = Buffer.from(encoded);
+        future[4] = 99;
+        expectReason(future, 'UNSUPPORTED_VERSION');
+    });
+
+    await t.test('reports the file path', () => {
+        const filePath = tempPath('truncated.bin');
+        require('fs').writeFileSync(filePath, encoded.subarray(0, 22));
+        assert.throws(() => SparseMatrix.loadBinary(filePath), { reason: 'TRUNCATED', filePath });
+    });
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const SparseMatrix = require('../src/SparseMatrix');
+const { runCli, EXIT_CODES } = require('../src/cli');
+const { fromDense, tempPath, writeTempFile } = require('./helpers');
+
+const A = fromDense([[1, 0], [0, 2]]);
+const B = fromDense([[0, 3], [4, 0]]);
+
+/**
+ * Runs index.js with arguments in a child process
+ */
+function runIndex(args, input = '') {
+    return spawnSync(process.execPath, [path.join(__dirname, '..', 'src', 'index.js'), ...args], {
+        input,
+        encoding: 'utf8',
+        timeout: 20000
+    });
+}
+
+test('command-line mode', async (t) => {
+    const a = writeTempFile('cli-a.txt', A.toString());
+    const b = writeTempFile('cli-b.txt', B.toString());
+
+    await t.test('prints the result to standard output', () => {
+        const result = runIndex(['mul', a, b]);
+        assert.equal(result.status, 0);
+        assert.equal(result.stdout, A.multiply(B).toString());
+        assert.equal(result.stderr, '');
+    });
+
+    await t.test('prints loading progress to standard error with --verbose', () => {
+        const result = runIndex(['add', a, b, '--verbose']);
+        assert.equal(result.status, 0);
+        assert.equal(result.stdout, A.add(B).toString());
+        assert.ok(result.stderr.startsWith(`Loading matrix from file: ${a}\n`));
+        assert.match(result.stderr, /^Loaded 2 non-zero elements$/m);
+        assert.equal(runIndex(['add', a, b, '-v']).stderr, result.stderr);
+    });
+
+    await t.test('reads an input from standard input', () => {
+        const result = runIndex(['add', '-', b], A.toString());
+        assert.equal(result.status, 0);
+        assert.equal(result.stdout, A.add(B).toString());
+
+        const malformed = runIndex(['transpose', '-'], 'rows=2\ncols=2\n(0, 0, 1)\n(1, 1)\n');
+        assert.equal(malformed.status, EXIT_CODES.FORMAT_ERROR);
+        assert.equal(malformed.stdout, '');
+        assert.match(malformed.stderr, /^Error: Input file has wrong format: <input>:4: /);
+    });
+
+    await t.test('writes the result to the --output file', async () => {
+        const output = tempPath('cli-sum.txt');
+        assert.equal(await runCli(['add', a, b, '-o', output]), EXIT_CODES.SUCCESS);
+        assert.equal(fs.readFileSync(output, 'utf8'), A.add(B).toString());
+        assert.equal(await runCli(['sub', a, b, '--output', output]), EXIT_CODES.SUCCESS);
+        assert.equal(new SparseMatrix(output).toString(), A.subtract(B).toString());
+    });
+
+    await t.test('prints the help to standard output', () => {
+        const result = runIndex(['--help']);
+        assert.equal(result.status, 0);
+        assert.match(result.stdout, /^Usage: node code\/src\/index.js <command>/);
+        assert.match(result.stdout, /^ {2}add A B +Add two matrices of the same size$/m);
+        assert.equal(result.stderr, '');
+    });
+
+    await t.test('reports errors on standard error with the exit code of the process', () => {
+        const missing = tempPath('cli-missing.txt');
+        const result = runIndex(['add', a, missing]);
+        assert.equal(result.status, EXIT_CODES.FILE_NOT_FOUND);
+        assert.equal(result.stdout, '');
+        assert.equal(result.stderr, `Error: File not found: ${missing}\n`);
+    });
+
+    const failures = [
+        ['an unknown command', () => ['frobnicate', a], EXIT_CODES.USAGE, /^Error: Unknown command: frobnicate\n\nUsage:/],
+        ['a missing input', () => ['add', a], EXIT_CODES.USAGE, /^Error: Usage: add A B$/],
+        ['an unknown option', () => ['add', a, b, '--fast'], EXIT_CODES.USAGE, /^Error: Unknown option: --fast$/],
+        ['an option without its value', () => ['add', a, b, '-o'], EXIT_CODES.USAGE,
+            /^Error: Missing value for option: -o$/],
+        ['two inputs from standard input', () => ['add', '-', '-'], EXIT_CODES.USAGE,
+            /^Error: Only one input can be read from standard input$/],
+        ['a malformed file', () => ['add', a, writeTempFile('cli-bad.txt', 'rows=2\ncols=2\n(0, 0)\n')],
+            EXIT_CODES.FORMAT_ERROR, /^Error: Input file has wrong format: /],
+        ['matrices of different sizes', () => ['add', a, writeTempFile('cli-c.txt', fromDense([[1, 2, 3]]).toString())],
+            EXIT_CODES.DIMENSION_MISMATCH, /dimensions don't match/],
+        ['info on BigInt values', () => ['info', a, '--bigint'], EXIT_CODES.ERROR,
+            /^Error: BigInt values do not support stats\(\)$/]
+    ];
+    for (const [name, args, exitCode, message] of failures) {
+        await t.test(`exits with code ${exitCode} for ${name}`, async (t) => {
+            const error = t.mock.method(console, 'error', () => {});
+            assert.equal(await runCli(args()), exitCode);
+            assert.equal(error.mock.callCount(), 1);
+            assert.match(error.mock.calls[0].arguments[0], message);
+        });
+    }
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const SparseMatrix = require('../src/SparseMatrix');
+const { runCli } = require('../src/cli');
+const { fromDense, tempPath, writeTempFile } = require('./helpers');
+
+test('equals and approxEquals', async (t) => {
+    const a = fromDense([[1, 0], [0, 2]]);
+
+    await t.test('equals compares sizes and values exactly', () => {
+        assert.equal(a.equals(fromDense([[1, 0], [0, 2]])), true);
+        assert.equal(a.equals(fromDense([[1, 0], [0, 2 + 1e-15]])), false);
+        assert.equal(a.equals(fromDense([[1, 0], [3, 2]])), false);
+        assert.equal(a.equals(fromDense([[1, 0, 0], [0, 2, 0]])), false);
+        assert.equal(a.equals(null), false);
+    });
+
+    await t.test('equals ignores how the matrix was built', () => {
+        const built = new SparseMatrix(null, 2, 2);
+        built.setElement(1, 0, 5);
+        built.setElement(1, 1, 2);
+        built.setElement(0, 0, 1);
+        built.setElement(1, 0, 0);
+        assert.equal(a.equals(built), true);
+        assert.equal(built.equals(a), true);
+    });
+
+    await t.test('approxEquals uses a relative tolerance by default', () => {
+        assert.equal(a.approxEquals(fromDense([[1 + 1e-12, 0], [0, 2]])), true);
+        assert.equal(a.approxEquals(fromDense([[1.001, 0], [0, 2]])), false);
+    });
+
+    await t.test('approxEquals treats tiny values as zero within absTol', () => {
+        const b = fromDense([[1, 1e-10], [0, 2]]);
+        assert.equal(a.approxEquals(b), false);
+        assert.equal(a.approxEquals(b, { absTol: 1e-9 }), true);
+        assert.equal(b.approxEquals(a, { absTol: 1e-9 }), true);
+    });
+
+    await t.test('approxEquals keeps the default relTol when only absTol is given', () => {
+        // Relative to the larger value, 1e-12 is within the default 1e-9, but far above absTol
+        const close = fromDense([[1, 0], [0, 2 + 2e-12]]);
+        assert.equal(a.approxEquals(close, { absTol: 1e-15 }), true);
+        assert.equal(a.approxEquals(close, { absTol: 1e-15, relTol: 0 }), false);
+        assert.equal(a.approxEquals(fromDense([[1, 1e-12], [0, 2]]), { absTol: 1e-15 }), false);
+    });
+
+    await t.test('approxEquals rejects negative tolerances', () => {
+        assert.throws(() => a.approxEquals(a, { relTol: -1 }), /Invalid relTol/);
+    });
+});
+
+test('diff', async (t) => {
+    const a = fromDense([[1, 2, 0], [0, 3, 0]]);
+    const b = fromDense([[1, 5, 4], [0, 0, 0]]);
+
+    await t.test('separates entries only in A, only in B and differing', () => {
+        assert.deepEqual(a.diff(b), {
+            onlyInA: [{ row: 1, col: 1, value: 3 }],
+            onlyInB: [{ row: 0, col: 2, value: 4 }],
+            differing: [{ row: 0, col: 1, a: 2, b: 5 }]
+        });
+    });
+
+    await t.test('is empty for equal matrices', () => {
+        assert.deepEqual(a.diff(fromDense([[1, 2, 0], [0, 3, 0]])), { onlyInA: [], onlyInB: [], differing: [] });
+    });
+
+    await t.test('applies tolerances', () => {
+        const close = fromDense([[1.05, 2, 0], [0, 3, 0]]);
+        assert.equal(a.diff(close).differing.length, 1);
+        assert.equal(a.diff(close, { absTol: 0.1 }).differing.length, 0);
+    });
+
+    await t.test('rejects matrices of different sizes', () => {
+        assert.throws(() => a.diff(a.transpose()), { message: "Matrix dimensions don't match for comparison" });
+    });
+});
+
+test('compare command', async (t) => {
+    const compare = async (a, b, ...options) => {
+        const output = tempPath('compare-output.txt');
+        const code = await runCli(['compare', a, b, '-o', output, ...options]);
+        return { code, text: fs.readFileSync(output, 'utf8') };
+    };
+    const write = (name, matrix) => writeTempFile(name, matrix.toString());
+
+    await t.test('exits 0 for equal matrices', async () => {
+        const path = write('equal.txt', fromDense([[1, 0], [0, 2]]));
+        assert.deepEqual(await compare(path, path), { code: 0, text: 'Matrices are equal\n' });
+    });
+
+    await t.test('exits 7 and bounds the listed differences', async () => {
+        const a = write('a.txt', SparseMatrix.identity(30));
+        const b = write('b.txt', SparseMatrix.identity(30).scale(2));
+        const { code, text } = await compare(a, b);
+        assert.equal(code, 7);
+        assert.match(text, /^30 non-zero elements with different values$/m);
+        assert.match(text, /^ {2}\(0, 0\): 1 vs 2$/m);
+        assert.match(text, /^ {2}\.\.\. and 20 more$/m);
+        assert.equal(text.split('\n').filter((line) => line.includes(' vs ')).length, 10);
+    });
+
+    await t.test('honours --abs-tol', async () => {
+        const a = write('tol-a.txt', fromDense([[1, 0], [0, 2]]));
+        const b = write('tol-b.txt', fromDense([[1.01, 0], [0, 2]]));
+        assert.equal((await compare(a, b)).code, 7);
+        assert.equal((await compare(a, b, '--abs-tol', '0.1')).code, 0);
+    });
+
+    await t.test('reports different sizes', async () => {
+        const a = write('size-a.txt', SparseMatrix.identity(2));
+        const b = write('size-b.txt', SparseMatrix.identity(3));
+        assert.deepEqual(await compare(a, b), { code: 7, text: 'Sizes differ: 2x2 and 3x3\n' });
+    });
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SparseMatrix = require('../src/SparseMatrix');
+const { runCli } = require('../src/cli');
+const { toDense, tempPath } = require('./helpers');
+
+test('identity, diag and banded', async (t) => {
+    await t.test('identity', () => {
+        assert.deepEqual(SparseMatrix.identity(3).toDense(), [[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+    });
+
+    await t.test('diag places values on an offset diagonal', () => {
+        assert.deepEqual(SparseMatrix.diag([1, 2]).toDense(), [[1, 0], [0, 2]]);
+        assert.deepEqual(SparseMatrix.diag([1, 2], 1).toDense(), [[0, 1, 0], [0, 0, 2], [0, 0, 0]]);
+        assert.deepEqual(SparseMatrix.diag([1, 2], -1).toDense(), [[0, 0, 0], [1, 0, 0], [0, 2, 0]]);
+    });
+
+    await t.test('banded accepts numbers and arrays', () => {
+        const matrix = SparseMatrix.banded(3, { '-1': [4, 5], 0: 1, 2: 9 });
+        assert.deepEqual(matrix.toDense(), [[1, 0, 9], [4, 1, 0], [0, 5, 1]]);
+    });
+
+    await t.test('tridiagonal', () => {
+        assert.deepEqual(SparseMatrix.tridiagonal(3, -1, 2, -1).toDense(), [[2, -1, 0], [-1, 2, -1], [0, -1, 2]]);
+        assert.deepEqual(SparseMatrix.tridiagonal(1, -1, 2, -1).toDense(), [[2]]);
+    });
+
+    await t.test('rejects bad sizes, offsets and band lengths', () => {
+        assert.throws(() => SparseMatrix.identity(0), /Invalid matrix size/);
+        assert.throws(() => SparseMatrix.banded(3, { 3: 1 }), /Invalid diagonal offset/);
+        assert.throws(() => SparseMatrix.banded(3, { 1: [1, 2, 3] }), /needs 2 values, got 3/);
+    });
+
+    await t.test('pass options to the matrix', () => {
+        const matrix = SparseMatrix.diag([1e-20, 1], 0, { zeroTolerance: 1e-12 });
+        assert.equal(matrix.elementCount, 1);
+        assert.equal(matrix.zeroTolerance, 1e-12);
+    });
+});
+
+test('fromDense and toDense', async (t) => {
+    await t.test('round-trip', () => {
+        const dense = [[0, 1.5, 0], [-2, 0, 0]];
+        const matrix = SparseMatrix.fromDense(dense);
+        assert.equal(matrix.elementCount, 2);
+        assert.deepEqual(matrix.toDense(), dense);
+        assert.deepEqual(matrix.toDense(), toDense(matrix));
+    });
+
+    await t.test('rejects empty and ragged arrays', () => {
+        assert.throws(() => SparseMatrix.fromDense([]), /Invalid dense matrix/);
+        assert.throws(() => SparseMatrix.fromDense([[1, 2], [3]]), /row 1 does not have 2 values/);
+    });
+
+    await t.test('toDense refuses huge matrices', () => {
+        assert.throws(() => new SparseMatrix(null, 100000, 100000).toDense(), /too large/);
+    });
+});
+
+test('fromTriplets', async (t) => {
+    await t.test('accepts arrays and entry objects', () => {
+        const matrix = SparseMatrix.fromTriplets(2, 3, [[0, 2, 4], { row: 1, col: 0, value: -1 }]);
+        assert.deepEqual(matrix.toDense(), [[0, 0, 4], [-1, 0, 0]]);
+        const copy = SparseMatrix.fromTriplets(2, 3, matrix.entries());
+        assert.equal(copy.toString(), matrix.toString());
+    });
+
+    await t.test('keeps the last duplicate by default', () => {
+        const matrix = SparseMatrix.fromTriplets(2, 2, [[0, 0, 1], [0, 0, 2]]);
+        assert.equal(matrix.getElement(0, 0), 2);
+    });
+
+    await t.test('sums duplicates on request and drops sums that cancel', () => {
+        const triplets = [[0, 0, 1], [0, 0, 2], [1, 1, 5], [1, 1, -5]];
+        const matrix = SparseMatrix.fromTriplets(2, 2, triplets, { sumDuplicates: true });
+        assert.equal(matrix.getElement(0, 0), 3);
+        assert.equal(matrix.elementCount, 1);
+    });
+
+    await t.test('rejects positions outside the matrix', () => {
+        assert.throws(() => SparseMatrix.fromTriplets(2, 2, [[2, 0, 1]]), /Index out of bounds/);
+        assert.throws(() => SparseMatrix.fromTriplets(2, 2, [[0.5, 0, 1]]), /Invalid triplet position/);
+    });
+});
+
+test('random', async (t) => {
+    await t.test('is reproducible for a seed', () => {
+        const a = SparseMatrix.random(20, 30, 0.1, 42);
+        assert.equal(a.toString(), SparseMatrix.random(20, 30, 0.1, 42).toString());
+        assert.notEqual(a.toString(), SparseMatrix.random(20, 30, 0.1, 43).toString());
+    });
+
+    await t.test('fills exactly round(density * size) positions with values in [-1, 1)', () => {
+        for (const density of [0, 0.1, 0.5, 0.9, 1]) {
+            const matrix = SparseMatrix.random(10, 7, density, 3);
+            assert.equal(matrix.elementCount, Math.round(density * 70));
+            matrix.forEachNonZero((value) => assert.ok(value >= -1 && value < 1));
+        }
+    });
+
+    await t.test('rejects invalid densities and seeds', () => {
+        assert.throws(() => SparseMatrix.random(2, 2, 1.5, 1), /Invalid density/);
+        assert.throws(() => SparseMatrix.random(2, 2, 0.5), /Invalid seed/);
+    });
+});
+
+test('generate command', async (t) => {
+    await t.test('writes a matrix file', async () => {
+        const output = tempPath('generated.txt');
+        assert.equal(await runCli(['generate', 'tridiagonal', '4', '-o', output]), 0);
+        assert.equal(new SparseMatrix(output).toString(), SparseMatrix.tridiagonal(4, -1, 2, -1).toString());
+    });
+
+    await t.test('random uses --density and --seed', async () => {
+        const output = tempPath('random.bin');
+        const args = ['generate', 'random', '6x9', '--density', '0.25', '--seed', '5', '-o', output];
+        assert.equal(await runCli(args), 0);
+        assert.equal(SparseMatrix.loadBinary(output).toString(), SparseMatrix.random(6, 9, 0.25, 5).toString());
+    });
+
+    await t.test('banded uses --bands', async () => {
+        const output = tempPath('banded.txt');
+        assert.equal(await runCli(['generate', 'banded', '3', '--bands', '-1:4,0:1', '-o', output]), 0);
+        assert.deepEqual(toDense(new SparseMatrix(output)), [[1, 0, 0], [4, 1, 0], [0, 4, 1]]);
+    });
+
+    for (const args of [['foo', '3'], ['identity', '2x3'], ['random', 'x3'], ['banded', '3']]) {
+        await t.test(`rejects generate ${args.join(' ')}`, async (t) => {
+            t.mock.method(console, 'error', () => {});
+            assert.equal(await runCli(['generate', ...args]), 2);
+        });
+    }
+});
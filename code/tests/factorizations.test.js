@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SparseMatrix = require('../src/SparseMatrix');
+const { lu, cholesky } = require('../src/factorizations');
+const { solve } = require('../src/solvers');
+const { fromDense, toDense } = require('./helpers');
+
+/**
+ * Builds the 5-point Laplacian of a grid, a standard SPD test matrix
+ * @param {number} size - Grid points per side
+ * @returns {SparseMatrix} Matrix of order size * size
+ */
+function gridLaplacian(size) {
+    const triplets = [];
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            const v = i * size + j;
+            triplets.push([v, v, 4]);
+            if (j + 1 < size) {
+                triplets.push([v, v + 1, -1], [v + 1, v, -1]);
+            }
+            if (i + 1 < size) {
+                triplets.push([v, v + size, -1], [v + size, v, -1]);
+            }
+        }
+    }
+    return SparseMatrix.fromTriplets(size * size, size * size, triplets);
+}
+
+/**
+ * Largest entry of |A·x - b|
+ */
+function residual(matrix, x, b) {
+    const ax = matrix.multiplyVector(x);
+    return Math.max(...Array.from(ax, (value, i) => Math.abs(value - b[i])));
+}
+
+test('LU factorization', async (t) => {
+    await t.test('solves a system that needs row pivoting', () => {
+        const matrix = fromDense([[0, 2, 1], [1, 1, 0], [3, 0, 4]]);
+        const factors = lu(matrix);
+        const x = factors.solve([3, 2, 7]);
+        Array.from(x).forEach((value) => assert.ok(Math.abs(value - 1) < 1e-14));
+        assert.ok(Math.abs(factors.determinant() - -11) < 1e-12);
+    });
+
+    await t.test('solves repeatedly with the same factors', () => {
+        const matrix = SparseMatrix.random(80, 80, 0.05, 11).add(SparseMatrix.identity(80).scale(3));
+        const factors = matrix.lu();
+        for (let k = 0; k < 3; k++) {
+            const b = Array.from({ length: 80 }, (_, i) => Math.sin(i + k));
+            assert.ok(residual(matrix, factors.solve(b), b) < 1e-12);
+        }
+    });
+
+    await t.test('computes the inverse of a small matrix', () => {
+        const matrix = fromDense([[4, 7, 0], [2, 6, 0], [0, 0, 5]]);
+        const product = toDense(matrix.multiply(matrix.lu().inverse()));
+        product.forEach((row, i) => row.forEach((value, j) => assert.ok(Math.abs(value - (i === j ? 1 : 0)) < 1e-14)));
+    });
+
+    await t.test('gives the determinant sign of the row swaps', () => {
+        const permutation = fromDense([[0, 1, 0], [0, 0, 1], [1, 0, 0]]);
+        assert.equal(lu(permutation, { ordering: 'natural' }).determinant(), 1);
+        assert.equal(lu(fromDense([[0, 1], [1, 0]])).determinant(), -1);
+    });
+
+    await t.test('rejects singular, non-square and BigInt matrices', () => {
+        assert.throws(() => lu(fromDense([[1, 2], [2, 4]])), /Matrix is singular: column \d has no usable pivot/);
+        assert.throws(() => lu(fromDense([[1, 0], [0, 0]])), /Matrix is singular/);
+        assert.throws(() => lu(new SparseMatrix(null, 2, 3)), /must be square for LU factorization, got 2x3/);
+        const exact = SparseMatrix.fromString('rows=1\ncols=1\n(0, 0, 2)\n', { valueType: 'bigint' });
+        assert.throws(() => lu(exact), /BigInt values do not support LU factorization/);
+        assert.throws(() => lu(SparseMatrix.identity(2), { ordering: 'amd' }), /Unknown ordering: amd/);
+    });
+});
+
+test('Cholesky factorization', async (t) => {
+    await t.test('solves a grid Laplacian', () => {
+        const matrix = gridLaplacian(12);
+        const b = Array.from({ length: matrix.rows }, (_, i) => (i % 7) - 3);
+        assert.ok(residual(matrix, matrix.cholesky().solve(b), b) < 1e-12);
+    });
+
+    await t.test('agrees with LU on the determinant', () => {
+        const matrix = SparseMatrix.tridiagonal(6, -1, 2, -1);
+        assert.ok(Math.abs(cholesky(matrix).determinant() - 7) < 1e-12);
+        assert.ok(Math.abs(lu(matrix).determinant() - 7) < 1e-12);
+    });
+
+    await t.test('reverse Cuthill-McKee ordering reduces fill-in', () => {
+        // An arrow matrix fills in completely unless its dense row and column come last
+        const n = 30;
+        const triplets = [[0, 0, n]];
+        for (let i = 1; i < n; i++) {
+            triplets.push([i, i, 2], [0, i, 1], [i, 0, 1]);
+        }
+        const arrow = SparseMatrix.fromTriplets(n, n, triplets);
+        assert.equal(cholesky(arrow, { ordering: 'natural' }).nonZeros, n * (n + 1) / 2);
+        assert.equal(cholesky(arrow).nonZeros, 2 * n - 1);
+        assert.ok(lu(arrow).nonZeros < lu(arrow, { ordering: 'natural' }).nonZeros);
+    });
+
+    await t.test('rejects matrices that are not symmetric positive definite', () => {
+        assert.throws(() => cholesky(fromDense([[1, 2], [2, 1]])), /Matrix is not positive definite: pivot -3 for column \d/);
+        assert.throws(() => cholesky(fromDense([[1, 0], [0, 0]])), /not positive definite: pivot 0/);
+        assert.throws(() => cholesky(fromDense([[2, 1], [0, 2]])),
+            /needs a symmetric matrix, but A\[0\]\[1\] = 1 and A\[1\]\[0\] = 0/);
+    });
+});
+
+test('direct solver methods', async (t) => {
+    for (const method of ['lu', 'cholesky']) {
+        await t.test(`solve() accepts method ${method}`, () => {
+            const matrix = gridLaplacian(5);
+            const b = new Array(matrix.rows).fill(1);
+            const result = solve(matrix, b, { method });
+            assert.equal(result.converged, true);
+            assert.equal(result.iterations, 1);
+            assert.ok(result.residualHistory[1] < 1e-14);
+        });
+    }
+});
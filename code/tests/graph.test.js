@@ -0,0 +1,233 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const SparseMatrix = require('../src/SparseMatrix');
+const graph = require('../src/graph');
+const { runCli } = require('../src/cli');
+const { fromDense, tempPath, writeTempFile } = require('./helpers');
+
+// 0 -> 1 -> 2 -> 0 form a cycle that also reaches 3 <-> 4; vertex 5 is isolated
+const EDGES = [[0, 1, 1], [1, 2, 2], [2, 0, 3], [0, 2, 5], [3, 4, 1], [4, 3, 1], [2, 3, 7]];
+const sample = () => SparseMatrix.fromTriplets(6, 6, EDGES);
+
+test('graph searches', async (t) => {
+    await t.test('bfs visits by depth, neighbours in increasing order', () => {
+        const result = graph.bfs(sample(), 0);
+        assert.deepEqual(result.order, [0, 1, 2, 3, 4]);
+        assert.deepEqual(Array.from(result.depth), [0, 1, 1, 2, 3, -1]);
+        assert.deepEqual(Array.from(result.parent), [-1, 0, 0, 2, 3, -1]);
+    });
+
+    await t.test('dfs follows each path as deep as it goes', () => {
+        const result = graph.dfs(sample(), 0);
+        assert.deepEqual(result.order, [0, 1, 2, 3, 4]);
+        assert.deepEqual(Array.from(result.parent), [-1, 0, 1, 2, 3, -1]);
+    });
+
+    await t.test('dfs handles paths longer than the call stack', () => {
+        const chain = SparseMatrix.banded(100000, { 1: 1 });
+        assert.equal(graph.dfs(chain, 0).order.length, 100000);
+        assert.equal(graph.stronglyConnectedComponents(chain).count, 100000);
+    });
+
+    await t.test('rejects non-square matrices and missing vertices', () => {
+        assert.throws(() => graph.bfs(new SparseMatrix(null, 2, 3), 0), /must be square, got 2x3/);
+        assert.throws(() => graph.dfs(sample(), 6), /Invalid source vertex: 6/);
+    });
+});
+
+test('graph components', async (t) => {
+    await t.test('connected components ignore edge directions', () => {
+        const result = graph.connectedComponents(sample());
+        assert.equal(result.count, 2);
+        assert.deepEqual(Array.from(result.labels), [0, 0, 0, 0, 0, 1]);
+    });
+
+    await t.test('strongly connected components follow edge directions', () => {
+        const result = graph.stronglyConnectedComponents(sample());
+        assert.equal(result.count, 3);
+        assert.deepEqual(Array.from(result.labels), [0, 0, 0, 1, 1, 2]);
+    });
+
+    await t.test('a vertex with a self-loop is its own component', () => {
+        const result = graph.stronglyConnectedComponents(fromDense([[1, 1], [0, 1]]));
+        assert.deepEqual(Array.from(result.labels), [0, 1]);
+    });
+});
+
+test('shortest paths', async (t) => {
+    await t.test('uses the stored values as lengths', () => {
+        const result = graph.dijkstra(sample(), 0);
+        assert.deepEqual(Array.from(result.distance), [0, 1, 3, 10, 11, Infinity]);
+        assert.deepEqual(Array.from(result.parent), [-1, 0, 1, 2, 3, -1]);
+    });
+
+    await t.test('matches Floyd-Warshall on random graphs', () => {
+        const n = 30;
+        const matrix = SparseMatrix.random(n, n, 0.1, 7).map(Math.abs);
+        const dist = Array.from({ length: n }, (_, i) =>
+            Array.from({ length: n }, (_, j) => (i === j ? 0 : Infinity)));
+        for (const { row, col, value } of matrix.entries()) {
+            dist[row][col] = Math.min(dist[row][col], value);
+        }
+        for (let k = 0; k < n; k++) {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    dist[i][j] = Math.min(dist[i][j], dist[i][k] + dist[k][j]);
+                }
+            }
+        }
+
+        for (const source of [0, 5, 17]) {
+            const distance = graph.dijkstra(matrix, source).distance;
+            dist[source].forEach((expected, v) => {
+                if (expected === Infinity) {
+                    assert.equal(distance[v], Infinity);
+                } else {
+                    assert.ok(Math.abs(distance[v] - expected) < 1e-12);
+                }
+            });
+        }
+    });
+
+    await t.test('rejects negative lengths and BigInt values', () => {
+        assert.throws(() => graph.dijkstra(fromDense([[0, -1], [0, 0]]), 0),
+            /non-negative edge lengths, found -1 at \(0, 1\)/);
+        const exact = SparseMatrix.fromString('rows=2\ncols=2\n(0, 1, 1)\n', { valueType: 'bigint' });
+        assert.throws(() => graph.dijkstra(exact, 0), /BigInt values do not support shortest paths/);
+    });
+});
+
+test('pagerank', async (t) => {
+    await t.test('is uniform on a cycle', () => {
+        const result = graph.pagerank(SparseMatrix.fromTriplets(4, 4, [[0, 1, 1], [1, 2, 1], [2, 3, 1], [3, 0, 1]]));
+        assert.equal(result.converged, true);
+        for (const rank of result.ranks) {
+            assert.ok(Math.abs(rank - 0.25) < 1e-12);
+        }
+    });
+
+    await t.test('is a fixed point of the damped random walk', () => {
+        const matrix = sample();
+        const { ranks, converged } = graph.pagerank(matrix, { damping: 0.9, tolerance: 1e-12 });
+        assert.equal(converged, true);
+        assert.ok(Math.abs(ranks.reduce((sum, rank) => sum + rank, 0) - 1) < 1e-12);
+
+        // Vertex 5 has no outgoing edges, so its rank is spread over every vertex
+        const outWeights = [6, 2, 10, 1, 1, 0];
+        const expected = new Array(6).fill((0.9 * ranks[5] + 0.1) / 6);
+        for (const [row, col, value] of EDGES) {
+            expected[col] += 0.9 * ranks[row] * value / outWeights[row];
+        }
+        expected.forEach((rank, v) => assert.ok(Math.abs(ranks[v] - rank) < 1e-10));
+    });
+
+    await t.test('reports when it runs out of iterations', () => {
+        const result = graph.pagerank(sample(), { maxIterations: 2 });
+        assert.equal(result.converged, false);
+        assert.equal(result.iterations, 2);
+    });
+
+    await t.test('rejects invalid options and negative weights', () => {
+        assert.throws(() => graph.pagerank(sample(), { damping: 1.5 }), /Invalid damping factor: 1.5/);
+        assert.throws(() => graph.pagerank(fromDense([[0, -2], [1, 0]])), /non-negative edge weights, found -2/);
+    });
+});
+
+test('degrees and triangles', async (t) => {
+    await t.test('counts edges entering and leaving every vertex', () => {
+        const result = graph.degrees(sample());
+        assert.deepEqual(Array.from(result.inDegree), [1, 1, 2, 2, 1, 0]);
+        assert.deepEqual(Array.from(result.outDegree), [2, 1, 2, 1, 1, 0]);
+    });
+
+    await t.test('counts triangles once, whatever the edge directions', () => {
+        assert.equal(graph.countTriangles(sample()), 1);
+        const complete = SparseMatrix.fromDense([
+            [1, 1, 1, 1],
+            [1, 0, 1, 1],
+            [1, 1, 0, 1],
+            [1, 1, 1, 0]
+        ]);
+        assert.equal(graph.countTriangles(complete), 4);
+    });
+
+    await t.test('matches a brute-force count on a random graph', () => {
+        const n = 25;
+        const matrix = SparseMatrix.random(n, n, 0.2, 3);
+        const connected = (i, j) => matrix.getElement(i, j) !== 0 || matrix.getElement(j, i) !== 0;
+        let expected = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                for (let k = j + 1; k < n; k++) {
+                    if (connected(i, j) && connected(j, k) && connected(i, k)) {
+                        expected++;
+                    }
+                }
+            }
+        }
+        assert.equal(graph.countTriangles(matrix), expected);
+    });
+});
+
+test('reverse Cuthill-McKee', async (t) => {
+    await t.test('numbers a scrambled path so that neighbours are adjacent', () => {
+        const labels = [5, 2, 7, 0, 3, 6, 1, 4];
+        const triplets = [];
+        for (let i = 0; i + 1 < labels.length; i++) {
+            triplets.push([labels[i], labels[i + 1], 1], [labels[i + 1], labels[i], 1]);
+        }
+        const order = graph.reverseCuthillMcKee(SparseMatrix.fromTriplets(8, 8, triplets));
+
+        assert.deepEqual(Array.from(order).sort(), [0, 1, 2, 3, 4, 5, 6, 7]);
+        const position = new Map(Array.from(order, (vertex, i) => [vertex, i]));
+        for (const [row, col] of triplets) {
+            assert.equal(Math.abs(position.get(row) - position.get(col)), 1);
+        }
+    });
+
+    await t.test('covers every component and isolated vertex', () => {
+        const order = graph.reverseCuthillMcKee(sample());
+        assert.deepEqual(Array.from(order).sort(), [0, 1, 2, 3, 4, 5]);
+    });
+});
+
+test('graph command', async (t) => {
+    const filePath = writeTempFile('graph.txt', sample().toString());
+
+    const runGraph = async (...args) => {
+        const output = tempPath('graph-output.txt');
+        const exitCode = await runCli(['graph', ...args, '-o', output]);
+        return { exitCode, output: exitCode === 0 ? fs.readFileSync(output, 'utf8') : null };
+    };
+
+    await t.test('lists components', async () => {
+        const { exitCode, output } = await runGraph('scc', filePath);
+        assert.equal(exitCode, 0);
+        assert.equal(output, '3 strongly connected components\n0: 0 1 2\n1: 3 4\n2: 5\n');
+    });
+
+    await t.test('prints a table of shortest paths', async () => {
+        const { output } = await runGraph('paths', filePath, '0');
+        assert.equal(output.split('\n')[0], 'vertex  distance  previous');
+        assert.match(output, /^ +4 +11 +3$/m);
+        assert.doesNotMatch(output, /^ +5 /m);
+    });
+
+    await t.test('writes PageRank as a vector', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const { output } = await runGraph('pagerank', filePath, '--damping', '0.5');
+        assert.match(output, /^size=6\n/);
+    });
+
+    await t.test('prints JSON with --json', async () => {
+        const { output } = await runGraph('degrees', filePath, '--json');
+        assert.deepEqual(JSON.parse(output), { inDegree: [1, 1, 2, 2, 1, 0], outDegree: [2, 1, 2, 1, 1, 0] });
+    });
+
+    await t.test('rejects unknown algorithms', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal((await runGraph('colouring', filePath)).exitCode, 2);
+        assert.equal((await runGraph('bfs', filePath)).exitCode, 2);
+    });
+});
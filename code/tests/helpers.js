@@ -0,0 +1,118 @@
+/**
+ * Shared helpers for the test suite: the library's seeded random number
+ * generator, random matrix builders and a dense reference implementation.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SparseMatrix = require('../src/SparseMatrix');
+const { createRandom } = require('../src/random');
+
+const SAMPLE_INPUTS = path.join(__dirname, '..', '..', 'sample_inputs');
+
+/**
+ * Builds a random dense matrix with small non-zero integers at some positions
+ * @param {function(): number} random - Generator from createRandom
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @param {number} density - Probability of each position being non-zero
+ * @returns {number[][]} Dense matrix
+ */
+function randomDense(random, rows, cols, density) {
+    const dense = [];
+    for (let i = 0; i < rows; i++) {
+        const row = [];
+        for (let j = 0; j < cols; j++) {
+            if (random() < density) {
+                // Integers in [-9, 9] without 0 keep every result exact
+                const magnitude = 1 + Math.floor(random() * 9);
+                row.push(random() < 0.5 ? -magnitude : magnitude);
+            } else {
+                row.push(0);
+            }
+        }
+        dense.push(row);
+    }
+    return dense;
+}
+
+/**
+ * Converts a dense array to a SparseMatrix
+ * @param {number[][]} dense - Dense matrix
+ * @returns {SparseMatrix} Sparse copy
+ */
+function fromDense(dense) {
+    const matrix = new SparseMatrix(null, dense.length, dense[0].length);
+    for (let i = 0; i < dense.length; i++) {
+        for (let j = 0; j < dense[i].length; j++) {
+            matrix.setElement(i, j, dense[i][j]);
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Converts a SparseMatrix to a dense array
+ * @param {SparseMatrix} matrix - Sparse matrix
+ * @returns {number[][]} Dense copy
+ */
+function toDense(matrix) {
+    const dense = [];
+    for (let i = 0; i < matrix.rows; i++) {
+        const row = [];
+        for (let j = 0; j < matrix.cols; j++) {
+            row.push(matrix.getElement(i, j));
+        }
+        dense.push(row);
+    }
+    return dense;
+}
+
+/**
+ * Dense reference implementations of the matrix operations
+ */
+const reference = {
+    add: (a, b) => a.map((row, i) => row.map((value, j) => value + b[i][j])),
+    subtract: (a, b) => a.map((row, i) => row.map((value, j) => value - b[i][j])),
+    multiply: (a, b) => a.map((row) => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0))),
+    transpose: (a) => a[0].map((_, j) => a.map((row) => row[j]))
+};
+
+let tempDir = null;
+
+/**
+ * Returns a path in a temporary directory that is removed when the process exits
+ * @param {string} name - File name
+ * @returns {string} Path of the file
+ */
+function tempPath(name) {
+    if (tempDir === null) {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sparse-matrix-test-'));
+        process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+    }
+    return path.join(tempDir, name);
+}
+
+/**
+ * Writes text to a new file in a temporary directory
+ * @param {string} name - File name
+ * @param {string} content - File contents
+ * @returns {string} Path of the file
+ */
+function writeTempFile(name, content) {
+    const filePath = tempPath(name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+module.exports = {
+    SAMPLE_INPUTS,
+    createRandom,
+    randomDense,
+    fromDense,
+    toDense,
+    reference,
+    tempPath,
+    writeTempFile
+};
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SparseMatrix = require('../src/SparseMatrix');
+const { parseJob, loadJob, runJob, formatReport } = require('../src/jobs');
+const { runCli } = require('../src/cli');
+const { fromDense, toDense, tempPath, writeTempFile } = require('./helpers');
+
+const A = fromDense([[1, 2], [0, 3]]);
+const B = fromDense([[0, 1], [4, 0], [5, 0]]);
+
+/**
+ * Writes A and B next to a job file in a fresh directory
+ * @param {string} name - Directory name under the temporary directory
+ * @returns {string} The directory
+ */
+function jobDirectory(name) {
+    const directory = tempPath(name);
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, 'a.txt'), A.toString());
+    fs.writeFileSync(path.join(directory, 'b.txt'), B.toString());
+    return directory;
+}
+
+test('job files', async (t) => {
+    await t.test('scripts and JSON describe the same steps', () => {
+        const script = parseJob([
+            '# Comment',
+            'load A a.txt',
+            'load B b.mtx mtx',
+            "C = B * A'",
+            '',
+            'save C out/c.bin'
+        ].join('\n'), 'job.txt');
+        const json = parseJob(JSON.stringify({
+            inputs: { A: 'a.txt', B: { file: 'b.mtx', format: 'mtx' } },
+            steps: [{ name: 'C', expression: "B * A'" }],
+            outputs: [{ matrix: 'C', file: 'out/c.bin' }]
+        }), 'job.json');
+
+        assert.deepEqual(script, json);
+        assert.equal(script.onError, 'stop');
+        assert.deepEqual(script.steps.map((step) => step.description),
+            ['load A a.txt', 'load B b.mtx mtx', "C = B * A'", 'save C out/c.bin']);
+    });
+
+    await t.test('report the line of a malformed step', () => {
+        assert.throws(() => parseJob('load A a.txt\nprint A\n', 'job.txt'),
+            /^Error: Invalid job file job.txt:2: Expected load NAME FILE/);
+        assert.throws(() => parseJob('load A a.txt\nC = A + D\n', 'job.txt'),
+            /job.txt:2: Unknown matrix: D \(load or compute it in an earlier step\)/);
+        assert.throws(() => parseJob('load A a.txt\nsave A a.csv csv\n', 'job.txt'),
+            /job.txt:2: Unknown format: csv/);
+        assert.throws(() => parseJob('on-error retry\n', 'job.txt'), /job.txt:1: Invalid on-error setting: retry/);
+        assert.throws(() => parseJob('# Nothing to do\n', 'job.txt'), /Invalid job file job.txt: The job has no steps/);
+    });
+
+    await t.test('reject JSON that does not describe a job', () => {
+        assert.throws(() => parseJob('{"inputs": ', 'job.json'), /Invalid job file job.json: not valid JSON/);
+        assert.throws(() => parseJob('[]', 'job.json'), /expected an object with "inputs"/);
+        assert.throws(() => parseJob('{"inputs": {"A": 3}}', 'job.json'), /inputs.A must be a file path/);
+        assert.throws(() => parseJob('{"inputs": {"A": "a.txt"}, "steps": [{"name": "B"}]}', 'job.json'),
+            /steps\[0\] must be an object with a "name" and an "expression"/);
+        assert.throws(() => parseJob('{"inputs": {"load": "a.txt"}}', 'job.json'), /load is a command name/);
+    });
+});
+
+test('running jobs', async (t) => {
+    await t.test('computes named results and saves them relative to the job file', async () => {
+        const directory = jobDirectory('job-run');
+        const jobPath = path.join(directory, 'job.txt');
+        fs.writeFileSync(jobPath, 'load A a.txt\nC = (A + A) * A\nsave C out/c.mtx\n');
+
+        const report = await runJob(loadJob(jobPath));
+        assert.equal(report.firstError, null);
+        assert.deepEqual(report.steps.map((entry) => entry.status), ['ok', 'ok', 'ok']);
+        assert.equal(report.steps[1].detail, '2x2, 3 non-zeros');
+        assert.ok(report.steps.every((entry) => entry.ms >= 0));
+
+        const saved = fs.readFileSync(path.join(directory, 'out', 'c.mtx'), 'utf8');
+        assert.match(saved, /^%%MatrixMarket/);
+    });
+
+    await t.test('stops at the first failure by default', async () => {
+        const directory = jobDirectory('job-stop');
+        const job = parseJob('load A a.txt\nload B b.txt\nC = A * B\nD = B * A\n', 'job.txt');
+        const report = await runJob({ ...job, baseDir: directory });
+
+        assert.deepEqual(report.steps.map((entry) => entry.status), ['ok', 'ok', 'failed', 'not run']);
+        assert.match(report.steps[2].detail, /dimensions don't match/);
+        assert.equal(report.firstError.message, report.steps[2].detail);
+    });
+
+    await t.test('with on-error continue, skips only the steps that need a missing result', async () => {
+        const directory = jobDirectory('job-continue');
+        const job = parseJob([
+            'on-error continue',
+            'load A a.txt',
+            'load M missing.txt',
+            'C = A * M',
+            'D = A * 2',
+            'save C c.txt',
+            'save D d.txt',
+            // Assigning a name again makes it available to later steps
+            'C = D',
+            'save C c.txt'
+        ].join('\n'), 'job.txt');
+        const steps = [];
+        const report = await runJob({ ...job, baseDir: directory }, { onStep: (entry) => steps.push(entry.step) });
+
+        assert.deepEqual(report.steps.map((entry) => entry.status),
+            ['ok', 'failed', 'skipped', 'ok', 'skipped', 'ok', 'ok', 'ok']);
+        assert.match(report.firstError.message, /File not found/);
+        assert.equal(report.steps[2].detail, 'needs M, which is missing');
+        assert.deepEqual(steps, [1, 2, 3, 4, 5, 6, 7, 8]);
+        const saved = SparseMatrix.fromString(fs.readFileSync(path.join(directory, 'c.txt'), 'utf8'));
+        assert.deepEqual(toDense(saved), [[2, 4], [0, 6]]);
+
+        const text = formatReport(report);
+        assert.match(text, /^step {2}status {5}ms {2}description$/m);
+        assert.match(text, /^ {3}3 {2}skipped {5}- {2}C = A \* M: needs M, which is missing$/m);
+        assert.match(text, /^8 steps in [\d.]+ ms: 5 ok, 1 failed, 2 skipped$/m);
+    });
+});
+
+test('run-job command', async (t) => {
+    await t.test('prints the report and exits with the code of the first failure', async () => {
+        const directory = jobDirectory('job-command');
+        const jobPath = path.join(directory, 'job.json');
+        fs.writeFileSync(jobPath, JSON.stringify({
+            onError: 'continue',
+            inputs: { A: 'a.txt', B: 'b.txt' },
+            steps: [{ name: 'C', expression: 'A + B' }, { name: 'D', expression: 'B * A' }],
+            outputs: [{ matrix: 'D', file: 'd.txt' }]
+        }));
+        const output = tempPath('job-report.json');
+
+        assert.equal(await runCli(['run-job', jobPath, '--json', '-o', output]), 5);
+        const report = JSON.parse(fs.readFileSync(output, 'utf8'));
+        assert.deepEqual(report.steps.map((entry) => entry.status), ['ok', 'ok', 'failed', 'ok', 'ok']);
+        assert.equal(typeof report.ms, 'number');
+    });
+
+    await t.test('rejects missing and malformed job files', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal(await runCli(['run-job', tempPath('no-such-job.json')]), 3);
+        assert.equal(await runCli(['run-job', writeTempFile('bad-job.txt', 'C = A\n')]), 4);
+    });
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SparseMatrix = require('../src/SparseMatrix');
+const { runCli } = require('../src/cli');
+const { boolean } = require('../src/semirings');
+const { tempPath, writeTempFile } = require('./helpers');
+
+test('multiplyParallel', async (t) => {
+    await t.test('matches multiply exactly', async () => {
+        const a = SparseMatrix.random(120, 90, 0.05, 1);
+        const b = SparseMatrix.random(90, 70, 0.05, 2);
+        const serial = a.multiply(b);
+        for (const workers of [2, 3, 7]) {
+            const parallel = await a.multiplyParallel(b, { workers, minWork: 0 });
+            assert.ok(parallel.equals(serial));
+            assert.equal(parallel.toString(), serial.toString());
+            assert.equal(parallel.elementCount, serial.elementCount);
+        }
+    });
+
+    await t.test('handles more workers than rows and empty rows', async () => {
+        const a = SparseMatrix.fromDense([[1, 0], [0, 0], [0, 2]]);
+        const b = SparseMatrix.fromDense([[0, 3], [4, 0]]);
+        const product = await a.multiplyParallel(b, { workers: 8, minWork: 0 });
+        assert.deepEqual(product.toDense(), [[0, 3], [0, 0], [8, 0]]);
+    });
+
+    await t.test('keeps the zero tolerance of the left matrix', async () => {
+        const a = SparseMatrix.fromDense([[1, 1], [1, 0]], { zeroTolerance: 1e-9 });
+        const b = SparseMatrix.fromDense([[1, 0], [-1 + 1e-12, 1]]);
+        const product = await a.multiplyParallel(b, { workers: 2, minWork: 0 });
+        assert.ok(product.equals(a.multiply(b)));
+        assert.equal(product.getElement(0, 0), 0);
+    });
+
+    await t.test('falls back to multiply for semirings', async () => {
+        const a = SparseMatrix.fromDense([[0, 1], [1, 0]], { semiring: boolean });
+        const product = await a.multiplyParallel(a, { workers: 2, minWork: 0 });
+        assert.equal(product.semiring, boolean);
+        assert.ok(product.equals(a.multiply(a)));
+    });
+
+    await t.test('stops the other workers when one fails', { timeout: 10000 }, async () => {
+        // Load parallel.js against a Worker whose second thread fails and third never finishes
+        const workerThreads = require('worker_threads');
+        const parallelPath = require.resolve('../src/parallel');
+        const { Worker } = workerThreads;
+        const exits = [];
+        workerThreads.Worker = class extends Worker {
+            constructor(file, options) {
+                const scripts = [null, 'throw new Error("worker failed")', 'setInterval(() => {}, 1000)'];
+                const script = scripts[exits.length];
+                super(script || file, script ? { ...options, eval: true } : options);
+                exits.push(new Promise((resolve) => this.once('exit', resolve)));
+            }
+        };
+        delete require.cache[parallelPath];
+        try {
+            const { multiplyParallel } = require('../src/parallel');
+            const a = SparseMatrix.random(30, 30, 0.2, 5);
+            await assert.rejects(multiplyParallel(a, a, { workers: 3, minWork: 0 }), /worker failed/);
+            assert.equal(exits.length, 3);
+            await Promise.all(exits);
+        } finally {
+            workerThreads.Worker = Worker;
+            delete require.cache[parallelPath];
+        }
+    });
+
+    await t.test('rejects mismatched dimensions and bad worker counts', async () => {
+        const a = SparseMatrix.identity(2);
+        await assert.rejects(a.multiplyParallel(SparseMatrix.identity(3)), /dimensions don't match/);
+        await assert.rejects(a.multiplyParallel(a, { workers: 0 }), /Invalid number of workers/);
+    });
+});
+
+test('mul --threads', async (t) => {
+    const a = writeTempFile('threads-a.txt', SparseMatrix.random(40, 30, 0.1, 3).toString());
+    const b = writeTempFile('threads-b.txt', SparseMatrix.random(30, 20, 0.1, 4).toString());
+
+    await t.test('gives the same product', async () => {
+        const output = tempPath('threads-product.txt');
+        assert.equal(await runCli(['mul', a, b, '--threads', '2', '-o', output]), 0);
+        assert.equal(new SparseMatrix(output).toString(), new SparseMatrix(a).multiply(new SparseMatrix(b)).toString());
+    });
+
+    await t.test('rejects a bad thread count', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal(await runCli(['mul', a, b, '--threads', '1.5']), 2);
+    });
+});
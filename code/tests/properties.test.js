@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SparseMatrix = require('../src/SparseMatrix');
+const { createRandom, randomDense, fromDense, toDense } = require('./helpers');
+
+const ROUNDS = 50;
+
+/**
+ * Runs a property against random matrices sizes
+ * @param {number} seed - Seed for the generator
+ * @param {function(function(): number, number, number, number): void} property - Receives the generator and three sizes
+ */
+function forAllSizes(seed, property) {
+    const random = createRandom(seed);
+    for (let round = 0; round < ROUNDS; round++) {
+        const m = 1 + Math.floor(random() * 12);
+        const n = 1 + Math.floor(random() * 12);
+        const p = 1 + Math.floor(random() * 12);
+        property(random, m, n, p);
+    }
+}
+
+test('(A + B) - B == A', () => {
+    forAllSizes(1, (random, m, n) => {
+        const a = fromDense(randomDense(random, m, n, 0.3));
+        const b = fromDense(randomDense(random, m, n, 0.3));
+        assert.equal(a.add(b).subtract(b).toString(), a.toString());
+    });
+});
+
+test('A + B == B + A', () => {
+    forAllSizes(2, (random, m, n) => {
+        const a = fromDense(randomDense(random, m, n, 0.3));
+        const b = fromDense(randomDense(random, m, n, 0.3));
+        assert.equal(a.add(b).toString(), b.add(a).toString());
+    });
+});
+
+test('(AB)^T == B^T A^T', () => {
+    forAllSizes(3, (random, m, n, p) => {
+        const a = fromDense(randomDense(random, m, n, 0.3));
+        const b = fromDense(randomDense(random, n, p, 0.3));
+        assert.equal(a.multiply(b).transpose().toString(), b.transpose().multiply(a.transpose()).toString());
+    });
+});
+
+test('(AB)C == A(BC)', () => {
+    forAllSizes(4, (random, m, n, p) => {
+        const a = fromDense(randomDense(random, m, n, 0.3));
+        const b = fromDense(randomDense(random, n, p, 0.3));
+        const c = fromDense(randomDense(random, p, m, 0.3));
+        assert.equal(a.multiply(b).multiply(c).toString(), a.multiply(b.multiply(c)).toString());
+    });
+});
+
+test('A(B + C) == AB + AC', () => {
+    forAllSizes(5, (random, m, n, p) => {
+        const a = fromDense(randomDense(random, m, n, 0.3));
+        const b = fromDense(randomDense(random, n, p, 0.3));
+        const c = fromDense(randomDense(random, n, p, 0.3));
+        assert.equal(a.multiply(b.add(c)).toString(), a.multiply(b).add(a.multiply(c)).toString());
+    });
+});
+
+test('multiplying by the identity leaves A unchanged', () => {
+    forAllSizes(6, (random, m, n) => {
+        const a = fromDense(randomDense(random, m, n, 0.3));
+        const identity = new SparseMatrix(null, n, n);
+        for (let i = 0; i < n; i++) {
+            identity.setElement(i, i, 1);
+        }
+        assert.equal(a.multiply(identity).toString(), a.toString());
+    });
+});
+
+test('toString output parses back to the same matrix', () => {
+    forAllSizes(7, (random, m, n) => {
+        const dense = randomDense(random, m, n, 0.3);
+        // Guarantee a non-zero so the file has at least one entry line
+        dense[m - 1][n - 1] = 1;
+        const a = fromDense(dense);
+        assert.deepEqual(toDense(SparseMatrix.fromString(a.toString(), { strict: true })), dense);
+    });
+});
+
+test('elementCount equals the number of non-zeros', () => {
+    forAllSizes(8, (random, m, n) => {
+        const dense = randomDense(random, m, n, 0.5);
+        const expected = dense.flat().filter((value) => value !== 0).length;
+        assert.equal(fromDense(dense).elementCount, expected);
+    });
+});
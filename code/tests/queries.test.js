@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SparseMatrix = require('../src/SparseMatrix');
+const { createRandom, randomDense, fromDense, toDense } = require('./helpers');
+
+const dense = [
+    [0, 2, 0, 1],
+    [3, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, -4, 5, 0]
+];
+
+test('entries', async (t) => {
+    await t.test('iterates in row-major order', () => {
+        const matrix = new SparseMatrix(null, 3, 3);
+        matrix.setElement(2, 0, 1);
+        matrix.setElement(0, 2, 2);
+        matrix.setElement(0, 1, 3);
+        assert.deepEqual([...matrix.entries()], [
+            { row: 0, col: 1, value: 3 },
+            { row: 0, col: 2, value: 2 },
+            { row: 2, col: 0, value: 1 }
+        ]);
+        assert.deepEqual([...matrix], [...matrix.entries()]);
+    });
+
+    await t.test('forEachNonZero visits every non-zero', () => {
+        const matrix = fromDense(dense);
+        const visited = [];
+        matrix.forEachNonZero((value, row, col) => visited.push([row, col, value]));
+        assert.deepEqual(visited, [[0, 1, 2], [0, 3, 1], [1, 0, 3], [3, 1, -4], [3, 2, 5]]);
+    });
+});
+
+test('row and col', async (t) => {
+    const matrix = fromDense(dense);
+
+    await t.test('return sorted sparse vectors', () => {
+        assert.deepEqual(matrix.row(3), { length: 4, indices: [1, 2], values: [-4, 5] });
+        assert.deepEqual(matrix.col(1), { length: 4, indices: [0, 3], values: [2, -4] });
+        assert.deepEqual(matrix.row(2), { length: 4, indices: [], values: [] });
+    });
+
+    await t.test('col sees later changes', () => {
+        const copy = fromDense(dense);
+        assert.deepEqual(copy.col(0).indices, [1]);
+        copy.setElement(2, 0, 7);
+        copy.setElement(1, 0, 0);
+        assert.deepEqual(copy.col(0), { length: 4, indices: [2], values: [7] });
+    });
+
+    await t.test('match the dense columns of a random matrix', () => {
+        const values = randomDense(createRandom(13), 9, 7, 0.3);
+        const random = fromDense(values);
+        for (let j = 0; j < 7; j++) {
+            const column = new Array(9).fill(0);
+            const { indices, values: colValues } = random.col(j);
+            indices.forEach((i, k) => { column[i] = colValues[k]; });
+            assert.deepEqual(column, values.map((row) => row[j]));
+        }
+    });
+
+    await t.test('reject out-of-bounds indices', () => {
+        assert.throws(() => matrix.row(4), /Index out of bounds/);
+        assert.throws(() => matrix.col(-1), /Index out of bounds/);
+    });
+});
+
+test('submatrix', async (t) => {
+    const matrix = fromDense(dense);
+
+    await t.test('extracts a block with exclusive end indices', () => {
+        const block = matrix.submatrix(1, 4, 0, 2);
+        assert.equal(block.rows, 3);
+        assert.equal(block.cols, 2);
+        assert.deepEqual(toDense(block), [[3, 0], [0, 0], [0, -4]]);
+    });
+
+    await t.test('returns a copy', () => {
+        const block = matrix.submatrix(0, 4, 0, 4);
+        block.setElement(0, 0, 9);
+        assert.equal(matrix.getElement(0, 0), 0);
+    });
+
+    for (const range of [[0, 5, 0, 1], [2, 2, 0, 1], [0, 1, -1, 2], [0, 1, 0, 1.5]]) {
+        await t.test(`rejects range ${range.join(', ')}`, () => {
+            assert.throws(() => matrix.submatrix(...range), /Invalid submatrix range/);
+        });
+    }
+});
+
+test('map and filter', async (t) => {
+    const matrix = fromDense(dense);
+
+    await t.test('map transforms non-zeros and drops zero results', () => {
+        const mapped = matrix.map((value, row, col) => (row === 3 ? 0 : value * 10 + col));
+        assert.deepEqual(toDense(mapped), [[0, 21, 0, 13], [30, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]]);
+        assert.equal(mapped.elementCount, 3);
+    });
+
+    await t.test('filter keeps matching non-zeros', () => {
+        const positive = matrix.filter((value) => value > 0);
+        assert.equal(positive.elementCount, 4);
+        assert.equal(positive.getElement(3, 1), 0);
+        assert.equal(positive.getElement(3, 2), 5);
+    });
+
+    await t.test('leave the original unchanged', () => {
+        assert.deepEqual(toDense(matrix), dense);
+    });
+});
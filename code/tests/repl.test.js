@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const SparseMatrix = require('../src/SparseMatrix');
+const { Session, evaluate } = require('../src/repl');
+const { fromDense, toDense, tempPath, writeTempFile } = require('./helpers');
+
+const A = fromDense([[1, 2], [0, 3]]);
+const B = fromDense([[0, 1], [4, 0]]);
+const lookup = (name) => {
+    const matrices = { A, B };
+    if (matrices[name] === undefined) {
+        throw new Error(`Unknown matrix: ${name}`);
+    }
+    return matrices[name];
+};
+
+/**
+ * Creates a session with A and B loaded from files
+ * @returns {Promise<Session>} The session
+ */
+async function loadedSession() {
+    const session = new Session();
+    await session.execute(`load A ${writeTempFile('repl-a.txt', A.toString())}`);
+    await session.execute(`load B ${writeTempFile('repl-b.txt', B.toString())}`);
+    return session;
+}
+
+test('session expressions', async (t) => {
+    await t.test('follow the usual precedence', () => {
+        assert.equal(evaluate('1 + 2 * 3 - -4 / 2', lookup), 9);
+        assert.equal(evaluate('(1 + 2) * 3', lookup), 9);
+        assert.deepEqual(toDense(evaluate('A + B * 2', lookup)), [[1, 4], [8, 3]]);
+    });
+
+    await t.test('multiply matrices, scale by numbers and transpose', () => {
+        assert.deepEqual(toDense(evaluate('A * B', lookup)), [[8, 1], [12, 0]]);
+        assert.deepEqual(toDense(evaluate("2 * A' / 4", lookup)), [[0.5, 0], [1, 1.5]]);
+        assert.deepEqual(toDense(evaluate('transpose(A - B)', lookup)), [[1, -4], [1, 3]]);
+        assert.deepEqual(toDense(evaluate("-(A')'", lookup)), [[-1, -2], [0, -3]]);
+    });
+
+    await t.test('report malformed expressions and mismatched operands', () => {
+        assert.throws(() => evaluate('A +', lookup), /Incomplete expression: expected a number, a matrix name or \(/);
+        assert.throws(() => evaluate('(A', lookup), /Incomplete expression: expected '\)'/);
+        assert.throws(() => evaluate('A B', lookup), /Unexpected B: expected an operator/);
+        assert.throws(() => evaluate('A % 2', lookup), /Unexpected character in expression: %/);
+        assert.throws(() => evaluate('A + 1', lookup), /Cannot add a number to a 2x2 matrix/);
+        assert.throws(() => evaluate('2 / A', lookup), /Cannot divide by a 2x2 matrix/);
+        assert.throws(() => evaluate('inverse(A)', lookup), /Unknown function: inverse/);
+        assert.throws(() => evaluate('C * 2', lookup), /Unknown matrix: C/);
+    });
+});
+
+test('session commands', async (t) => {
+    await t.test('names results and shows ranges of them', async () => {
+        const session = await loadedSession();
+        assert.equal(await session.execute('C = A * B'), 'C: 2x2, 3 non-zeros\n');
+        assert.deepEqual(toDense(session.get('C')), [[8, 1], [12, 0]]);
+
+        const shown = await session.execute('show C 1 0..1');
+        assert.equal(shown, 'C: 2x2, 3 non-zeros, showing rows 1..1, columns 0..1\n     0   1\n 1  12   0\n');
+        await assert.rejects(session.execute('show C 0..2'), /Invalid row range: 0..2 \(the matrix has 2 rows/);
+        await assert.rejects(session.execute('show C 1..0'), /Invalid row range/);
+    });
+
+    await t.test('shows at most ten rows and columns by default', async () => {
+        const session = new Session();
+        await session.execute(`load I ${writeTempFile('repl-i.txt', SparseMatrix.identity(12).toString())}`);
+        const lines = (await session.execute('show I')).trimEnd().split('\n');
+        assert.match(lines[0], /showing rows 0..9, columns 0..9$/);
+        assert.equal(lines.length, 12);
+    });
+
+    await t.test('undoes and redoes assignments, loads and deletes', async () => {
+        const session = await loadedSession();
+        await session.execute('A = A * 2');
+        await session.execute('delete B');
+        assert.deepEqual(session.names(), ['A']);
+
+        assert.equal(await session.execute('undo'), 'Undid: delete B\n');
+        assert.equal(await session.execute('undo'), 'Undid: A = A * 2\n');
+        assert.deepEqual(toDense(session.get('A')), [[1, 2], [0, 3]]);
+        assert.equal(await session.execute('redo'), 'Redid: A = A * 2\n');
+        assert.deepEqual(toDense(session.get('A')), [[2, 4], [0, 6]]);
+
+        // A new change discards what could be redone
+        await session.execute('C = B');
+        await assert.rejects(session.execute('redo'), /Nothing to redo/);
+        await session.execute('undo');
+        await session.execute('undo');
+        await session.execute('undo');
+        await session.execute('undo');
+        assert.deepEqual(session.names(), []);
+        await assert.rejects(session.execute('undo'), /Nothing to undo/);
+    });
+
+    await t.test('leaves the session unchanged when a line fails', async () => {
+        const session = await loadedSession();
+        await assert.rejects(session.execute('C = A * fromDense'), /Unknown matrix: fromDense/);
+        await assert.rejects(session.execute('C = 2 * 3'), /2 \* 3 is a number; only matrices can be named/);
+        await assert.rejects(session.execute('show = A'), /show is a command name/);
+        await assert.rejects(session.execute('load 2x sample.txt'), /Invalid matrix name: 2x/);
+        await assert.rejects(session.execute(`load C ${tempPath('missing.txt')}`), /File not found/);
+        await assert.rejects(session.execute('save A'), /Usage: save NAME FILE/);
+        assert.deepEqual(session.names(), ['A', 'B']);
+        assert.match(await session.execute('undo'), /^Undid: load B /);
+    });
+
+    await t.test('saves in the format of the file extension', async () => {
+        const session = await loadedSession();
+        const output = tempPath('repl-saved.mtx');
+        assert.equal(await session.execute(`save A ${output}`), `Saved A to ${output}\n`);
+        assert.match(fs.readFileSync(output, 'utf8'), /^%%MatrixMarket/);
+    });
+
+    await t.test('keeps a numbered history of every line', async () => {
+        const session = await loadedSession();
+        await assert.rejects(session.execute('bogus'));
+        await session.execute('   ');
+        const history = await session.execute('history');
+        assert.deepEqual(history.trimEnd().split('\n').map((line) => line.trim().split(/\s+/).slice(1).join(' ')),
+            [`load A ${tempPath('repl-a.txt')}`, `load B ${tempPath('repl-b.txt')}`, 'bogus', 'history']);
+    });
+
+    await t.test('prints numbers and unnamed matrices', async () => {
+        const session = await loadedSession();
+        assert.equal(await session.execute('2 * 3'), '6\n');
+        assert.match(await session.execute("B'"), /^2x2, 2 non-zeros\n/);
+    });
+});
+
+test('session completion', async (t) => {
+    const session = await loadedSession();
+    await session.execute('Area = A + B');
+
+    await t.test('completes commands and names at the start of a line', () => {
+        assert.deepEqual(session.complete('sh'), { prefix: 'sh', matches: ['show'] });
+        assert.deepEqual(session.complete('A').matches, ['A', 'Area']);
+    });
+
+    await t.test('completes matrix and function names inside commands and expressions', () => {
+        assert.deepEqual(session.complete('show Ar'), { prefix: 'Ar', matches: ['Area'] });
+        assert.deepEqual(session.complete('C = (B + tr'), { prefix: 'tr', matches: ['transpose'] });
+        assert.deepEqual(session.complete('save A '), { prefix: '', matches: [] });
+    });
+});
+
+test('interactive mode reads piped input', () => {
+    // Several lines arrive in one chunk; each must be run, not just the first
+    const input = [
+        `load A ${writeTempFile('repl-piped.txt', A.toString())}`,
+        "C = A * A'",
+        'show C',
+        'exit',
+        ''
+    ].join('\n');
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'src', 'index.js')], {
+        input,
+        encoding: 'utf8',
+        timeout: 20000
+    });
+
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout, 'A: 2x2, 3 non-zeros\nC: 2x2, 4 non-zeros\n' +
+        'C: 2x2, 4 non-zeros, showing rows 0..1, columns 0..1\n   0  1\n0  5  6\n1  6  9\n');
+});
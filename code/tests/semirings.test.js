@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SparseMatrix = require('../src/SparseMatrix');
+const { arithmetic, boolean, minPlus, modular } = require('../src/semirings');
+const { solve } = require('../src/solvers');
+const { pagerank } = require('../src/graph');
+const { fromDense } = require('./helpers');
+
+/**
+ * Builds a matrix in a semiring from a dense array, leaving the semiring zero unstored
+ * @param {number[][]} dense - Dense matrix
+ * @param {Object} semiring - Semiring of the matrix
+ * @returns {SparseMatrix} Matrix
+ */
+function build(dense, semiring) {
+    return SparseMatrix.fromDense(dense, { semiring });
+}
+
+test('arithmetic is the default', () => {
+    const a = fromDense([[1, 2], [0, 3]]);
+    assert.equal(a.semiring, arithmetic);
+    assert.equal(a.multiply(a, arithmetic).toString(), a.multiply(a).toString());
+});
+
+test('boolean semiring computes reachability', () => {
+    // Edges 0 -> 1 -> 2
+    const a = build([[0, 1, 0], [0, 0, 5], [0, 0, 0]], boolean);
+    const twoSteps = a.multiply(a);
+    assert.deepEqual(twoSteps.toDense(), [[0, 0, 1], [0, 0, 0], [0, 0, 0]]);
+    assert.deepEqual(a.add(twoSteps).toDense(), [[0, 1, 1], [0, 0, 1], [0, 0, 0]]);
+    assert.equal(twoSteps.semiring, boolean);
+});
+
+test('min-plus semiring computes shortest paths', async (t) => {
+    const I = Infinity;
+    const a = build([[0, 4, 1], [I, 0, I], [I, 2, 0]], minPlus);
+
+    await t.test('keeps zeros and drops Infinity', () => {
+        assert.equal(a.elementCount, 6);
+        assert.equal(a.getElement(0, 0), 0);
+        assert.equal(a.getElement(1, 0), Infinity);
+        a.setElement(0, 0, Infinity);
+        assert.equal(a.elementCount, 5);
+        a.setElement(0, 0, 0);
+    });
+
+    await t.test('multiply relaxes paths through one more edge', () => {
+        // 0 -> 2 -> 1 costs 3, less than the direct edge of 4
+        assert.deepEqual(a.multiply(a).toDense(), [[0, 3, 1], [I, 0, I], [I, 2, 0]]);
+    });
+
+    await t.test('add takes the shorter distance', () => {
+        const b = build([[I, 2, I], [7, I, I], [I, I, I]], minPlus);
+        assert.deepEqual(a.add(b).toDense(), [[0, 2, 1], [7, 0, I], [I, 2, 0]]);
+    });
+
+    await t.test('the strict parser accepts zero-length edges', () => {
+        const loaded = SparseMatrix.fromString('rows=2\ncols=2\n(0, 0, 0)\n(0, 1, 3)\n', { strict: true, semiring: minPlus });
+        assert.deepEqual(loaded.toDense(), [[0, 3], [I, I]]);
+    });
+});
+
+test('modular semiring', async (t) => {
+    await t.test('reduces sums and products', () => {
+        const mod7 = modular(7);
+        const a = fromDense([[3, 5], [6, 0]]);
+        assert.deepEqual(a.multiply(a, mod7).toDense(), [[39 % 7, 15 % 7], [18 % 7, 30 % 7]]);
+        assert.deepEqual(a.add(a, mod7).toDense(), [[6, 3], [5, 0]]);
+        // 3 + 4 = 0 (mod 7) is dropped
+        assert.equal(a.add(fromDense([[4, 0], [0, 0]]), mod7).getElement(0, 0), 0);
+    });
+
+    await t.test('stays exact for large moduli', () => {
+        const p = 1000000007;
+        const a = fromDense([[p - 1]]);
+        // (p - 1)^2 = 1 (mod p), but (p - 1)^2 itself is larger than 2^53
+        assert.equal(a.multiply(a, modular(p)).getElement(0, 0), 1);
+    });
+
+    await t.test('rejects invalid moduli', () => {
+        assert.throws(() => modular(1), /Invalid modulus/);
+        assert.throws(() => modular(2.5), /Invalid modulus/);
+    });
+});
+
+test('custom semirings are validated', () => {
+    assert.throws(() => new SparseMatrix(null, 2, 2, { semiring: { zero: 0 } }), /Invalid semiring/);
+    const a = fromDense([[1]]);
+    assert.throws(() => a.multiply(a, { add: Math.max }), /Invalid semiring/);
+
+    const maxTimes = { zero: 0, add: Math.max, multiply: (x, y) => x * y };
+    const b = fromDense([[1, 2], [3, 4]]);
+    assert.deepEqual(b.multiply(b, maxTimes).toDense(), [[6, 8], [12, 16]]);
+});
+
+test('operations outside the semiring are rejected', async (t) => {
+    const distances = build([[0, 3], [Infinity, 0]], minPlus);
+    const reachable = build([[1, 0], [1, 1]], boolean);
+    const plain = fromDense([[1, 2], [3, 4]]);
+
+    await t.test('subtract would fill missing entries with -Infinity', () => {
+        assert.throws(() => distances.subtract(distances),
+            { message: 'Subtraction needs ordinary arithmetic, not the min-plus semiring' });
+        assert.throws(() => plain.subtract(distances), /not the min-plus semiring/);
+    });
+
+    await t.test('scale, negate and the element-wise operations', () => {
+        assert.throws(() => distances.scale(2), /^Error: Scaling needs ordinary arithmetic, not the min-plus semiring/);
+        assert.throws(() => reachable.negate(), /Scaling needs ordinary arithmetic, not the boolean semiring/);
+        assert.throws(() => reachable.hadamard(plain), /Element-wise product needs ordinary arithmetic/);
+        assert.throws(() => plain.divide(reachable), /Element-wise division needs ordinary arithmetic/);
+        assert.throws(() => distances.min(distances), /Element-wise minimum needs ordinary arithmetic/);
+        assert.throws(() => build([[1]], modular(7)).max(build([[1]], modular(7))),
+            /Element-wise maximum needs ordinary arithmetic, not the modular\(7\) semiring/);
+    });
+
+    await t.test('matrix-vector products and everything built on them', () => {
+        assert.throws(() => distances.multiplyVector([1, 1]),
+            { message: 'Matrix-vector multiplication needs ordinary arithmetic, not the min-plus semiring' });
+        assert.throws(() => reachable.transposeMultiplyVector([1, 1]),
+            /Transposed matrix-vector multiplication needs ordinary arithmetic, not the boolean semiring/);
+        assert.throws(() => solve(distances, [1, 1]), /Solving a linear system needs ordinary arithmetic/);
+        assert.throws(() => distances.lu(), /LU factorization needs ordinary arithmetic/);
+        assert.throws(() => pagerank(build([[0, 1], [1, 0]], minPlus)),
+            /Transposed matrix-vector multiplication needs ordinary arithmetic/);
+    });
+
+    await t.test('stats() would sum with plain arithmetic', () => {
+        assert.throws(() => distances.stats(), { message: 'stats() needs ordinary arithmetic, not the min-plus semiring' });
+        assert.throws(() => build([[1]], modular(7)).stats(), /not the modular\(7\) semiring/);
+    });
+
+    await t.test('add, multiply and comparisons still work', () => {
+        assert.deepEqual(distances.add(distances).toDense(), [[0, 3], [Infinity, 0]]);
+        assert.equal(distances.equals(build([[0, 3], [Infinity, 0]], minPlus)), true);
+        assert.deepEqual(plain.subtract(plain).toDense(), [[0, 0], [0, 0]]);
+    });
+});
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, MatrixStore, HOST } = require('../src/server');
+const { runCli } = require('../src/cli');
+const { fromDense } = require('./helpers');
+
+const A = fromDense([[1, 2, 0], [0, 3, 4]]);
+const B_JSON = { rows: 3, cols: 2, entries: [[0, 0, 1], [2, 1, -2]] };
+
+/**
+ * Sends a request to a running server
+ * @param {http.Server} server - The server
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Path and query
+ * @param {Object} [options] - Request options
+ * @param {string|Object} [options.body] - Body; objects are sent as JSON
+ * @param {Object} [options.headers] - Request headers
+ * @returns {Promise<{status: number, headers: Object, body: string, json: *}>} The response
+ */
+function request(server, method, urlPath, { body, headers = {} } = {}) {
+    const text = body !== undefined && typeof body !== 'string' ? JSON.stringify(body) : body;
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: HOST, port: server.address().port, method, path: urlPath, headers }, (res) => {
+            let received = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                received += chunk;
+            });
+            res.on('end', () => {
+                const isJson = (res.headers['content-type'] || '').startsWith('application/json');
+                resolve({ status: res.statusCode, headers: res.headers, body: received,
+                    json: isJson ? JSON.parse(received) : undefined });
+            });
+        });
+        req.on('error', reject);
+        req.end(text);
+    });
+}
+
+test('matrix store', async (t) => {
+    await t.test('forgets matrices once their time is up', () => {
+        let now = 1000;
+        const store = new MatrixStore({ ttl: 50, now: () => now });
+        store.set('A', A);
+        store.set('B', A);
+        now = 1040;
+        store.set('B', A);
+        assert.deepEqual(store.list().map((entry) => entry.name), ['A', 'B']);
+
+        now = 1050;
+        assert.equal(store.get('A'), undefined);
+        assert.deepEqual(store.list().map((entry) => entry.name), ['B']);
+        assert.equal(store.delete('A'), false);
+        assert.equal(store.delete('B'), true);
+    });
+
+    await t.test('sweeps expired matrices when new ones are stored', () => {
+        let now = 0;
+        const store = new MatrixStore({ ttl: 100, now: () => now });
+        for (let i = 0; i < 5; i++) {
+            store.set(`M${i}`, A);
+            now += 30;
+        }
+        // M0 expired at 100 and was swept by the set() at 120
+        assert.equal(store.size, 4);
+
+        now = 1000;
+        store.set('N', A);
+        assert.equal(store.size, 1);
+        store.set('N', A);
+        assert.equal(store.size, 1);
+    });
+});
+
+test('HTTP server', async (t) => {
+    let now = Date.UTC(2025, 0, 1);
+    const server = await startServer({ port: 0, ttl: 60000, maxBodySize: 4096, now: () => now });
+    t.after(() => server.close());
+
+    await t.test('stores uploads in the text format and as JSON', async () => {
+        const text = await request(server, 'PUT', '/matrices/A',
+            { body: A.toString(), headers: { 'Content-Type': 'text/plain' } });
+        assert.equal(text.status, 201);
+        assert.equal(text.headers.location, '/matrices/A');
+        assert.deepEqual(text.json, { name: 'A', rows: 2, cols: 3, nonZeros: 4, expiresAt: '2025-01-01T00:01:00.000Z' });
+
+        const json = await request(server, 'PUT', '/matrices/B',
+            { body: B_JSON, headers: { 'Content-Type': 'application/json' } });
+        assert.equal(json.status, 201);
+
+        const list = await request(server, 'GET', '/matrices');
+        assert.deepEqual(list.json.matrices.map((entry) => entry.name), ['A', 'B']);
+    });
+
+    await t.test('returns matrices in the format asked for', async () => {
+        assert.deepEqual((await request(server, 'GET', '/matrices/B')).json, B_JSON);
+
+        const text = await request(server, 'GET', '/matrices/A', { headers: { Accept: 'text/plain' } });
+        assert.match(text.headers['content-type'], /^text\/plain/);
+        assert.equal(text.body, A.toString());
+
+        const market = await request(server, 'GET', '/matrices/A?format=mtx', { headers: { Accept: 'text/plain' } });
+        assert.match(market.body, /^%%MatrixMarket matrix coordinate/);
+    });
+
+    await t.test('runs operations on stored and inline matrices', async () => {
+        const product = await request(server, 'POST', '/operations/multiply', { body: { a: 'A', b: B_JSON } });
+        assert.equal(product.status, 200);
+        assert.deepEqual(product.json, { rows: 2, cols: 2, entries: [[0, 0, 1], [1, 1, -8]] });
+
+        const sum = await request(server, 'POST', '/operations/add?format=text', { body: { a: 'A', b: 'A', store: 'S' } });
+        assert.equal(sum.status, 201);
+        assert.equal(sum.headers.location, '/matrices/S');
+        assert.equal(sum.body, A.scale(2).toString());
+
+        const difference = await request(server, 'POST', '/operations/subtract', { body: { a: 'S', b: 'A' } });
+        assert.deepEqual(difference.json.entries, Array.from(A.entries(), ({ row, col, value }) => [row, col, value]));
+
+        const transposed = await request(server, 'POST', '/operations/transpose', { body: { a: 'A' } });
+        assert.equal(transposed.json.rows, 3);
+        assert.equal(transposed.json.entries.length, 4);
+    });
+
+    await t.test('answers mismatched dimensions with 422', async () => {
+        const response = await request(server, 'POST', '/operations/add', { body: { a: 'A', b: 'B' } });
+        assert.equal(response.status, 422);
+        assert.deepEqual(response.json.error, {
+            code: 'DIMENSION_MISMATCH',
+            message: "Matrix dimensions don't match for addition: 2x3 and 3x2"
+        });
+    });
+
+    await t.test('answers malformed matrices and bodies with 400', async () => {
+        const text = await request(server, 'PUT', '/matrices/C', { body: 'rows=2\ncols=x\n' });
+        assert.equal(text.status, 400);
+        assert.equal(text.json.error.code, 'FORMAT_ERROR');
+        assert.match(text.json.error.message, /invalid dimensions/);
+
+        const json = await request(server, 'PUT', '/matrices/C?format=json', { body: { rows: 2, cols: 2, entries: [[0, 5, 1]] } });
+        assert.equal(json.status, 400);
+        assert.match(json.json.error.message, /Index out of bounds: \(0, 5\)/);
+
+        const operand = await request(server, 'POST', '/operations/add', { body: { a: 'A', b: [1, 2] } });
+        assert.match(operand.json.error.message, /A JSON operand "b" needs integer "rows"/);
+        assert.equal((await request(server, 'POST', '/operations/add', { body: '{"a": ' })).status, 400);
+        assert.equal((await request(server, 'POST', '/operations/add', { body: { a: 'A' } })).status, 400);
+        assert.equal((await request(server, 'PUT', '/matrices/bad%20name', { body: A.toString() })).status, 400);
+        assert.equal((await request(server, 'GET', '/matrices/A?format=csv')).status, 400);
+    });
+
+    await t.test('answers other bad requests with the matching 4xx status', async () => {
+        assert.equal((await request(server, 'GET', '/matrices/missing')).status, 404);
+        assert.equal((await request(server, 'POST', '/operations/inverse', { body: { a: 'A' } })).status, 404);
+        assert.equal((await request(server, 'GET', '/')).status, 404);
+        assert.equal((await request(server, 'PATCH', '/matrices/A')).status, 405);
+        assert.equal((await request(server, 'PUT', '/matrices/C',
+            { body: 'a=1', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } })).status, 415);
+        assert.equal((await request(server, 'GET', '/matrices', { headers: { Host: 'attacker.example' } })).status, 403);
+    });
+
+    await t.test('refuses bodies over the size limit', async () => {
+        const declared = await request(server, 'PUT', '/matrices/C', { body: 'x'.repeat(5000) });
+        assert.equal(declared.status, 413);
+        assert.equal(declared.json.error.code, 'PAYLOAD_TOO_LARGE');
+
+        // Without a Content-Length the limit is enforced while reading
+        const chunked = await request(server, 'PUT', '/matrices/C',
+            { body: 'x'.repeat(5000), headers: { 'Transfer-Encoding': 'chunked' } });
+        assert.equal(chunked.status, 413);
+    });
+
+    await t.test('deletes matrices and lets them expire', async () => {
+        assert.equal((await request(server, 'DELETE', '/matrices/S')).status, 204);
+        assert.equal((await request(server, 'DELETE', '/matrices/S')).status, 404);
+
+        now += 60000;
+        const expired = await request(server, 'POST', '/operations/transpose', { body: { a: 'A' } });
+        assert.equal(expired.status, 404);
+        assert.match(expired.json.error.message, /Unknown matrix: A \(it may have expired\)/);
+        assert.deepEqual((await request(server, 'GET', '/matrices')).json, { matrices: [] });
+    });
+
+    await t.test('keeps matrices exactly', async () => {
+        const values = fromDense([[0.1, -1e-300], [123456789.123, 0]]);
+        await request(server, 'PUT', '/matrices/V', { body: values.toString() });
+        const back = await request(server, 'GET', '/matrices/V');
+        assert.deepEqual(back.json.entries.map((entry) => entry[2]), [0.1, -1e-300, 123456789.123]);
+    });
+});
+
+test('serve command rejects invalid settings', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.equal(await runCli(['serve', '--ttl', '0']), 2);
+    assert.equal(await runCli(['serve', '--port', '-1']), 2);
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const SparseMatrix = require('../src/SparseMatrix');
+const { solve, conjugateGradient, bicgstab, jacobi, gaussSeidel } = require('../src/solvers');
+const { runCli } = require('../src/cli');
+const { fromDense, tempPath, writeTempFile } = require('./helpers');
+
+/**
+ * Builds an n x n matrix with constant values below, on and above the diagonal
+ */
+function tridiagonal(n, lower, main, upper) {
+    const matrix = new SparseMatrix(null, n, n);
+    for (let i = 0; i < n; i++) {
+        matrix.setElement(i, i, main);
+        if (i > 0) {
+            matrix.setElement(i, i - 1, lower);
+        }
+        if (i < n - 1) {
+            matrix.setElement(i, i + 1, upper);
+        }
+    }
+    return matrix;
+}
+
+// The 1-D Laplacian is symmetric positive definite and weakly diagonally dominant
+const N = 20;
+const laplacian = () => tridiagonal(N, -1, 2, -1);
+// A strictly diagonally dominant, non-symmetric matrix, for every method
+const dominant = () => tridiagonal(N, -1, 4, -2);
+const expected = Float64Array.from({ length: N }, (_, i) => Math.cos(i) + i / N);
+
+/**
+ * Largest entry of |x - y|
+ */
+function maxError(x, y) {
+    return Math.max(...Array.from(x, (value, i) => Math.abs(value - y[i])));
+}
+
+/**
+ * Checks a solver result against the known solution and its own residual history
+ */
+function assertSolved(result, tolerance) {
+    assert.equal(result.converged, true);
+    assert.equal(result.residualHistory.length, result.iterations + 1);
+    assert.equal(result.residualHistory[0], 1);
+    assert.ok(result.residualHistory[result.iterations] <= tolerance);
+    assert.ok(maxError(result.x, expected) < 1e-6);
+}
+
+test('iterative solvers', async (t) => {
+    await t.test('conjugate gradient solves an SPD system in at most n steps', () => {
+        const matrix = laplacian();
+        const result = conjugateGradient(matrix, matrix.multiplyVector(expected));
+        assertSolved(result, 1e-10);
+        assert.ok(result.iterations <= N);
+    });
+
+    await t.test('the Jacobi preconditioner keeps CG and BiCGSTAB converging', () => {
+        const matrix = laplacian();
+        const b = matrix.multiplyVector(expected);
+        assertSolved(conjugateGradient(matrix, b, { preconditioner: 'jacobi' }), 1e-10);
+        assertSolved(bicgstab(dominant(), dominant().multiplyVector(expected), { preconditioner: 'jacobi' }), 1e-10);
+    });
+
+    for (const [name, solver] of [['bicgstab', bicgstab], ['jacobi', jacobi], ['gauss-seidel', gaussSeidel]]) {
+        await t.test(`${name} solves a diagonally dominant system`, () => {
+            const matrix = dominant();
+            const result = solver(matrix, matrix.multiplyVector(expected), { tolerance: 1e-12 });
+            assertSolved(result, 1e-12);
+            assert.deepEqual(Array.from(solve(matrix, matrix.multiplyVector(expected),
+                { method: name, tolerance: 1e-12 }).x), Array.from(result.x));
+        });
+    }
+
+    await t.test('starts from the initial guess', () => {
+        const matrix = laplacian();
+        const result = conjugateGradient(matrix, matrix.multiplyVector(expected), { x0: expected });
+        assert.equal(result.iterations, 0);
+        assert.ok(result.residualHistory[0] < 1e-12);
+    });
+
+    await t.test('reports when it runs out of iterations', () => {
+        const matrix = laplacian();
+        const result = conjugateGradient(matrix, matrix.multiplyVector(expected), { maxIterations: 3 });
+        assert.equal(result.converged, false);
+        assert.equal(result.iterations, 3);
+        assert.equal(result.residualHistory.length, 4);
+        assert.ok(result.residualHistory[3] > 1e-10);
+    });
+
+    await t.test('reports divergence instead of returning a wrong answer', () => {
+        // The spectral radius of the Jacobi iteration matrix is sqrt(6) > 1
+        const matrix = fromDense([[1, 2], [3, 1]]);
+        const result = jacobi(matrix, [3, 4], { maxIterations: 50 });
+        assert.equal(result.converged, false);
+        assert.ok(result.residualHistory[50] > result.residualHistory[0]);
+    });
+
+    await t.test('rejects a zero on the diagonal', () => {
+        const matrix = fromDense([[2, 1, 0], [1, 0, 1], [0, 1, 2]]);
+        assert.throws(() => jacobi(matrix, [1, 1, 1]), /Zero on the diagonal at row 1/);
+        assert.throws(() => gaussSeidel(matrix, [1, 1, 1]), /Zero on the diagonal at row 1/);
+        assert.throws(() => conjugateGradient(matrix, [1, 1, 1], { preconditioner: 'jacobi' }),
+            /Zero on the diagonal at row 1/);
+    });
+
+    await t.test('rejects invalid systems and options', () => {
+        const matrix = laplacian();
+        assert.throws(() => solve(new SparseMatrix(null, 2, 3), [1, 1]), /must be square.*got 2x3/);
+        assert.throws(() => solve(matrix, [1, 2]), /dimensions don't match/);
+        assert.throws(() => solve(matrix, expected, { method: 'sor' }), /Unknown solver method: sor/);
+        assert.throws(() => solve(matrix, expected, { method: 'toString' }), /Unknown solver method: toString/);
+        assert.throws(() => solve(matrix, expected, { preconditioner: 'ilu' }), /Unknown preconditioner: ilu/);
+        assert.throws(() => solve(matrix, expected, { tolerance: 0 }), /Invalid tolerance: 0/);
+        assert.throws(() => solve(matrix, expected, { maxIterations: 1.5 }), /Invalid maximum number of iterations/);
+    });
+});
+
+test('solve command', async (t) => {
+    const matrixPath = writeTempFile('solve-a.txt', laplacian().toString());
+    const b = laplacian().multiplyVector(expected);
+    const vectorPath = writeTempFile('solve-b.txt',
+        `size=${N}\n${Array.from(b, (value, i) => `(${i}, ${value})`).join('\n')}\n`);
+
+    await t.test('writes the solution vector', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const output = tempPath('solve-x.txt');
+        assert.equal(await runCli(['solve', matrixPath, vectorPath, '-m', 'gauss-seidel',
+            '--tolerance', '1e-12', '--max-iterations', '5000', '-o', output]), 0);
+        const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+        assert.equal(lines[0], `size=${N}`);
+        const x = new Float64Array(N);
+        for (const line of lines.slice(1)) {
+            const [i, value] = line.slice(1, -1).split(', ').map(Number);
+            x[i] = value;
+        }
+        assert.ok(maxError(x, expected) < 1e-6);
+    });
+
+    await t.test('exits with code 6 when the solver does not converge', async (t) => {
+        const error = t.mock.method(console, 'error', () => {});
+        assert.equal(await runCli(['solve', matrixPath, vectorPath, '--max-iterations', '2',
+            '-o', tempPath('solve-unused.txt')]), 6);
+        assert.match(error.mock.calls[0].arguments[0], /Solver did not converge: 2 iterations/);
+    });
+
+    await t.test('exits with codes for bad arguments, matrices and vectors', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const output = tempPath('solve-unused.txt');
+        const shortVector = writeTempFile('solve-short.txt', 'size=2\n(0, 1)\n');
+        const zeroDiagonal = writeTempFile('solve-zero.txt', fromDense([[0, 1], [1, 0]]).toString());
+
+        assert.equal(await runCli(['solve', matrixPath, vectorPath, '--tolerance', 'small', '-o', output]), 2);
+        assert.equal(await runCli(['solve', matrixPath, tempPath('no-such-vector.txt'), '-o', output]), 3);
+        assert.equal(await runCli(['solve', matrixPath, shortVector, '-o', output]), 5);
+        assert.equal(await runCli(['solve', zeroDiagonal, shortVector, '-m', 'jacobi', '-o', output]), 1);
+    });
+});
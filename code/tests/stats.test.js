@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const SparseMatrix = require('../src/SparseMatrix');
+const { runCli } = require('../src/cli');
+const { fromDense, tempPath, writeTempFile } = require('./helpers');
+
+test('stats', async (t) => {
+    await t.test('describes a rectangular matrix', () => {
+        const stats = fromDense([
+            [0, 3, 0, -4],
+            [0, 0, 0, 0],
+            [1, 2, 0, 0]
+        ]).stats();
+
+        assert.equal(stats.rows, 3);
+        assert.equal(stats.cols, 4);
+        assert.equal(stats.nonZeros, 4);
+        assert.equal(stats.density, 4 / 12);
+        assert.deepEqual(stats.nonZerosPerRow, {
+            min: 0,
+            max: 2,
+            mean: 4 / 3,
+            histogram: [{ from: 0, to: 0, count: 1 }, { from: 1, to: 1, count: 0 }, { from: 2, to: 3, count: 2 }]
+        });
+        assert.deepEqual([stats.nonZerosPerCol.min, stats.nonZerosPerCol.max], [0, 2]);
+        assert.equal(stats.emptyRows, 1);
+        assert.equal(stats.emptyCols, 1);
+        assert.deepEqual(stats.bandwidth, { lower: 2, upper: 3 });
+        assert.equal(stats.diagonalDominance, null);
+        assert.equal(stats.symmetric, false);
+        assert.equal(stats.structurallySymmetric, false);
+        assert.deepEqual(stats.valueRange, { min: -4, max: 3 });
+        assert.equal(stats.sum, 2);
+        assert.deepEqual(stats.norms, { frobenius: Math.sqrt(30), one: 5, infinity: 7 });
+    });
+
+    await t.test('detects symmetry and structural symmetry', () => {
+        assert.equal(SparseMatrix.tridiagonal(4, -1, 2, -1).stats().symmetric, true);
+        const pattern = fromDense([[1, 2], [3, 1]]).stats();
+        assert.equal(pattern.symmetric, false);
+        assert.equal(pattern.structurallySymmetric, true);
+    });
+
+    await t.test('classifies diagonal dominance', () => {
+        assert.equal(fromDense([[4, -1], [1, 3]]).stats().diagonalDominance, 'strict');
+        assert.equal(SparseMatrix.tridiagonal(4, -1, 2, -1).stats().diagonalDominance, 'weak');
+        assert.equal(fromDense([[1, 2], [0, 1]]).stats().diagonalDominance, 'none');
+        assert.equal(fromDense([[1, 0], [0, 0]]).stats().diagonalDominance, 'weak');
+    });
+
+    await t.test('handles an empty matrix', () => {
+        const stats = new SparseMatrix(null, 2, 3).stats();
+        assert.equal(stats.nonZeros, 0);
+        assert.deepEqual(stats.valueRange, { min: null, max: null });
+        assert.deepEqual(stats.nonZerosPerRow.histogram, [{ from: 0, to: 0, count: 2 }]);
+        assert.deepEqual(stats.bandwidth, { lower: 0, upper: 0 });
+    });
+});
+
+test('info command', async (t) => {
+    const filePath = writeTempFile('info.txt', SparseMatrix.tridiagonal(3, -1, 2, -1).toString());
+
+    const runInfo = async (...options) => {
+        const output = tempPath('info-output.txt');
+        assert.equal(await runCli(['info', filePath, '-o', output, ...options]), 0);
+        return fs.readFileSync(output, 'utf8');
+    };
+
+    await t.test('writes a text report', async () => {
+        const output = await runInfo();
+        assert.match(output, /^Size: +3x3$/m);
+        assert.match(output, /^Diagonal dominance: +weak$/m);
+        assert.match(output, /^Symmetric: +yes \(structurally yes\)$/m);
+    });
+
+    await t.test('writes JSON with --json', async () => {
+        const output = await runInfo('--json');
+        assert.deepEqual(JSON.parse(output), JSON.parse(JSON.stringify(new SparseMatrix(filePath).stats())));
+    });
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const MatrixFormatError = require('../src/MatrixFormatError');
+const { parseVector, formatVector, loadVector, saveVector } = require('../src/vector');
+const { runCli } = require('../src/cli');
+const { fromDense, tempPath, writeTempFile } = require('./helpers');
+
+const A = fromDense([[1, 0, 2], [0, -3, 0]]);
+
+/**
+ * Asserts that parsing fails with a MatrixFormatError for the given reason and line
+ */
+function assertFormatError(data, reason, line) {
+    assert.throws(() => parseVector(data, 'x.txt'), (error) => {
+        assert.ok(error instanceof MatrixFormatError);
+        assert.equal(error.reason, reason);
+        assert.equal(error.filePath, 'x.txt');
+        assert.equal(error.line, line);
+        return true;
+    });
+}
+
+test('vector files', async (t) => {
+    await t.test('parse the size header and the listed values', () => {
+        const vector = parseVector('\n  size=4\n(0, 1.5)\n\n  (3,-2e-3)  \n');
+        assert.ok(vector instanceof Float64Array);
+        assert.deepEqual(Array.from(vector), [1.5, 0, 0, -0.002]);
+        assert.deepEqual(Array.from(parseVector('size=2\n')), [0, 0]);
+    });
+
+    await t.test('format only the non-zero values', () => {
+        assert.equal(formatVector([0, 2.5, 0, -1]), 'size=4\n(1, 2.5)\n(3, -1)\n');
+        assert.equal(formatVector(new Float64Array(3)), 'size=3\n');
+    });
+
+    await t.test('save and load back exactly', () => {
+        const vector = Float64Array.from([0.1, 0, -1e-300, 123456789.123]);
+        const filePath = tempPath('vector-round-trip.txt');
+        saveVector(filePath, vector);
+        assert.deepEqual(loadVector(filePath), vector);
+    });
+
+    await t.test('reject a missing or invalid size header', () => {
+        assertFormatError('(0, 1)\n', 'MISSING_SIZE', 1);
+        assertFormatError('size=0\n', 'INVALID_DIMENSIONS', 1);
+        assertFormatError('\nsize=two\n', 'INVALID_DIMENSIONS', 2);
+        assertFormatError('\n\n', 'INSUFFICIENT_DATA', null);
+    });
+
+    await t.test('reject malformed (i, v) lines', () => {
+        assertFormatError('size=3\n0, 1\n', 'MISSING_PARENTHESES', 2);
+        assertFormatError('size=3\n(0, 1\n', 'MISSING_PARENTHESES', 2);
+        assertFormatError('size=3\n(0)\n', 'WRONG_FIELD_COUNT', 2);
+        assertFormatError('size=3\n(0, 1, 2)\n', 'WRONG_FIELD_COUNT', 2);
+        assertFormatError('size=3\n(0, x)\n', 'INVALID_NUMBER', 2);
+        assertFormatError('size=3\n(1.5, 1)\n', 'INVALID_NUMBER', 2);
+    });
+
+    await t.test('reject indices outside the declared size', () => {
+        assertFormatError('size=3\n(3, 1)\n', 'INDEX_OUT_OF_RANGE', 2);
+        assertFormatError('size=3\n(0, 1)\n(-1, 1)\n', 'INDEX_OUT_OF_RANGE', 3);
+    });
+
+    await t.test('report a missing file', () => {
+        assert.throws(() => loadVector(tempPath('no-such-vector.txt')), /Error reading file/);
+    });
+});
+
+test('matrix-vector products', async (t) => {
+    await t.test('multiply by a vector and by the transpose', () => {
+        assert.deepEqual(Array.from(A.multiplyVector([1, 2, 3])), [7, -6]);
+        assert.deepEqual(Array.from(A.transposeMultiplyVector(Float64Array.from([1, 2]))), [1, -6, 2]);
+    });
+
+    await t.test('check the vector length', () => {
+        assert.throws(() => A.multiplyVector([1, 2]), {
+            message: "Matrix and vector dimensions don't match for matrix-vector multiplication: " +
+                'expected length 3, got 2'
+        });
+        assert.throws(() => A.transposeMultiplyVector([1, 2, 3]),
+            /for transposed matrix-vector multiplication: expected length 2, got 3/);
+        assert.throws(() => A.multiplyVector('123'), /Expected an array or typed array/);
+    });
+});
+
+test('matvec command', async (t) => {
+    const matrixPath = writeTempFile('matvec-a.txt', A.toString());
+
+    await t.test('writes the product vector', async () => {
+        const output = tempPath('matvec-out.txt');
+        const x = writeTempFile('matvec-x.txt', formatVector([1, 2, 3]));
+        assert.equal(await runCli(['matvec', matrixPath, x, '-o', output]), 0);
+        assert.equal(fs.readFileSync(output, 'utf8'), 'size=2\n(0, 7)\n(1, -6)\n');
+
+        const y = writeTempFile('matvec-y.txt', formatVector([1, 2]));
+        assert.equal(await runCli(['matvec', matrixPath, y, '--transpose', '-o', output]), 0);
+        assert.deepEqual(Array.from(loadVector(output)), [1, -6, 2]);
+    });
+
+    await t.test('exits with the matching code for bad vectors', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const output = tempPath('matvec-unused.txt');
+        const short = writeTempFile('matvec-short.txt', formatVector([1, 2]));
+        const malformed = writeTempFile('matvec-bad.txt', 'size=3\n(5, 1)\n');
+        assert.equal(await runCli(['matvec', matrixPath, short, '-o', output]), 5);
+        assert.equal(await runCli(['matvec', matrixPath, malformed, '-o', output]), 4);
+        assert.equal(await runCli(['matvec', matrixPath, tempPath('no-such-x.txt'), '-o', output]), 3);
+    });
+});
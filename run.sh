@@ -4,7 +4,7 @@
 cd "$(dirname "$0")"
 
 # Run the application
-node code/src/index.js
+node code/src/index.js "$@"
 
 # Exit with the same status code as the Node.js process
 exit $? 
\ No newline at end of file
@@ -3,8 +3,8 @@
 # Navigate to the project directory
 cd "$(dirname "$0")"
 
-# Run the test script
-node code/src/test.js
+# Run the assertion-based test suite
+node --test code/tests/
 
 # Exit with the same status code as the Node.js process
 exit $? 
\ No newline at end of file